@@ -0,0 +1,328 @@
+/** Apply the edit described by a `beforeinput` event ourselves, as a model-driven editor would
+ * 	after cancelling it. Only the target ranges and data/dataTransfer are used, so this tests
+ * 	whether what the browser reports is enough to reproduce the native edit.
+ */
+
+/** Get target ranges for an event, falling back to the current selection if the browser
+ * 	gives none
+ * @param {Element} root editing host; ranges outside of it are dropped
+ * @returns {[Range]} live ranges, so they stay valid while we modify the DOM
+ */
+export function target_ranges(e, root){
+	let ranges = e.getTargetRanges ? e.getTargetRanges() : [];
+	if (!ranges.length){
+		const sel = window.getSelection();
+		ranges = [];
+		for (let i = 0; i < sel.rangeCount; i++)
+			ranges.push(sel.getRangeAt(i));
+	}
+	return ranges
+		.filter(r => root.contains(r.startContainer) && root.contains(r.endContainer))
+		.map(live_range);
+}
+/** Range from a StaticRange (or Range), which follows DOM changes */
+export function live_range(r){
+	const lr = document.createRange();
+	lr.setStart(r.startContainer, r.startOffset);
+	lr.setEnd(r.endContainer, r.endOffset);
+	return lr;
+}
+
+/** Plain text payload of the edit, from data or dataTransfer */
+function edit_text(edit){
+	if (typeof edit.data === "string")
+		return edit.data;
+	const dt = edit.dataTransfer;
+	if (dt)
+		return dt.getData("text/plain");
+	return null;
+}
+/** HTML payload of the edit as a DocumentFragment, or null if there is no text/html */
+function edit_html(edit){
+	const html = edit.dataTransfer?.getData("text/html");
+	if (!html)
+		return null;
+	const tpl = document.createElement("template");
+	tpl.innerHTML = html;
+	return tpl.content;
+}
+
+// inline formatting: inputType => tag name wrapping the target range
+const FORMAT_TAGS = {
+	formatBold: "b",
+	formatItalic: "i",
+	formatUnderline: "u",
+	formatStrikeThrough: "s",
+	formatSuperscript: "sup",
+	formatSubscript: "sub"
+};
+// inline styles: inputType => CSS property set from data
+const FORMAT_STYLES = {
+	formatFontColor: "color",
+	formatBackColor: "background-color",
+	formatFontName: "font-family"
+};
+// elements that insertParagraph splits
+const BLOCKS = new Set(["DIV", "P", "LI", "ARTICLE", "SECTION", "BLOCKQUOTE", "PRE", "H1", "H2", "H3", "H4", "H5", "H6"]);
+
+/** Insert a DocumentFragment or node at a collapsed range
+ * @returns {Range} the range, collapsed after the inserted content
+ */
+function insert_at(range, content){
+	const sc = range.startContainer;
+	// append to text node, rather than splitting it
+	if (content.nodeType == Node.TEXT_NODE && sc.nodeType == Node.TEXT_NODE){
+		sc.insertData(range.startOffset, content.data);
+		range.setStart(sc, range.startOffset + content.data.length);
+	}
+	else{
+		const last = content.nodeType == Node.DOCUMENT_FRAGMENT_NODE ? content.lastChild : content;
+		range.insertNode(content);
+		if (last)
+			range.setStartAfter(last);
+	}
+	range.collapse(true);
+	return range;
+}
+
+/** Split the block containing a collapsed range, as for insertParagraph. If there is no block
+ * 	between the range and the editing host, content after the range is moved into a new div
+ * @returns {Range} the range, collapsed at the start of the new block
+ */
+function split_block(root, range){
+	let block = range.startContainer;
+	while (block !== root && !(block.nodeType == Node.ELEMENT_NODE && BLOCKS.has(block.tagName)))
+		block = block.parentNode;
+	const tail = range.cloneRange();
+	let after;
+	if (block === root){
+		tail.setEnd(root, root.childNodes.length);
+		after = document.createElement("div");
+		after.appendChild(tail.extractContents());
+		root.appendChild(after);
+	}
+	else{
+		tail.setEndAfter(block);
+		const frag = tail.extractContents();
+		after = frag.firstChild;
+		block.after(frag);
+	}
+	// empty blocks need a <br> to be visible
+	for (const b of [block, after]){
+		if (b !== root && !b.textContent)
+			b.replaceChildren(document.createElement("br"));
+	}
+	range.setStart(after, 0);
+	range.collapse(true);
+	return range;
+}
+
+/** Apply an edit
+ * @param {Object} edit the edit to apply:
+ * 	- inputType: event's inputType
+ * 	- data: event's data
+ * 	- dataTransfer: event's dataTransfer
+ * 	- ranges: `[Range]` target ranges, see `target_ranges()`
+ * @param {Element} root editing host, needed for insertParagraph
+ * @returns {Range | null} selection after the edit, or null if the inputType is not supported or
+ * 	there is nothing to delete, in which case the DOM is left unchanged
+ */
+export function apply_edit(edit, root){
+	const {inputType, ranges} = edit;
+	if (!ranges.length)
+		return null;
+	// composition can't be cancelled, so would not be reproducible
+	if (inputType == "insertCompositionText")
+		return null;
+	const range = ranges[0];
+	// formatting wraps the first range, rather than replacing it
+	if (inputType in FORMAT_TAGS || inputType in FORMAT_STYLES || inputType == "formatRemove"){
+		if (range.collapsed)
+			return range;
+		let wrap;
+		if (inputType == "formatRemove")
+			wrap = document.createTextNode(range.toString());
+		else if (inputType in FORMAT_TAGS)
+			wrap = document.createElement(FORMAT_TAGS[inputType]);
+		else{
+			wrap = document.createElement("span");
+			wrap.style.setProperty(FORMAT_STYLES[inputType], edit.data);
+		}
+		const contents = range.extractContents();
+		if (wrap.nodeType == Node.ELEMENT_NODE)
+			wrap.appendChild(contents);
+		range.insertNode(wrap);
+		range.selectNode(wrap);
+		return range;
+	}
+	let insert = null;
+	switch (inputType){
+		case "insertLineBreak":
+			insert = document.createElement("br");
+			break;
+		case "insertHorizontalRule":
+			insert = document.createElement("hr");
+			break;
+		case "insertParagraph":
+			break;
+		case "insertLink":
+			insert = document.createElement("a");
+			insert.href = edit.data;
+			insert.textContent = range.collapsed ? edit.data : range.toString();
+			break;
+		case "insertFromPaste":
+		case "insertFromPasteAsQuotation":
+		case "insertFromDrop":
+			insert = edit_html(edit);
+			if (insert && inputType == "insertFromPasteAsQuotation"){
+				const quote = document.createElement("blockquote");
+				quote.appendChild(insert);
+				insert = quote;
+			}
+			// fall through for text/plain
+		default:
+			// a collapsed range doesn't say what to delete, e.g. from the selection fallback
+			if (inputType.startsWith("delete")){
+				if (ranges.every(r => r.collapsed))
+					return null;
+				break;
+			}
+			if (!inputType.startsWith("insert"))
+				return null;
+			if (!insert){
+				const txt = edit_text(edit);
+				if (txt === null)
+					return null;
+				insert = document.createTextNode(txt);
+			}
+	}
+	for (const r of ranges)
+		r.deleteContents();
+	// insert only at the first range
+	range.collapse(true);
+	if (inputType == "insertParagraph")
+		return split_block(root, range);
+	if (insert)
+		insert_at(range, insert);
+	return range;
+}
+
+/** Apply an edit to the value of a textarea or input. Form controls have no target ranges, so
+ * 	the control's selection is used instead; only text insertion and deletion are supported
+ * @param {Object} edit see `apply_edit()`; ranges are ignored
+ * @param {HTMLTextAreaElement | HTMLInputElement} el form control the edit targets
+ * @returns {Boolean} false if the inputType is not supported, in which case the value is left
+ * 	unchanged; otherwise the selection is collapsed after the edit
+ */
+export function apply_value_edit(edit, el){
+	const {inputType} = edit;
+	let start = el.selectionStart,
+		end = el.selectionEnd,
+		txt = "";
+	if (start === null || inputType == "insertCompositionText")
+		return false;
+	if (inputType == "insertLineBreak" || inputType == "insertParagraph"){
+		if (!(el instanceof HTMLTextAreaElement))
+			return false;
+		txt = "\n";
+	}
+	else if (inputType.startsWith("insert")){
+		txt = edit_text(edit);
+		if (txt === null)
+			return false;
+	}
+	else if (inputType.startsWith("delete")){
+		// with nothing selected, only single character deletes can be reproduced
+		if (start == end){
+			if (inputType == "deleteContentBackward")
+				start = Math.max(0, start-1);
+			else if (inputType == "deleteContentForward")
+				end = Math.min(el.value.length, end+1);
+			else return false;
+		}
+	}
+	else return false;
+	el.setRangeText(txt, start, end, "end");
+	return true;
+}
+
+// inputType => [execCommand, value from edit]
+const NATIVE_COMMANDS = {
+	insertText: ["insertText", edit_text],
+	insertReplacementText: ["insertText", edit_text],
+	insertFromYank: ["insertText", edit_text],
+	insertTranspose: ["insertText", edit_text],
+	insertFromPaste: ["insertHTML", e => e.dataTransfer?.getData("text/html") || edit_text(e)],
+	insertFromPasteAsQuotation: ["insertHTML", e => `<blockquote>${e.dataTransfer?.getData("text/html") || edit_text(e)}</blockquote>`],
+	insertFromDrop: ["insertHTML", e => e.dataTransfer?.getData("text/html") || edit_text(e)],
+	insertLineBreak: ["insertLineBreak"],
+	insertParagraph: ["insertParagraph"],
+	insertOrderedList: ["insertOrderedList"],
+	insertUnorderedList: ["insertUnorderedList"],
+	insertHorizontalRule: ["insertHorizontalRule"],
+	insertLink: ["createLink", e => e.data],
+	formatBold: ["bold"],
+	formatItalic: ["italic"],
+	formatUnderline: ["underline"],
+	formatStrikeThrough: ["strikeThrough"],
+	formatSuperscript: ["superscript"],
+	formatSubscript: ["subscript"],
+	formatJustifyFull: ["justifyFull"],
+	formatJustifyCenter: ["justifyCenter"],
+	formatJustifyRight: ["justifyRight"],
+	formatJustifyLeft: ["justifyLeft"],
+	formatIndent: ["indent"],
+	formatOutdent: ["outdent"],
+	formatRemove: ["removeFormat"],
+	formatBackColor: ["backColor", e => e.data],
+	formatFontColor: ["foreColor", e => e.data],
+	formatFontName: ["fontName", e => e.data]
+};
+
+/** Path of child indexes from root to node */
+function node_path(root, node){
+	const path = [];
+	for (; node !== root; node = node.parentNode)
+		path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+	return path;
+}
+/** Range in clone, at the same position as range is in root */
+function clone_range(root, clone, range){
+	const resolve = (node) => node_path(root, node).reduce((n, i) => n.childNodes[i], clone);
+	const r = document.createRange();
+	r.setStart(resolve(range.startContainer), range.startOffset);
+	r.setEnd(resolve(range.endContainer), range.endOffset);
+	return r;
+}
+
+/** Have the browser perform an edit natively on a clone of the editing host. Since we can't
+ * 	trigger a browser's default action for an event, the closest we can get is to select the
+ * 	target range in the clone and run the equivalent `document.execCommand`. This changes the
+ * 	selection, so the caller should restore it afterwards.
+ * @param {Object} edit see `apply_edit()`; ranges should be in `root`, and must be read before
+ * 	modifying `root`
+ * @param {Element} root editing host the edit targets
+ * @param {Element} clone contenteditable, unmodified clone of `root`, which must be rendered
+ * 	(e.g. positioned offscreen) for execCommand to work
+ * @returns {Boolean} false if there is no equivalent command, or the browser did not run it
+ */
+export function native_edit(edit, root, clone){
+	const {inputType, ranges} = edit;
+	if (!ranges.length)
+		return false;
+	let cmd, value;
+	if (inputType.startsWith("delete"))
+		cmd = ranges[0].collapsed ? null : "delete";
+	else if (inputType in NATIVE_COMMANDS){
+		const [name, getter] = NATIVE_COMMANDS[inputType];
+		cmd = name;
+		value = getter ? getter(edit) : null;
+	}
+	if (!cmd)
+		return false;
+	const sel = window.getSelection();
+	sel.removeAllRanges();
+	sel.addRange(clone_range(root, clone, ranges[0]));
+	clone.focus({preventScroll: true});
+	return document.execCommand(cmd, false, value);
+}
\ No newline at end of file
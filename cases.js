@@ -0,0 +1,241 @@
+import { download_json } from "./session.js";
+
+/** Catalog of contenteditable test cases. The built-in cases come from index.html; edits made in
+ * 	the page are persisted to localStorage, and the catalog can be exported/imported as JSON.
+ *
+ * 	Each case is `{html, attrs, target, expect}`: `html` is the innerHTML of the test case, or the
+ * 	value for form controls; `attrs` a string of extra HTML attributes for the editing host (e.g.
+ * 	`dir="rtl" compositionborder="true"`); `target` the kind of editing host, see `TARGETS`; and
+ * 	`expect` a list of expected behaviors, see CaseExpectations. In index.html, expectations are
+ * 	given as JSON in a `data-expect` attribute.
+ */
+
+// kinds of editing host a test case can be; target => label
+export const TARGETS = {
+	"contenteditable": "contenteditable div",
+	"plaintext-only": "contenteditable=plaintext-only div",
+	"textarea": "textarea",
+	"input": "input type=text"
+};
+
+export class CaseCatalog{
+	static STORAGE_KEY = "input_events_tester.cases";
+	static VERSION = 1;
+
+	constructor(cases = []){
+		this.cases = cases;
+		// whether the cases came from a permalink; they aren't persisted unless the user agrees
+		this.linked = false;
+	}
+	/** Catalog from existing test case elements */
+	static from_elements(divs){
+		return new CaseCatalog(Array.from(divs, case_from_element));
+	}
+	/** Catalog saved to localStorage, or null if there is none */
+	static stored(){
+		const json = localStorage.getItem(CaseCatalog.STORAGE_KEY);
+		if (!json)
+			return null;
+		try{
+			return CaseCatalog.fromJSON(JSON.parse(json));
+		} catch(err){
+			console.error("ignoring invalid stored test cases:", err);
+			return null;
+		}
+	}
+	/** Remove saved catalog from localStorage */
+	static clear_stored(){
+		localStorage.removeItem(CaseCatalog.STORAGE_KEY);
+	}
+	/** Persist to localStorage */
+	save(){
+		localStorage.setItem(CaseCatalog.STORAGE_KEY, JSON.stringify(this));
+	}
+	toJSON(){
+		return {version: CaseCatalog.VERSION, cases: this.cases};
+	}
+	/** Create a catalog from a parsed JSON export
+	 * @throws if the object is not a catalog export
+	 */
+	static fromJSON(json){
+		if (!json || !Array.isArray(json.cases))
+			throw Error("not a test case catalog");
+		return new CaseCatalog(json.cases.map(c => ({
+			html: String(c.html ?? ""),
+			attrs: String(c.attrs ?? ""),
+			target: c.target in TARGETS ? c.target : "contenteditable",
+			expect: Array.isArray(c.expect) ? c.expect : []
+		})));
+	}
+	/** Read a catalog from a File */
+	static async load(file){
+		return CaseCatalog.fromJSON(JSON.parse(await file.text()));
+	}
+	/** Save catalog as a JSON file download */
+	download(){
+		download_json("test-cases.json", this);
+	}
+}
+
+/** Catalog entry for a test case element */
+export function case_from_element(el){
+	let target = "contenteditable";
+	if (el.tagName == "TEXTAREA")
+		target = "textarea";
+	else if (el.tagName == "INPUT")
+		target = "input";
+	else if (el.getAttribute("contenteditable") == "plaintext-only")
+		target = "plaintext-only";
+	const attrs = [];
+	for (const a of el.attributes){
+		// implied by target, or read separately
+		if (a.name == "contenteditable" || a.name == "data-expect" || (target == "input" && (a.name == "type" || a.name == "value")))
+			continue;
+		attrs.push(a.value === "" ? a.name : `${a.name}="${a.value.replaceAll('"', "&quot;")}"`);
+	}
+	const form = target == "textarea" || target == "input";
+	const expect = el.dataset.expect ? JSON.parse(el.dataset.expect) : [];
+	return {html: form ? el.value : el.innerHTML, attrs: attrs.join(" "), target, expect};
+}
+
+/** Create a test case element from a catalog entry */
+export function case_element(c){
+	const target = c.target || "contenteditable";
+	const tag = target == "textarea" || target == "input" ? target : "div";
+	const tpl = document.createElement("template");
+	tpl.innerHTML = `<${tag} ${c.attrs}></${tag}>`;
+	const el = tpl.content.firstElementChild || document.createElement(tag);
+	if (tag == "div"){
+		el.setAttribute("contenteditable", target == "plaintext-only" ? target : "true");
+		el.innerHTML = c.html;
+	}
+	else{
+		if (tag == "input")
+			el.type = "text";
+		el.value = c.html;
+	}
+	return el;
+}
+
+/** Fill a select with an option per test case, keeping the current one if it still exists
+ * @param {HTMLSelectElement} select
+ * @param {Number} count number of test cases
+ * @param {[HTMLOptionElement]} extra options to put before the test cases
+ * @param {String} fallback value to select if the current one no longer exists
+ */
+export function case_options(select, count, extra = [], fallback = ""){
+	const value = select.value;
+	select.replaceChildren(...extra);
+	for (let i = 0; i < count; i++)
+		select.add(new Option(`Test case ${i}`, i));
+	select.value = value !== "" && +value < count ? value : fallback;
+}
+
+/** Wire up the test case editor panel
+ * @param {CaseCatalog} catalog catalog to edit
+ * @param {Function} render `fn(catalog, remap)` called after the catalog changes, to rebuild test
+ * 	cases; `remap` is `fn(old index)` returning the case's new index, or null if it was removed,
+ * 	and is null itself when all cases were replaced
+ * @param {CaseCatalog} defaults catalog to restore on reset
+ * @returns {Function} `fn(catalog)` to replace the catalog being edited, e.g. from an import
+ */
+export function case_editor(catalog, render, defaults){
+	const el = (id) => document.getElementById(id);
+	const select = el("case_select"),
+		html = el("case_html"),
+		attrs = el("case_attrs"),
+		host = el("case_target"),
+		expect = el("case_expect");
+	for (const t in TARGETS)
+		host.add(new Option(TARGETS[t], t));
+
+	// sync editor with the catalog; idx is the case to select
+	function refresh(idx = +select.value){
+		case_options(select, catalog.cases.length);
+		idx = Math.min(Math.max(idx, 0), catalog.cases.length-1);
+		select.value = idx;
+		const c = catalog.cases[idx];
+		html.value = c ? c.html : "";
+		attrs.value = c ? c.attrs : "";
+		host.value = c ? c.target : "contenteditable";
+		expect.value = c && c.expect.length ? JSON.stringify(c.expect, null, "\t") : "";
+	}
+	function changed(idx, remap){
+		if (catalog.linked && confirm("Save the test cases from the link, replacing your own saved test cases?"))
+			catalog.linked = false;
+		if (!catalog.linked)
+			catalog.save();
+		render(catalog, remap);
+		refresh(idx);
+	}
+	// case being edited, or null if the expectations are invalid
+	function current(){
+		let expected = [];
+		try{
+			if (expect.value.trim())
+				expected = JSON.parse(expect.value);
+			if (!Array.isArray(expected))
+				throw Error("expected a list");
+		} catch(err){
+			alert(`Invalid expectations: ${err.message}`);
+			return null;
+		}
+		return {html: html.value, attrs: attrs.value, target: host.value, expect: expected};
+	}
+
+	select.addEventListener("change", () => refresh());
+	el("case_save").addEventListener("click", () => {
+		const c = current();
+		if (!catalog.cases.length || !c)
+			return;
+		catalog.cases[+select.value] = c;
+		changed(+select.value, i => i);
+	});
+	el("case_add").addEventListener("click", () => {
+		const c = current();
+		if (!c)
+			return;
+		catalog.cases.push(c);
+		changed(catalog.cases.length-1, i => i);
+	});
+	el("case_duplicate").addEventListener("click", () => {
+		const idx = +select.value;
+		if (!catalog.cases.length)
+			return;
+		catalog.cases.splice(idx+1, 0, Object.assign({}, catalog.cases[idx]));
+		changed(idx+1, i => i > idx ? i+1 : i);
+	});
+	el("case_delete").addEventListener("click", () => {
+		const idx = +select.value;
+		if (!catalog.cases.length || !confirm(`Delete test case ${idx}?`))
+			return;
+		catalog.cases.splice(idx, 1);
+		changed(idx, i => i == idx ? null : i > idx ? i-1 : i);
+	});
+	el("case_export").addEventListener("click", () => catalog.download());
+	el("case_import").addEventListener("change", async (e) => {
+		const file = e.target.files[0];
+		e.target.value = "";
+		if (!file)
+			return;
+		try{
+			replace(await CaseCatalog.load(file));
+		} catch(err){
+			alert(`Failed to import test cases: ${err.message}`);
+		}
+	});
+	el("case_reset").addEventListener("click", () => {
+		if (!confirm("Discard edited test cases, and restore the defaults?"))
+			return;
+		CaseCatalog.clear_stored();
+		catalog = new CaseCatalog(defaults.cases.map(c => Object.assign({}, c)));
+		render(catalog, null);
+		refresh(0);
+	});
+	function replace(other){
+		catalog = other;
+		changed(0, null);
+	}
+	refresh(0);
+	return replace;
+}
\ No newline at end of file
@@ -0,0 +1,62 @@
+/** Node churn between serializations of a test case. `HTMLSerialize.assign_id` gives each node
+ * 	a unique id the first time it is serialized, so an id missing from the previous snapshot is a
+ * 	node the browser created, and a missing one a node it destroyed; e.g. text nodes replaced
+ * 	during composition.
+ */
+export class NodeChurn{
+	constructor(){
+		this.reset();
+	}
+	/** Forget the previous snapshot, e.g. when the content is replaced wholesale */
+	reset(){
+		// node ids and test case content of the previous snapshot
+		this.ids = null;
+		this.content = null;
+		// churn that is marked, until the next snapshot
+		this.shown = null;
+		// result of the last update()
+		this.last = null;
+	}
+	/** Compare a serialization with the previous one. Spans of created nodes get the `created`
+	 * 	class, and the ids of destroyed ones are listed in the target's `data-removed` attribute.
+	 * 	Serializing again without changes, e.g. for a selectionchange after an edit, doesn't make a
+	 * 	new snapshot, so the marks of the edit are kept
+	 * @param target serialization output of HTMLSerialize
+	 * @param {String} content the test case's content, e.g. its innerHTML
+	 * @returns {{created: [Number], removed: [Number]} | null} null for the first snapshot, or if
+	 * 	neither the nodes nor the content changed
+	 */
+	update(target, content){
+		const spans = target.querySelectorAll("[data-sid]");
+		const ids = new Set(Array.from(spans, s => +s.dataset.sid));
+		const same = this.ids && content === this.content && ids.size == this.ids.size &&
+			Array.from(ids).every(id => this.ids.has(id));
+		let churn = null;
+		if (this.ids && !same){
+			churn = {created: [], removed: []};
+			for (const id of ids){
+				if (!this.ids.has(id))
+					churn.created.push(id);
+			}
+			for (const id of this.ids){
+				if (!ids.has(id))
+					churn.removed.push(id);
+			}
+		}
+		if (!same){
+			this.ids = ids;
+			this.content = content;
+			this.shown = churn;
+		}
+		const created = new Set(this.shown?.created);
+		for (const s of spans){
+			if (created.has(+s.dataset.sid))
+				s.classList.add("created");
+		}
+		if (this.shown?.removed.length)
+			target.dataset.removed = this.shown.removed.join(" ");
+		else delete target.dataset.removed;
+		this.last = churn;
+		return churn;
+	}
+}
\ No newline at end of file
@@ -0,0 +1,177 @@
+import { HTMLSerialize } from "./serialize.js";
+
+/** Side by side comparison of two recorded sessions, e.g. the same keystrokes typed in two
+ * 	different browsers. Event sequences are aligned by event type (longest common subsequence),
+ * 	and then each aligned pair is compared field by field.
+ */
+
+// entry fields that are compared for aligned events
+export const COMPARE_FIELDS = ["inputType", "data", "cancelable", "ranges", "selection"];
+// markers matching the `pre [data-range]` styles
+const RANGE_MARKERS = {start: "｢", end: "｣", collapsed: "|"};
+
+/** Converts serialization markup from HTMLSerialize to plain text with range markers. Node ids
+ * 	and colors are dropped, since they will differ between browsers. Attributes other than
+ * 	`HTMLSerialize.DEFAULT_ATTRS` are dropped too, so the text doesn't depend on which ones were
+ * 	shown when it was recorded
+ */
+export function markup_text(markup){
+	if (typeof markup !== "string")
+		return markup;
+	const tpl = document.createElement("template");
+	tpl.innerHTML = markup;
+	for (const a of tpl.content.querySelectorAll(".tag_attr[data-attr]")){
+		if (!HTMLSerialize.DEFAULT_ATTRS.includes(a.dataset.attr))
+			a.remove();
+	}
+	for (const a of tpl.content.querySelectorAll("[data-range]"))
+		a.textContent = RANGE_MARKERS[a.dataset.range];
+	return tpl.content.textContent;
+}
+
+/** Align two lists of entries by longest common subsequence of their event type
+ * @returns {[[Object | null, Object | null]]} list of aligned pairs; one side is null
+ * 	when the event has no counterpart in the other session
+ */
+export function align(a, b){
+	const ka = a.map(e => e.type), kb = b.map(e => e.type);
+	// a common prefix and suffix are aligned as is
+	let start = 0, end_a = a.length, end_b = b.length;
+	while (start < end_a && start < end_b && ka[start] === kb[start])
+		start++;
+	while (end_a > start && end_b > start && ka[end_a-1] === kb[end_b-1]){
+		end_a--;
+		end_b--;
+	}
+	const pairs = [];
+	for (let k = 0; k < start; k++)
+		pairs.push([a[k], b[k]]);
+	for (const [i, j] of lcs_align(ka, start, end_a, kb, start, end_b, []))
+		pairs.push([i === null ? null : a[i], j === null ? null : b[j]]);
+	for (let k = 0; k < a.length-end_a; k++)
+		pairs.push([a[end_a+k], b[end_b+k]]);
+	return pairs;
+}
+
+/** LCS alignment of `ka[a0:a1]` and `kb[b0:b1]`, in linear space (Hirschberg's algorithm), since
+ * 	a full table for two long sessions could take hundreds of MB
+ * @param {[[Number | null, Number | null]]} out aligned index pairs are appended to this
+ * @returns out
+ */
+function lcs_align(ka, a0, a1, kb, b0, b1, out){
+	if (a1 - a0 <= 1){
+		const j = a1 > a0 ? kb.indexOf(ka[a0], b0) : -1;
+		const match = j != -1 && j < b1 ? j : b1;
+		if (a1 > a0 && match == b1)
+			out.push([a0, null]);
+		for (let k = b0; k < b1; k++)
+			out.push(k == match ? [a0, k] : [null, k]);
+		return out;
+	}
+	// split a in half, and b where the LCS lengths of the two halves add up to the most
+	const mid = (a0 + a1) >> 1;
+	const fwd = lcs_lengths(ka, a0, mid, kb, b0, b1, false),
+		back = lcs_lengths(ka, mid, a1, kb, b0, b1, true);
+	let split = 0;
+	for (let j = 1; j <= b1-b0; j++){
+		if (fwd[j] + back[b1-b0-j] > fwd[split] + back[b1-b0-split])
+			split = j;
+	}
+	lcs_align(ka, a0, mid, kb, b0, b0+split, out);
+	return lcs_align(ka, mid, a1, kb, b0+split, b1, out);
+}
+/** LCS lengths of `ka[a0:a1]` with each prefix of `kb[b0:b1]`, or with each suffix if reverse
+ * @returns {Uint32Array} length for each prefix/suffix length
+ */
+function lcs_lengths(ka, a0, a1, kb, b0, b1, reverse){
+	const m = b1-b0;
+	let prev = new Uint32Array(m+1), cur = new Uint32Array(m+1);
+	for (let i = 0; i < a1-a0; i++){
+		const x = reverse ? ka[a1-1-i] : ka[a0+i];
+		for (let j = 1; j <= m; j++){
+			cur[j] = x === (reverse ? kb[b1-j] : kb[b0+j-1])
+				? prev[j-1] + 1
+				: Math.max(prev[j], cur[j-1]);
+		}
+		[prev, cur] = [cur, prev];
+	}
+	return prev;
+}
+
+/** Fields that differ between two aligned entries
+ * @returns {Set<String>} differing field names from COMPARE_FIELDS
+ */
+export function diff_fields(a, b){
+	const out = new Set();
+	for (const f of COMPARE_FIELDS){
+		let va = a[f], vb = b[f];
+		if (f == "ranges" || f == "selection"){
+			va = markup_text(va);
+			vb = markup_text(vb);
+		}
+		if (JSON.stringify(va) !== JSON.stringify(vb))
+			out.add(f);
+	}
+	return out;
+}
+
+/** Render a comparison table of two sessions
+ * @param {Session} sa first session
+ * @param {Session} sb second session
+ * @param {Boolean} ignore_selection exclude selectionchange events, whose count tends to vary a
+ * 	lot between browsers
+ * @returns {HTMLTableElement} table with one row per aligned pair; rows have class `missing`
+ * 	(event order differs) or `differs` (some fields differ), and differing fields have class `diff`
+ */
+export function compare_sessions(sa, sb, ignore_selection = true){
+	const filter = (entries) => ignore_selection ? entries.filter(e => e.type != "selectionchange") : entries;
+	const table = document.createElement("table");
+	table.className = "compare";
+	const head = table.createTHead().insertRow();
+	for (const txt of ["#", sa.user_agent, sb.user_agent]){
+		const th = document.createElement("th");
+		th.textContent = txt;
+		head.appendChild(th);
+	}
+	const body = table.createTBody();
+	let idx = 0;
+	for (const [a, b] of align(filter(sa.entries), filter(sb.entries))){
+		const row = body.insertRow();
+		row.insertCell().textContent = idx++;
+		const diff = a && b ? diff_fields(a, b) : null;
+		if (!diff)
+			row.className = "missing";
+		else if (diff.size)
+			row.className = "differs";
+		for (const entry of [a, b])
+			row.insertCell().appendChild(entry ? entry_fields(entry, diff) : document.createTextNode("—"));
+	}
+	return table;
+}
+
+/** Compact listing of the compared fields for an entry */
+function entry_fields(entry, diff){
+	const root = document.createElement("div");
+	const b = document.createElement("b");
+	b.textContent = entry.inputType ? `${entry.type}.${entry.inputType}` : entry.type;
+	if (diff?.has("inputType"))
+		b.className = "diff";
+	const list = document.createElement("ul");
+	root.append(b, ` (case ${entry.case})`, list);
+	for (const f of COMPARE_FIELDS){
+		if (!(f in entry) || f == "inputType")
+			continue;
+		const li = document.createElement("li");
+		li.textContent = `${f}: `;
+		if (diff?.has(f))
+			li.className = "diff";
+		if (f == "ranges" || f == "selection"){
+			const pre = document.createElement("pre");
+			pre.innerHTML = entry[f];
+			li.appendChild(pre);
+		}
+		else li.textContent += JSON.stringify(entry[f]);
+		list.appendChild(li);
+	}
+	return root;
+}
\ No newline at end of file
@@ -0,0 +1,70 @@
+/** Collapses the log messages of a composition, from compositionstart to compositionend, into a
+ * 	single expandable group, so that long runs of updates don't push everything else out of the
+ * 	log. The group's header summarizes the composition: final data, number of updates, duration,
+ * 	and which of `NOTED` inputTypes occurred.
+ */
+export class CompositionGroup{
+	// inputTypes whose occurrence is shown in the header
+	static NOTED = ["deleteCompositionText", "insertFromComposition"];
+
+	/**
+	 * @param {Object} entry compositionstart entry, see Session
+	 */
+	constructor(entry){
+		this.case = entry.case;
+		this.start = entry.timeStamp;
+		this.end = entry.timeStamp;
+		this.data = entry.data ?? "";
+		this.updates = 0;
+		this.ended = false;
+		// NOTED inputTypes that occurred
+		this.noted = new Set();
+		this.root = document.createElement("details");
+		this.root.className = "composition";
+		this.header = document.createElement("summary");
+		// messages, in reverse temporal order like the log
+		this.list = document.createElement("div");
+		this.root.append(this.header, this.list);
+	}
+	/** Whether an entry belongs in the group */
+	accepts(entry){
+		return !this.ended && entry.case == this.case;
+	}
+	/** Add an entry to the group
+	 * @param {Object} entry event entry
+	 * @param {Element} msg log message for the entry
+	 */
+	add(entry, msg){
+		this.list.prepend(msg);
+		this.end = entry.timeStamp;
+		switch (entry.type){
+			case "compositionupdate":
+				this.updates++;
+				// fall through
+			case "compositionend":
+				this.data = entry.data ?? this.data;
+				break;
+		}
+		if (entry.type == "compositionend")
+			this.ended = true;
+		if (CompositionGroup.NOTED.includes(entry.inputType))
+			this.noted.add(entry.inputType);
+		this.render();
+	}
+	/** Update the header */
+	render(){
+		const parts = [
+			`data: ${JSON.stringify(this.data)}`,
+			`${this.updates} update${this.updates == 1 ? "" : "s"}`,
+			`${Math.round(this.end - this.start)}ms`
+		];
+		for (const inputType of CompositionGroup.NOTED)
+			parts.push(`${inputType}: ${this.noted.has(inputType) ? "yes" : "no"}`);
+		if (!this.ended)
+			parts.push("in progress");
+		this.header.replaceChildren();
+		const b = document.createElement("b");
+		b.textContent = "composition:";
+		this.header.append(b, " " + parts.join(", "));
+	}
+}
\ No newline at end of file
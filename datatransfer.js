@@ -0,0 +1,48 @@
+import { serialize, HTMLSerialize } from "./serialize.js";
+
+/** Snapshot of a DataTransfer, as JSON serializable entry fields. Browsers only expose the data
+ * 	while the event is being dispatched, so it must be read inside the listener.
+ * @param {DataTransfer} dt event's dataTransfer or clipboardData
+ * @returns {Object} with fields:
+ * 	- types: `[String]` from `types`
+ * 	- data: `{type: String}` from `getData()`, for each string type
+ * 	- items: `[{kind, type}]` from `items`
+ * 	- files: `[{name, size, type}]` from `files`
+ * 	- dropEffect, effectAllowed
+ * 	- html: serialization markup of the `text/html` data, if there is any
+ */
+export function inspect_data_transfer(dt){
+	const out = {
+		types: Array.from(dt.types),
+		data: {},
+		items: [],
+		files: [],
+		dropEffect: dt.dropEffect,
+		effectAllowed: dt.effectAllowed
+	};
+	for (const type of out.types){
+		// file types have no string data
+		if (type != "Files")
+			out.data[type] = dt.getData(type);
+	}
+	// items is missing in some older browsers
+	for (const item of dt.items || [])
+		out.items.push({kind: item.kind, type: item.type});
+	for (const file of dt.files)
+		out.files.push({name: file.name, size: file.size, type: file.type});
+	const html = out.data["text/html"];
+	if (html)
+		out.html = html_markup(html);
+	return out;
+}
+
+/** Serialization markup for an HTML string, e.g. clipboard contents */
+function html_markup(html){
+	const tpl = document.createElement("template");
+	tpl.innerHTML = html;
+	const pre = document.createElement("pre");
+	serialize(tpl.content, pre);
+	// the fragment is discarded, so its ids aren't needed again
+	HTMLSerialize.counter.delete(tpl.content);
+	return pre.innerHTML;
+}
\ No newline at end of file
@@ -679,7 +679,9 @@ class RangeTracker{
 	mark_immediate(node){
 
 	}
-	mark_buffered()
+	mark_buffered(){
+
+	}
 }
 
 export function emulate_composition_proposals(editor){
@@ -749,10 +751,12 @@ export function emulate_composition_proposals(editor){
 				if (el.nodeType !== Node.TEXT_NODE)
 					throw Error("composition created HTMLElements");
 				pt_start += el.length;
+				el = el.nextSibling;
 			}
 			let pt_end = pt_start + rs.length;
 			pt_start += range.startOffset;
 			while (el !== re){
+				el = el.nextSibling;
 				if (el.nodeType !== Node.TEXT_NODE)
 					throw Error("composition created HTMLElements");
 				pt_end += el.length;
@@ -0,0 +1,111 @@
+/** Range of mutations, as returned by `MutationDiff.range()`. Like the builtin Range interface,
+ * 	but each anchor is encoded relative to a node that is outside the range: the start anchor is
+ * 	either after a node (its previous sibling), or inside a node at its start (its parent); and
+ * 	likewise, the end anchor is either before a node, or inside a node at its end. Mutations
+ * 	inside the range therefore do not corrupt the range.
+ *
+ * @member {{node: Node, sibling: Boolean}} start start anchor; if `sibling`, the range starts after
+ * 	`node`, otherwise after the opening of `node`
+ * @member {{node: Node, sibling: Boolean}} end end anchor; if `sibling`, the range ends before
+ * 	`node`, otherwise before the closing of `node`
+ */
+export class MutatedRange{
+	constructor(){
+		this.start = null;
+		this.end = null;
+	}
+	/** Set the start anchor
+	 * @param {Node} node anchor node
+	 * @param {Boolean} sibling if true, start after `node`; otherwise start inside `node`, before its
+	 * 	first child
+	 * @param {Boolean} collapse also set the end anchor to the same position
+	 */
+	setStart(node, sibling, collapse=false){
+		this.start = {node, sibling};
+		if (collapse)
+			this.end = sibling && node.nextSibling ? {node: node.nextSibling, sibling: true} : {node: sibling ? node.parentNode : node, sibling: false};
+	}
+	/** Set the end anchor
+	 * @param {Node} node anchor node
+	 * @param {Boolean} sibling if true, end before `node`; otherwise end inside `node`, after its
+	 * 	last child
+	 * @param {Boolean} collapse also set the start anchor to the same position
+	 */
+	setEnd(node, sibling, collapse=false){
+		this.end = {node, sibling};
+		if (collapse)
+			this.start = sibling && node.previousSibling ? {node: node.previousSibling, sibling: true} : {node: sibling ? node.parentNode : node, sibling: false};
+	}
+	/** Set range to surround a single node
+	 * @param {Node} node the node to surround; it must have a parent
+	 */
+	selectNode(node){
+		const p = node.parentNode;
+		if (!p)
+			throw Error("can't select a node without a parent");
+		this.start = node.previousSibling ? {node: node.previousSibling, sibling: true} : {node: p, sibling: false};
+		this.end = node.nextSibling ? {node: node.nextSibling, sibling: true} : {node: p, sibling: false};
+	}
+	/** Make a copy of this range object */
+	cloneRange(){
+		const r = new MutatedRange();
+		r.start = Object.assign({}, this.start);
+		r.end = Object.assign({}, this.end);
+		return r;
+	}
+	/** Extend this range to include the bounds of another MutatedRange
+	 * @param {MutatedRange} other range to enclose
+	 * @throws if the ranges are in disconnected DOM trees
+	 */
+	extend(other){
+		if (compare_points(anchor_point(other.start, true), anchor_point(this.start, true)) < 0)
+			this.start = Object.assign({}, other.start);
+		if (compare_points(anchor_point(other.end, false), anchor_point(this.end, false)) > 0)
+			this.end = Object.assign({}, other.end);
+	}
+	/** Whether the start and end anchors are at the same position in the current DOM */
+	get collapsed(){
+		return !compare_points(anchor_point(this.start, true), anchor_point(this.end, false));
+	}
+	/** Check if range exactly matches another, including how its anchors are encoded
+	 * @param {MutatedRange} other range to compare with
+	 */
+	isEqual(other){
+		const same = (a, b) => a.node === b.node && a.sibling === b.sibling;
+		return same(this.start, other.start) && same(this.end, other.end);
+	}
+	/** Convert to Range interface, for the current DOM */
+	toRange(){
+		const r = document.createRange();
+		r.setStart(...anchor_point(this.start, true));
+		r.setEnd(...anchor_point(this.end, false));
+		return r;
+	}
+	/** Convert to StaticRange interface, for the current DOM */
+	toStaticRange(){
+		const [startContainer, startOffset] = anchor_point(this.start, true);
+		const [endContainer, endOffset] = anchor_point(this.end, false);
+		return new StaticRange({startContainer, startOffset, endContainer, endOffset});
+	}
+}
+
+/** Anchor to a Range boundary point in the current DOM
+ * @param {Boolean} start whether it is a start anchor
+ * @returns {[Node, Number]} container and offset
+ */
+function anchor_point(anchor, start){
+	const {node, sibling} = anchor;
+	if (!sibling)
+		return [node, start ? 0 : node.childNodes.length];
+	const p = node.parentNode;
+	const idx = Array.prototype.indexOf.call(p.childNodes, node);
+	return [p, start ? idx+1 : idx];
+}
+/** Compare two boundary points
+ * @returns {Number} -1, 0 or 1 if `a` is before, equal to, or after `b`
+ */
+function compare_points(a, b){
+	const r = document.createRange();
+	r.setStart(...b);
+	return r.comparePoint(...a);
+}
\ No newline at end of file
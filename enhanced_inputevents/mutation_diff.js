@@ -274,7 +274,7 @@ export class MutationDiff{
 						}
 					}
 					// attributes
-					if (filter & MutationDiff.ATTRIBUTES){
+					if (filter & MutationDiff.ATTRIBUTE){
 						let has_attrs = false;
 						const attrs = {};
 						for (const [key, op] of cache.native.entries()){
@@ -1,5 +1,6 @@
 import { MutatedRange } from "./mutated_range.js";
 import { MutationDiff } from "./mutation_diff.js";
+import { parse_string, serialize_string } from "../serialize.js";
 
 var output_el, toggle_el;
 var should_stop = null;
@@ -246,6 +247,52 @@ class Tester{
 }
 
 
+/* parse_string/serialize_string fixtures: marked up string, and fn(root) giving the expected
+	[container, offset] of each marker, in order; `out` is the serialization if it differs from `str`
+*/
+const FIXTURES = [
+	{str: "<b>te|xt</b>", points: r => [[r.firstChild.firstChild, 2]]},
+	{str: "x<sup>3|</sup>(y<sub>[i]</sub>)", points: r => {
+		const sup = r.childNodes[1], sub = r.childNodes[3];
+		return [[sup.firstChild, 1], [sub.firstChild, 0], [sub.firstChild, 1]];
+	}},
+	{str: "{a}<b>c{d</b>e}", points: r => [[r, 0], [r, 1], [r.childNodes[1], 1], [r, 3]]},
+	{str: "<i>|</i><br>|", points: r => [[r.firstChild, 0], [r, 2]]},
+	{str: "a[b&#124;]c", points: r => [[r.firstChild, 1], [r.firstChild, 3]]},
+	{str: "<i>[</i>]", points: r => [[r.firstChild.firstChild, 0], [r.lastChild, 0]]},
+	{str: "<!--0-->a<!--1-->b|", out: "ab|", points: r => [[r.firstChild, 2]]}
+];
+function fixture_tests(){
+	try{
+		for (const [i, f] of FIXTURES.entries()){
+			const name = `fixture ${i} ${f.str}`;
+			const {root, ranges} = parse_string(f.str);
+			const out = serialize_string(root, ranges);
+			if (out !== (f.out ?? f.str))
+				throw Error(`${name}: serialized as ${out}`);
+			const actual = ranges.flatMap(r => r.collapsed
+				? [[r.startContainer, r.startOffset]]
+				: [[r.startContainer, r.startOffset], [r.endContainer, r.endOffset]]);
+			const expected = f.points(root);
+			if (actual.length != expected.length || actual.some(([n, o], j) => n !== expected[j][0] || o !== expected[j][1])){
+				console.error("actual:", actual, "expected:", expected);
+				throw Error(`${name}: wrong range boundaries`);
+			}
+			// static ranges, and node ids, which are dropped when parsing
+			const statics = parse_string(serialize_string(root, ranges, true), undefined, true);
+			if (serialize_string(statics.root, statics.ranges) !== out)
+				throw Error(`${name}: round trip with node ids failed`);
+			console.log(`test ${name} passed`);
+		}
+		output_el.className = "good";
+		output_el.textContent = "fixture tests passed";
+	} catch(err){
+		output_el.className = "bad";
+		output_el.textContent = err.message;
+		throw err;
+	}
+}
+
 // For reproducible randomized tests:
 // copied from here: https://stackoverflow.com/questions/521295
 const seed = cyrb128("mutations");
@@ -494,6 +541,7 @@ window.toggle_running = async function(btn){
 	await force_redraw();
 
 	// manual cases first
+	fixture_tests();
 	const t = new Tester();
 	let root = node();
 	let [A,B,C,D] = nodes(4);
@@ -542,6 +590,27 @@ window.toggle_running = async function(btn){
 	t.check_revert("defer 1")
 	//*/
 
+	//*/ parsed test 1: ranges from markers pick what to mutate
+	let [caret, word] = parse_string("x<sup>3|</sup>(y<sub>[i]</sub>)", root).ranges;
+	t.start(root);
+	word.deleteContents();
+	caret.insertNode(text("4"));
+	word.insertNode(node());
+	t.stop();
+	t.revert();
+	t.check_revert("parsed 1");
+	//*/
+
+	//*/ parsed test 2: between node positions, multiple ranges
+	let [first, tail] = parse_string("{a}<b>c{d</b>e}", root).ranges;
+	t.start(root);
+	tail.deleteContents();
+	first.insertNode(text("f"));
+	t.stop();
+	t.revert();
+	t.check_revert("parsed 2");
+	//*/
+
 	//* random tests
 	const seed = null;
 	!seed ? random.randomSeed() : random.setSeed(seed);
@@ -0,0 +1,93 @@
+import { markup_text } from "./compare.js";
+
+/** Expected behavior annotations for a test case, checked live as the user edits. Each
+ * 	expectation is an object with
+ * 	- `name`: shown on its badge
+ * 	- `inputType`, `data`: the edit the `ranges` and `html` checks apply to; `data` is optional
+ * 	- `ranges`: expected target ranges of the edit's beforeinput, as plain text with range
+ * 		markers (see `markup_text()`), e.g. `pictur<u>esque</u>|`
+ * 	- `html`: expected innerHTML of the test case after the edit's input
+ * 	- `sequence`: expected inputTypes of the beforeinput events since the test case gained focus
+ * 	All checks are optional. An expectation fails if any of its checks failed for the last
+ * 	matching edit.
+ */
+export class CaseExpectations{
+	/**
+	 * @param {[Object]} expectations
+	 * @param {Element} badges container to render pass/fail badges in
+	 */
+	constructor(expectations, badges){
+		this.expectations = expectations;
+		this.badges = badges;
+		this.reset();
+	}
+	/** Forget all results */
+	reset(){
+		// per expectation: {check name: true/false/"pending"}, and {check name: detail for failures}
+		this.results = this.expectations.map(() => ({status: {}, detail: {}}));
+		this.restart();
+	}
+	/** Start a new inputType sequence, e.g. when the test case gains focus */
+	restart(){
+		this.sequence = [];
+		this.expectations.forEach((x, i) => {
+			if (x.sequence)
+				this.set(i, "sequence", null);
+		});
+		this.render();
+	}
+	set(i, check, ok, detail = ""){
+		const r = this.results[i];
+		r.status[check] = ok;
+		r.detail[check] = ok === false ? detail : "";
+	}
+	/** Check an event entry of this test case, see Session */
+	check(entry){
+		if (entry.type != "beforeinput" && entry.type != "input")
+			return;
+		if (entry.type == "beforeinput")
+			this.sequence.push(entry.inputType);
+		this.expectations.forEach((x, i) => {
+			if (entry.type == "beforeinput" && x.sequence){
+				const seq = this.sequence, n = seq.length;
+				let ok = seq.every((t, j) => t === x.sequence[j]);
+				if (ok && n < x.sequence.length)
+					ok = "pending";
+				this.set(i, "sequence", ok, `expected ${x.sequence.join(", ")}; got ${seq.join(", ")}`);
+			}
+			if (x.inputType !== entry.inputType || ("data" in x && x.data !== entry.data))
+				return;
+			if (entry.type == "beforeinput"){
+				// new edit, so results for the last one are stale
+				this.set(i, "html", null);
+				if ("ranges" in x){
+					const actual = entry.ranges ? markup_text(entry.ranges) : "";
+					this.set(i, "ranges", actual === x.ranges, `target ranges: expected ${x.ranges}; got ${actual || "none"}`);
+				}
+			}
+			else if ("html" in x)
+				this.set(i, "html", entry.html === x.html, `html: expected ${x.html}; got ${entry.html}`);
+		});
+		this.render();
+	}
+	/** Overall status of an expectation: "pass", "fail", "pending" or "untested" */
+	status(i){
+		const values = Object.values(this.results[i].status);
+		if (values.includes(false))
+			return "fail";
+		if (values.includes("pending"))
+			return "pending";
+		return values.includes(true) ? "pass" : "untested";
+	}
+	render(){
+		this.badges.replaceChildren();
+		this.expectations.forEach((x, i) => {
+			const badge = document.createElement("span");
+			const status = this.status(i);
+			badge.className = `badge ${status}`;
+			badge.textContent = `${x.name || `expectation ${i}`}: ${status}`;
+			badge.title = Object.values(this.results[i].detail).filter(d => d).join("\n");
+			this.badges.appendChild(badge);
+		});
+	}
+}
\ No newline at end of file
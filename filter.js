@@ -0,0 +1,69 @@
+import { markup_text } from "./compare.js";
+
+/** Filters for which entries are shown in the event log. Each filter is optional; when one is
+ * 	set, entries lacking the field it tests are hidden, e.g. an inputType filter hides events
+ * 	that have no inputType.
+ */
+
+// cancel outcome => test for an entry
+export const CANCEL_OUTCOMES = {
+	cancelled: (e) => e.defaultPrevented,
+	"not cancelled": (e) => !e.defaultPrevented,
+	// preventDefault was called, but the browser ignored it
+	"cancel failed": (e) => e.cancel_attempted && !e.defaultPrevented
+};
+
+/** RegExp from user input, or null if it is empty or invalid */
+function user_regex(src){
+	if (!src)
+		return null;
+	try{
+		return new RegExp(src);
+	} catch(err){
+		return null;
+	}
+}
+
+/** Text of an entry that search matches against: data, dataTransfer strings, and serialized
+ * 	content as plain text
+ */
+export function entry_text(entry){
+	const parts = [];
+	if (typeof entry.data === "string")
+		parts.push(entry.data);
+	const dt = entry.dataTransfer;
+	if (dt)
+		parts.push(...Object.values(dt.data || dt));
+	for (const markup of [entry.ranges, entry.selection, entry.emulated?.result, entry.emulated?.native])
+		if (typeof markup === "string")
+			parts.push(markup_text(markup));
+	return parts.join("\n");
+}
+
+/** Create a predicate for which entries to show
+ * @param {Object} opts filters; empty ones match anything:
+ * 	- type: regex for the event type
+ * 	- inputType: regex for the inputType
+ * 	- case_idx: test case index, -1 for events outside test cases, or "" for any
+ * 	- cancel: key of `CANCEL_OUTCOMES`, tested against beforeinput entries
+ * 	- search: case insensitive text, see `entry_text()`
+ * @returns {Function} `fn(entry)` returning true if the entry should be shown
+ */
+export function entry_filter({type = "", inputType = "", case_idx = "", cancel = "", search = ""} = {}){
+	const tests = [];
+	const type_re = user_regex(type),
+		input_re = user_regex(inputType);
+	if (type_re)
+		tests.push(e => type_re.test(e.type));
+	if (input_re)
+		tests.push(e => "inputType" in e && input_re.test(e.inputType));
+	if (case_idx !== "")
+		tests.push(e => e.case == case_idx);
+	if (cancel in CANCEL_OUTCOMES)
+		tests.push(e => e.type == "beforeinput" && CANCEL_OUTCOMES[cancel](e));
+	if (search){
+		const needle = search.toLowerCase();
+		tests.push(e => entry_text(e).toLowerCase().includes(needle));
+	}
+	return (entry) => tests.every(t => t(entry));
+}
\ No newline at end of file
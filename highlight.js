@@ -0,0 +1,99 @@
+/** Highlights ranges inside the test cases themselves, complementing the markers in the
+ * 	serialization `<pre>`. Range contents use the CSS Custom Highlight API when available, and
+ * 	otherwise absolutely positioned overlay boxes. Start, end and collapsed points are always drawn
+ * 	as overlay markers, since highlights can't style a point. Range `i` is colored with the CSS
+ * 	variable `--range-{i % COLORS}`, which the `data-rid` markers also use.
+ */
+export class RangeHighlighter{
+	// number of --range-N colors defined in styles.css
+	static COLORS = 4;
+	// CSS highlight name for a color index
+	static NAME = "target_range_";
+
+	constructor(){
+		this.supported = typeof Highlight !== "undefined" && !!CSS.highlights;
+		this.layer = document.createElement("div");
+		this.layer.className = "range_overlay";
+		document.body.appendChild(this.layer);
+		this.ranges = [];
+		window.addEventListener("resize", () => this.refresh());
+	}
+	/** Highlight ranges, replacing any shown before
+	 * @param {[Range]} ranges live ranges, so they follow DOM changes until the next `show()`
+	 */
+	show(ranges){
+		this.ranges = ranges;
+		this.refresh();
+	}
+	clear(){
+		this.show([]);
+	}
+	/** Redraw, e.g. after the DOM or layout changed */
+	refresh(){
+		this.layer.replaceChildren();
+		if (this.supported){
+			for (let c = 0; c < RangeHighlighter.COLORS; c++)
+				CSS.highlights.delete(RangeHighlighter.NAME + c);
+		}
+		const groups = new Map();
+		this.ranges.forEach((r, i) => {
+			const color = i % RangeHighlighter.COLORS;
+			if (!r.collapsed){
+				if (this.supported){
+					if (!groups.has(color))
+						groups.set(color, []);
+					groups.get(color).push(r);
+				}
+				else for (const rect of r.getClientRects())
+					this.box("range_fill", color, rect);
+				this.box("range_point start", color, point_rect(r.startContainer, r.startOffset));
+				this.box("range_point end", color, point_rect(r.endContainer, r.endOffset));
+			}
+			else this.box("range_point collapsed", color, point_rect(r.startContainer, r.startOffset));
+		});
+		for (const [color, ranges] of groups)
+			CSS.highlights.set(RangeHighlighter.NAME + color, new Highlight(...ranges));
+	}
+	/** Add an overlay box at a viewport rect */
+	box(clazz, color, rect){
+		if (!rect)
+			return;
+		const el = document.createElement("div");
+		el.className = clazz;
+		el.style.setProperty("--range-color", `var(--range-${color})`);
+		el.style.left = `${rect.left + window.scrollX}px`;
+		el.style.top = `${rect.top + window.scrollY}px`;
+		el.style.width = `${rect.width}px`;
+		el.style.height = `${rect.height}px`;
+		this.layer.appendChild(el);
+	}
+}
+
+/** Viewport rect of a boundary point, with zero width; null if it has no layout */
+function point_rect(node, offset){
+	const r = document.createRange();
+	r.setStart(node, offset);
+	let rect = r.getBoundingClientRect();
+	// collapsed ranges between elements often have no rect, so use an adjacent node's edge
+	if (!rect.height && node.nodeType == Node.ELEMENT_NODE){
+		const after = node.childNodes[offset], before = node.childNodes[offset-1];
+		const edge = (n) => {
+			const nr = document.createRange();
+			nr.selectNode(n);
+			return nr.getBoundingClientRect();
+		};
+		if (after){
+			const b = edge(after);
+			rect = new DOMRect(b.left, b.top, 0, b.height);
+		}
+		else if (before){
+			const b = edge(before);
+			rect = new DOMRect(b.right, b.top, 0, b.height);
+		}
+		else{
+			const b = node.getBoundingClientRect();
+			rect = new DOMRect(b.left, b.top, 0, b.height);
+		}
+	}
+	return rect.height ? new DOMRect(rect.left, rect.top, 0, rect.height) : null;
+}
\ No newline at end of file
@@ -0,0 +1,198 @@
+import { serialize, HTMLSerialize } from "./serialize.js";
+import { INPUT_TYPES } from "./policy.js";
+import { case_options } from "./cases.js";
+import { emulate_composition_proposals } from "./enhanced_inputevents/emulate.js";
+
+/** Builds and dispatches synthetic InputEvents, to test `beforeinput` handlers without an IME.
+ * 	Synthetic events go through the tester's usual listeners; since they are not trusted, the log
+ * 	marks them as synthetic.
+ */
+
+/** Build a DataTransfer from strings
+ * @param {Object} data `{type: String}`; empty strings are left out
+ * @returns {DataTransfer | null} null if there is no data
+ */
+function make_data_transfer(data){
+	const types = Object.keys(data).filter(t => data[t]);
+	if (!types.length)
+		return null;
+	const dt = new DataTransfer();
+	for (const t of types)
+		dt.setData(t, data[t]);
+	return dt;
+}
+
+/** Dispatch synthetic events at a test case
+ * @param {Element} target test case
+ * @param {Object} opts event options:
+ * 	- kind: "beforeinput", "input", "both" for beforeinput then input, or "composition" for a
+ * 		composition that types `data` one character at a time
+ * 	- inputType, data, isComposing, cancelable
+ * 	- dataTransfer: DataTransfer or null
+ * 	- ranges: `[StaticRange]` target ranges
+ * @returns {[Event]} the events dispatched
+ */
+export function inject(target, opts){
+	const events = [];
+	const fire = (evt) => {
+		target.dispatchEvent(evt);
+		events.push(evt);
+		return evt;
+	};
+	const input_event = (type, init) => new InputEvent(type, {
+		bubbles: true,
+		cancelable: type == "beforeinput" && opts.cancelable,
+		composed: true,
+		inputType: opts.inputType,
+		data: opts.data,
+		dataTransfer: opts.dataTransfer,
+		isComposing: opts.isComposing,
+		targetRanges: type == "beforeinput" ? opts.ranges : [],
+		...init
+	});
+	if (opts.kind == "composition"){
+		const data = opts.data ?? "";
+		fire(new CompositionEvent("compositionstart", {bubbles: true, data: ""}));
+		for (let i = 1; i <= data.length; i++){
+			const partial = data.slice(0, i);
+			fire(new CompositionEvent("compositionupdate", {bubbles: true, data: partial}));
+			const init = {inputType: "insertCompositionText", data: partial, isComposing: true};
+			fire(input_event("beforeinput", init));
+			fire(input_event("input", init));
+		}
+		fire(new CompositionEvent("compositionend", {bubbles: true, data}));
+		return events;
+	}
+	let before = null;
+	if (opts.kind != "input")
+		before = fire(input_event("beforeinput"));
+	// a cancelled beforeinput has no input
+	if (opts.kind != "beforeinput" && !before?.defaultPrevented)
+		fire(input_event("input"));
+	return events;
+}
+
+/** Position under a point in the viewport, e.g. from a click
+ * @returns {[Node, Number] | null}
+ */
+function caret_from_point(x, y){
+	if (document.caretPositionFromPoint){
+		const p = document.caretPositionFromPoint(x, y);
+		return p ? [p.offsetNode, p.offset] : null;
+	}
+	const r = document.caretRangeFromPoint?.(x, y);
+	return r ? [r.startContainer, r.startOffset] : null;
+}
+
+/** Wire up the injection panel
+ * @param {Element} container element holding the test cases and their serialization `<pre>`
+ * @param {Function} get_cases `fn()` returning the current test case elements
+ * @returns {Function} `fn()` to call after the test cases change
+ */
+export function injection_panel(container, get_cases){
+	const el = (id) => document.getElementById(id);
+	const select = el("inject_case"),
+		kind = el("inject_kind"),
+		input_type = el("inject_input_type"),
+		data = el("inject_data"),
+		data_null = el("inject_data_null"),
+		plain = el("inject_plain"),
+		html = el("inject_html"),
+		composing = el("inject_composing"),
+		cancelable = el("inject_cancelable"),
+		pick = el("inject_pick"),
+		preview = el("inject_ranges"),
+		emulate = el("inject_emulate");
+	for (const t of INPUT_TYPES)
+		input_type.add(new Option(t, t));
+	// test cases emulate.js was attached to; it can't be detached
+	const emulated = new WeakSet();
+	// target ranges as live Ranges, so they follow DOM changes; and first point of a range being picked
+	let ranges = [], picked = null;
+
+	const current = () => get_cases()[+select.value];
+	function show_ranges(){
+		const root = current();
+		if (!ranges.length || !root)
+			preview.textContent = "none";
+		else serialize(root, preview, ranges);
+		emulate.checked = emulate.disabled = !!root && emulated.has(root);
+	}
+	function clear(){
+		ranges = [];
+		picked = null;
+		show_ranges();
+	}
+
+	// picking ranges by clicking the serialization; the first click sets the start, the second the end
+	container.addEventListener("click", (e) => {
+		if (!pick.checked)
+			return;
+		const pre = e.target.closest("pre");
+		const idx = get_cases().indexOf(pre?.previousElementSibling);
+		if (idx == -1)
+			return;
+		const caret = caret_from_point(e.clientX, e.clientY);
+		const point = caret && HTMLSerialize.resolve(get_cases()[idx], ...caret);
+		if (!point)
+			return;
+		if (+select.value != idx){
+			select.value = idx;
+			clear();
+		}
+		if (!picked){
+			picked = point;
+			return;
+		}
+		const r = document.createRange();
+		r.setStart(...picked);
+		r.setEnd(...point);
+		// clicked end before start: setEnd collapses to the end
+		if (r.collapsed){
+			r.setStart(...point);
+			r.setEnd(...picked);
+		}
+		ranges.push(r);
+		picked = null;
+		show_ranges();
+	});
+	select.addEventListener("change", clear);
+	el("inject_clear").addEventListener("click", clear);
+	el("inject_selection").addEventListener("click", () => {
+		const sel = window.getSelection();
+		ranges = [];
+		for (let i = 0; i < sel.rangeCount; i++)
+			ranges.push(sel.getRangeAt(i).cloneRange());
+		show_ranges();
+	});
+	emulate.addEventListener("change", () => {
+		const root = current();
+		if (!root || emulated.has(root))
+			return;
+		emulate_composition_proposals(root);
+		emulated.add(root);
+		show_ranges();
+	});
+	el("inject_dispatch").addEventListener("click", () => {
+		const root = current();
+		if (!root)
+			return;
+		inject(root, {
+			kind: kind.value,
+			inputType: input_type.value,
+			data: data_null.checked ? null : data.value,
+			dataTransfer: make_data_transfer({"text/plain": plain.value, "text/html": html.value}),
+			isComposing: composing.checked,
+			cancelable: cancelable.checked,
+			ranges: ranges.map(r => new StaticRange(r))
+		});
+		show_ranges();
+	});
+
+	// test case options
+	function update(){
+		case_options(select, get_cases().length, [], "0");
+		clear();
+	}
+	return update;
+}
\ No newline at end of file
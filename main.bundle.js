@@ -1,6 +1,57 @@
 (function () {
   'use strict';
 
+  function ownKeys(object, enumerableOnly) {
+    var keys = Object.keys(object);
+    if (Object.getOwnPropertySymbols) {
+      var symbols = Object.getOwnPropertySymbols(object);
+      enumerableOnly && (symbols = symbols.filter(function (sym) {
+        return Object.getOwnPropertyDescriptor(object, sym).enumerable;
+      })), keys.push.apply(keys, symbols);
+    }
+    return keys;
+  }
+  function _objectSpread2(target) {
+    for (var i = 1; i < arguments.length; i++) {
+      var source = null != arguments[i] ? arguments[i] : {};
+      i % 2 ? ownKeys(Object(source), !0).forEach(function (key) {
+        _defineProperty(target, key, source[key]);
+      }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) {
+        Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key));
+      });
+    }
+    return target;
+  }
+  function asyncGeneratorStep(gen, resolve, reject, _next, _throw, key, arg) {
+    try {
+      var info = gen[key](arg);
+      var value = info.value;
+    } catch (error) {
+      reject(error);
+      return;
+    }
+    if (info.done) {
+      resolve(value);
+    } else {
+      Promise.resolve(value).then(_next, _throw);
+    }
+  }
+  function _asyncToGenerator(fn) {
+    return function () {
+      var self = this,
+        args = arguments;
+      return new Promise(function (resolve, reject) {
+        var gen = fn.apply(self, args);
+        function _next(value) {
+          asyncGeneratorStep(gen, resolve, reject, _next, _throw, "next", value);
+        }
+        function _throw(err) {
+          asyncGeneratorStep(gen, resolve, reject, _next, _throw, "throw", err);
+        }
+        _next(undefined);
+      });
+    };
+  }
   function _defineProperty(obj, key, value) {
     if (key in obj) {
       Object.defineProperty(obj, key, {
@@ -14,56 +65,108 @@
     }
     return obj;
   }
+  function _readOnlyError(name) {
+    throw new TypeError("\"" + name + "\" is read-only");
+  }
+  function _classPrivateMethodGet(receiver, privateSet, fn) {
+    if (!privateSet.has(receiver)) {
+      throw new TypeError("attempted to get private field on non-instance");
+    }
+    return fn;
+  }
+  function _checkPrivateRedeclaration(obj, privateCollection) {
+    if (privateCollection.has(obj)) {
+      throw new TypeError("Cannot initialize the same private elements twice on an object");
+    }
+  }
+  function _classPrivateMethodInitSpec(obj, privateSet) {
+    _checkPrivateRedeclaration(obj, privateSet);
+    privateSet.add(obj);
+  }
 
   /** Serialize html with some extra features:
    * 	- nodes are tracked and receive a unique id, and for elements, a color
    * 	- a Selection or list of Ranges can be rendered
    * 	- output selectors:
    * 		- span.tag: opening/closing carets and tagname of element; element's color is set as an inline style
-   * 		- span.tag_attr: inline attributes for an element
+   * 		- span.tag_attr: inline attributes for an element; span.tag_prop as well for properties
+   * 			and computed styles, which are shown in brackets
+   * 		- span[data-attr]: for .tag_attr, the name in ATTRS it was shown for
    * 		- span.text: text node; unstyled span's are nested with the text content
+   * 		- span.invisible: with the invisibles option, an invisible character inside a text span; it
+   * 			keeps the character, so offsets are unchanged, and is shown as data-glyph; also
+   * 			the named class if the glyph is an abbreviated name
    * 		- span[data-sid]: for .tag/.text nodes, this holds unique id for the node
    * 		- span[data-range=start/end/collapsed]: selection/range anchor, may be nested inside span.text
    * 		- span[data-rid]: for selection/range anchor, it indicates the range index
+   * 	- form controls (textarea/input) render their value instead, with selectionStart/End as
+   * 		anchors, and selectionDirection as span.tag_attr
+   * 
+   * 	- which attributes and properties are shown is an option, see ATTRS
    * 
-   * To use, create an anonymous object: new HTMLSerialize(options)
+   * To use, create an anonymous object: new HTMLSerialize(src, target, ranges, options)
    */
   class HTMLSerialize {
     // divisions in hue, when rotating colors for next element
 
-    // attributes to serialize; {js attribute -> html attribute}
+    // attributes and properties that can be shown; {name -> fn(el) returning [[label, value]]}
+
+    // names in ATTRS that are properties or computed styles, rather than html attributes
+
+    // names in ATTRS shown by default
+
+    // characters shown by the invisibles option; {char -> [glyph, name]}. Spaces are only shown
+    // next to other whitespace, where they would collapse
 
     // singelton tags/eleemnts
 
-    // counter for unique ids and colors; {container -> {id/hue: int}
+    // range markers for serialize_string; {anchor loc -> {anchor type -> marker}}
+
+    // counter for unique ids and colors; {container -> {id/hue: int}; weak, so removed test cases
+    // are released
 
     /**
      * @param src source element to serialize
      * @param target where to render the serialization
-     * @param {Selection | [Range] | [StaticRange]} ranges specifies anchors to be rendered
+     * @param {Selection | [Range] | [StaticRange]} ranges specifies anchors to be rendered;
+     * 	ignored for form controls, whose own selection is always rendered when ranges is given
+     * @param {Object} options
+     * 	- attrs: names in ATTRS to show for elements; DEFAULT_ATTRS if not given
+     * 	- invisibles: whether to show invisible characters, see INVISIBLE
      */
     constructor(src, target) {
+      var _options$attrs;
       var ranges = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : null;
+      var options = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : {};
       this.src = src;
-      if (!HTMLSerialize.counter.has(src)) HTMLSerialize.counter.set(src, {
-        id: 0,
-        hue: 0
-      });
+      this.attrs = (_options$attrs = options.attrs) !== null && _options$attrs !== void 0 ? _options$attrs : HTMLSerialize.DEFAULT_ATTRS;
+      this.invisibles = !!options.invisibles;
       this.frag = document.createDocumentFragment();
-      this.serialize_recursive(src, ranges ? HTMLSerialize.ranges2anchors(ranges) : null, true);
+      if (is_form_control(src)) this.serialize_value(src, !!ranges);else this.serialize_recursive(src, ranges ? HTMLSerialize.ranges2anchors(ranges) : null, true);
       target.replaceChildren(this.frag);
     }
 
     /** Give each node a unqiue id, and each element a hue. Can be used
     	to indicate whether a node was recreated/destroyed
+    	@param src source element whose counter is used, so ids match its serialization
+    	@param el node to assign an id to; ids are only assigned once
+    	@returns the node's id
     */
-    assign_id(el) {
+    static assign_id(src, el) {
       if (typeof el.serialization === "undefined") {
-        var c = HTMLSerialize.counter.get(this.src);
+        var c = HTMLSerialize.counter.get(src);
+        if (!c) {
+          c = {
+            id: 0,
+            hue: 0
+          };
+          HTMLSerialize.counter.set(src, c);
+        }
         el.serialization = Object.assign({}, c);
         c.id++;
         if (el.nodeType == Node.ELEMENT_NODE) c.hue = (c.hue + 360 / (HTMLSerialize.HUE_DIVS + 0.5)) % 360;
       }
+      return el.serialization.id;
     }
 
     /**
@@ -84,30 +187,24 @@
       // render
       if ("before_open" in a_locs) a_locs["before_open"].forEach(this.add_anchor.bind(this));
       if (!skip) {
-        this.assign_id(el);
+        HTMLSerialize.assign_id(this.src, el);
         // text
         if (istxt) {
           var txt = el.textContent;
+          var shown = this.invisibles ? invisible_offsets(txt) : null;
           var root = this.add_span({
             clazz: "text",
             sid: el.serialization.id
           });
+          var prev = 0;
           if ("inside" in a_locs) {
-            var prev = 0;
             for (var c of a_locs["inside"]) {
-              if (prev != c.pos) this.add_span({
-                txt: txt.substring(prev, c.pos),
-                root
-              });
+              if (prev != c.pos) this.add_text(txt.substring(prev, c.pos), root, prev, shown);
               this.add_anchor(c, root);
               prev = c.pos;
             }
-            txt = txt.substring(prev);
           }
-          if (txt) this.add_span({
-            txt,
-            root
-          });
+          if (prev < txt.length) this.add_text(txt.substring(prev), root, prev, shown);
         }
         // start tag
         else {
@@ -120,13 +217,17 @@
             style: hsl_main,
             sid: el.serialization.id
           });
-          // attributes whitelist
-          for (var attr in HTMLSerialize.SHOW_ATTRS) {
-            if (el[attr]) this.add_span({
-              txt: " ".concat(HTMLSerialize.SHOW_ATTRS[attr], "='").concat(el[attr], "'"),
+          for (var [label, value, prop, name] of HTMLSerialize.attr_values(el, this.attrs)) {
+            var s = prop ? this.add_span({
+              txt: " [".concat(label, "=").concat(value, "]"),
+              clazz: "tag_attr tag_prop",
+              style: hsl_attr
+            }) : this.add_span({
+              txt: " ".concat(label, "='").concat(value, "'"),
               clazz: "tag_attr",
               style: hsl_attr
             });
+            s.dataset.attr = name;
           }
           this.add_span({
             txt: ">",
@@ -155,6 +256,49 @@
       // siblings
       if (!skip && el.nextSibling) this.serialize_recursive(el.nextSibling, anchors);
     }
+
+    /**
+     * @param el textarea or input to serialize the value of
+     * @param selection whether to render the selection
+     */
+    serialize_value(el, selection) {
+      var txt = el.value;
+      var shown = this.invisibles ? invisible_offsets(txt) : null;
+      var root = this.add_span({
+        clazz: "text"
+      });
+      // input types like checkbox have no selection
+      var start = selection ? el.selectionStart : null,
+        end = el.selectionEnd;
+      if (start === null) {
+        if (txt) this.add_text(txt, root, 0, shown);
+        return;
+      }
+      var anchors = start == end ? [{
+        id: 0,
+        type: "collapsed",
+        pos: start
+      }] : [{
+        id: 0,
+        type: "start",
+        pos: start
+      }, {
+        id: 0,
+        type: "end",
+        pos: end
+      }];
+      var prev = 0;
+      for (var c of anchors) {
+        if (prev != c.pos) this.add_text(txt.substring(prev, c.pos), root, prev, shown);
+        this.add_anchor(c, root);
+        prev = c.pos;
+      }
+      if (prev < txt.length) this.add_text(txt.substring(prev), root, prev, shown);
+      if (start != end) this.add_span({
+        txt: " selectionDirection='".concat(el.selectionDirection, "'"),
+        clazz: "tag_attr"
+      });
+    }
     add_span() {
       var {
         txt = null,
@@ -171,6 +315,42 @@
       (root || this.frag).appendChild(s);
       return s;
     }
+    /** Add a segment of a text node's content to its span.text
+     * @param {String} txt the segment
+     * @param root the span.text
+     * @param {Number} offset offset of the segment in the text node
+     * @param {Set<Number> | null} shown output of invisible_offsets for the whole text node; null
+     * 	without the invisibles option
+     */
+    add_text(txt, root) {
+      var offset = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : 0;
+      var shown = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : null;
+      if (!shown) {
+        this.add_span({
+          txt,
+          root
+        });
+        return;
+      }
+      var seg = this.add_span({
+        root
+      });
+      var prev = 0;
+      for (var i = 0; i < txt.length; i++) {
+        if (!shown.has(offset + i)) continue;
+        seg.append(txt.substring(prev, i));
+        var c = txt[i];
+        var [glyph, name] = HTMLSerialize.INVISIBLE[c];
+        var s = document.createElement("span");
+        s.className = glyph.length > 1 ? "invisible named" : "invisible";
+        s.dataset.glyph = glyph;
+        s.title = "U+".concat(c.charCodeAt(0).toString(16).toUpperCase().padStart(4, "0"), " ").concat(name);
+        s.textContent = c;
+        seg.appendChild(s);
+        prev = i + 1;
+      }
+      seg.append(txt.substring(prev));
+    }
     add_anchor(anchor) {
       var root = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
       var s = document.createElement("span");
@@ -179,6 +359,80 @@
       (root || this.frag).appendChild(s);
     }
 
+    /** Values of the attributes and properties of an element to show
+     * @param {[String]} attrs names in ATTRS
+     * @returns {[[String, String, Boolean, String]]} label, value, whether it is a property, and
+     * 	the name in ATTRS
+     */
+    static attr_values(el, attrs) {
+      var out = [];
+      for (var name of attrs) {
+        var get = HTMLSerialize.ATTRS[name];
+        if (!get) continue;
+        var prop = HTMLSerialize.PROPERTIES.has(name);
+        for (var [label, value] of get(el)) {
+          out.push([label, String(value), prop, name]);
+        }
+      }
+      return out;
+    }
+
+    /** Find the node with a serialization id
+     * @param src source element the ids were assigned for
+     * @param id id from a span[data-sid]
+     * @returns node, or null if there is none; e.g. it was removed from src
+     */
+    static find(src, id) {
+      var walker = document.createTreeWalker(src, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+      for (var n = walker.nextNode(); n; n = walker.nextNode()) {
+        var _n$serialization;
+        if (((_n$serialization = n.serialization) === null || _n$serialization === void 0 ? void 0 : _n$serialization.id) === id) return n;
+      }
+      return null;
+    }
+    /** Map a point in the rendered serialization of src back to a boundary point in src, e.g. to
+     * 	pick a range by clicking the serialization
+     * @param src source element that was serialized
+     * @param node node inside the serialization output
+     * @param offset offset in node, as for a Range boundary
+     * @returns {[Node, Number] | null} container and offset in src, or null if the point is not
+     * 	over a node; a point in an opening tag is before the element, and in a closing tag at the
+     * 	end of its children
+     */
+    static resolve(src, node, offset) {
+      var _item, _item$dataset2;
+      var item = node.nodeType == Node.TEXT_NODE ? node.parentNode : node;
+      item = item.closest("[data-sid]") || item;
+      // ">" and attributes of an opening tag
+      while (item && !((_item$dataset = item.dataset) !== null && _item$dataset !== void 0 && _item$dataset.sid) && (item.classList.contains("tag") || item.classList.contains("tag_attr"))) {
+        var _item$dataset;
+        item = item.previousElementSibling;
+      }
+      if (!((_item = item) !== null && _item !== void 0 && (_item$dataset2 = _item.dataset) !== null && _item$dataset2 !== void 0 && _item$dataset2.sid)) return null;
+      var target = HTMLSerialize.find(src, +item.dataset.sid);
+      if (!target) return null;
+      if (item.classList.contains("text")) {
+        // sum the text segments before the point; anchors have no text
+        var pos = 0;
+        for (var [i, seg] of Array.from(item.childNodes).entries()) {
+          if (node === item && i == offset) break;
+          if (seg.contains(node)) {
+            // segments may be split into spans for invisible characters
+            var r = document.createRange();
+            r.setStart(seg, 0);
+            r.setEnd(node, offset);
+            pos += r.toString().length;
+            break;
+          }
+          pos += seg.textContent.length;
+        }
+        return [target, Math.min(pos, target.length)];
+      }
+      if (item.textContent.startsWith("</")) return [target, target.childNodes.length];
+      var parent = target.parentNode;
+      return [parent, Array.prototype.indexOf.call(parent.childNodes, target)];
+    }
+
     /** CSS color definition from HSL numbers */
     static hsl(h) {
       var s = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 100;
@@ -246,136 +500,5236 @@
     }
   }
 
-  /** Renders src HTML to target, optionally marking ranges;
-   *	See HTMLSerialize class for details
-   */
+  /** Whether an element is a form control, whose value is edited rather than its children */
   _defineProperty(HTMLSerialize, "HUE_DIVS", 7);
-  _defineProperty(HTMLSerialize, "SHOW_ATTRS", {
-    className: "class"
+  _defineProperty(HTMLSerialize, "ATTRS", {
+    "class": attribute("class"),
+    "style": attribute("style"),
+    "contenteditable": attribute("contenteditable"),
+    "compositionborder": attribute("compositionborder"),
+    "dir": attribute("dir"),
+    "lang": attribute("lang"),
+    "spellcheck": attribute("spellcheck"),
+    "data-*": el => Array.from(el.attributes, a => [a.name, a.value]).filter(_ref2 => {
+      var [name] = _ref2;
+      return name.startsWith("data-");
+    }),
+    "isContentEditable": el => [["isContentEditable", el.isContentEditable]],
+    "display": el => [["display", getComputedStyle(el).display]]
+  });
+  _defineProperty(HTMLSerialize, "PROPERTIES", new Set(["isContentEditable", "display"]));
+  _defineProperty(HTMLSerialize, "DEFAULT_ATTRS", ["class"]);
+  _defineProperty(HTMLSerialize, "INVISIBLE", {
+    " ": ["·", "SPACE"],
+    "\t": ["→", "CHARACTER TABULATION"],
+    "\n": ["↵", "LINE FEED"],
+    "\r": ["␍", "CARRIAGE RETURN"],
+    "\u00a0": ["⍽", "NO-BREAK SPACE"],
+    "\u00ad": ["SHY", "SOFT HYPHEN"],
+    "\u061c": ["ALM", "ARABIC LETTER MARK"],
+    "\u200b": ["ZWSP", "ZERO WIDTH SPACE"],
+    "\u200c": ["ZWNJ", "ZERO WIDTH NON-JOINER"],
+    "\u200d": ["ZWJ", "ZERO WIDTH JOINER"],
+    "\u200e": ["LRM", "LEFT-TO-RIGHT MARK"],
+    "\u200f": ["RLM", "RIGHT-TO-LEFT MARK"],
+    "\u202a": ["LRE", "LEFT-TO-RIGHT EMBEDDING"],
+    "\u202b": ["RLE", "RIGHT-TO-LEFT EMBEDDING"],
+    "\u202c": ["PDF", "POP DIRECTIONAL FORMATTING"],
+    "\u202d": ["LRO", "LEFT-TO-RIGHT OVERRIDE"],
+    "\u202e": ["RLO", "RIGHT-TO-LEFT OVERRIDE"],
+    "\u2060": ["WJ", "WORD JOINER"],
+    "\u2066": ["LRI", "LEFT-TO-RIGHT ISOLATE"],
+    "\u2067": ["RLI", "RIGHT-TO-LEFT ISOLATE"],
+    "\u2068": ["FSI", "FIRST STRONG ISOLATE"],
+    "\u2069": ["PDI", "POP DIRECTIONAL ISOLATE"],
+    "\ufeff": ["BOM", "ZERO WIDTH NO-BREAK SPACE"]
   });
   _defineProperty(HTMLSerialize, "SINGLETON", new Set(["br", "hr", "wbr", "col", "command", "img"]));
-  _defineProperty(HTMLSerialize, "counter", new Map());
+  _defineProperty(HTMLSerialize, "MARKERS", {
+    inside: {
+      start: "[",
+      end: "]",
+      collapsed: "|"
+    },
+    between: {
+      start: "{",
+      end: "}",
+      collapsed: "|"
+    }
+  });
+  _defineProperty(HTMLSerialize, "counter", new WeakMap());
+  function is_form_control(el) {
+    return el instanceof HTMLTextAreaElement || el instanceof HTMLInputElement;
+  }
+
+  // matches characters to show with the invisibles option: spaces only in runs of whitespace
+  var INVISIBLE_RE = new RegExp("[ \\t\\n\\r]{2,}|[" + Object.keys(HTMLSerialize.INVISIBLE).filter(c => c != " ").map(c => "\\u" + c.charCodeAt(0).toString(16).padStart(4, "0")).join("") + "]", "g");
+
+  /** Offsets of characters to show with the invisibles option. This is matched on the whole text
+   * 	node rather than per segment, since a range anchor may split a run of spaces
+   * @returns {Set<Number>}
+   */
+  function invisible_offsets(txt) {
+    var shown = new Set();
+    for (var m of txt.matchAll(INVISIBLE_RE)) {
+      for (var i = 0; i < m[0].length; i++) {
+        shown.add(m.index + i);
+      }
+    }
+    return shown;
+  }
+
+  /** ATTRS getter for an html attribute */
+  function attribute(name) {
+    return el => el.hasAttribute(name) ? [[name, el.getAttribute(name)]] : [];
+  }
+
+  /** Renders src HTML to target, optionally marking ranges;
+   *	See HTMLSerialize class for details
+   */
   function serialize(src, target) {
     var ranges = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : null;
-    new HTMLSerialize(src, target, ranges);
+    var options = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : {};
+    new HTMLSerialize(src, target, ranges, options);
   }
 
-  // DOM els
-  var divs,
-    // contenteditable test cases
-    output,
-    // log output element
-    regex,
-    // cancel beforeinput inputType regex
-    limit,
-    // log message limit input
-    cancel,
-    // cancel beforeinput checkbox
-    freeze; // freeze log
+  /** A recorded tester session: a structured log of every event, plus the initial state of the
+   * 	test cases. Sessions can be exported to a JSON file and imported again for replay, e.g. to
+   * 	reproduce on desktop a quirk that was seen on a phone.
+   *
+   * 	Each entry is a plain object with the event's type, inputType, data, dataTransfer, etc;
+   * 	target ranges and selection are stored as the markup rendered by `serialize()`, and `html`
+   * 	holds the test case's innerHTML at the time of the event. See `event_entry` in main.js.
+   */
+  class Session {
+    // bump when the exported format changes
 
-  document.addEventListener("DOMContentLoaded", () => {
-    divs = document.querySelectorAll("div[contenteditable]");
-    output = document.querySelector("output");
-    freeze = document.getElementById("freeze");
-    cancel = document.getElementById("cancel");
-    limit = document.getElementById("limit");
-    regex = document.getElementById("regex");
+    /**
+     * @param {[String]} cases innerHTML of each test case when the session started
+     */
+    constructor() {
+      var cases = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : [];
+      this.version = Session.VERSION;
+      this.user_agent = navigator.userAgent;
+      this.started = Date.now();
+      this.cases = cases;
+      this.entries = [];
+    }
+    /** Append an event entry */
+    add(entry) {
+      this.entries.push(entry);
+    }
+    get length() {
+      return this.entries.length;
+    }
+    /** Plain object for JSON export */
+    toJSON() {
+      var {
+        version,
+        user_agent,
+        started,
+        cases,
+        entries
+      } = this;
+      return {
+        version,
+        user_agent,
+        started,
+        cases,
+        entries
+      };
+    }
+    /** Create a Session from a parsed JSON export
+     * @throws if the object is not a session export
+     */
+    static fromJSON(json) {
+      if (!json || !Array.isArray(json.entries) || !Array.isArray(json.cases)) throw Error("not a session file");
+      if (json.version > Session.VERSION) throw Error("session version ".concat(json.version, " is newer than supported (").concat(Session.VERSION, ")"));
+      return Object.assign(new Session(), json);
+    }
+    /** Read a Session from a File (e.g. from an input[type=file]) */
+    static load(file) {
+      return _asyncToGenerator(function* () {
+        return Session.fromJSON(JSON.parse(yield file.text()));
+      })();
+    }
+    /** Save session as a JSON file download */
+    download() {
+      download_json("session-".concat(this.started, ".json"), this);
+    }
+  }
 
-    // Initialize
-    document.addEventListener("selectionchange", e => {
-      var div = document.activeElement;
-      if (div.contentEditable == "true") serialize_current(div);
-      log("<b>".concat(e.type, "</b>"));
+  /** Trigger a browser download of a JSON file
+   * @param {String} filename name of the downloaded file
+   * @param json value to be stringified
+   */
+  _defineProperty(Session, "VERSION", 1);
+  function download_json(filename, json) {
+    var blob = new Blob([JSON.stringify(json, null, "\t")], {
+      type: "application/json"
     });
-    divs.forEach(div => {
-      // setup serialization
-      trim_whitespace(div);
-      div.after(document.createElement("pre"));
-      serialize_current(div);
+    var a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
 
-      // events
-      div.addEventListener("compositionstart", evt_msg);
-      div.addEventListener("compositionupdate", evt_msg);
-      div.addEventListener("compositionend", evt_msg);
-      div.addEventListener("beforeinput", e => {
-        var cancel_attempted = false;
-        if (cancel.checked && new RegExp(regex.value).test(e.inputType)) {
-          cancel_attempted = true;
-          e.preventDefault();
-        }
-        evt_msg(e, cancel_attempted);
-      });
-      div.addEventListener("input", evt_msg);
-    });
-  });
+  /** Side by side comparison of two recorded sessions, e.g. the same keystrokes typed in two
+   * 	different browsers. Event sequences are aligned by event type (longest common subsequence),
+   * 	and then each aligned pair is compared field by field.
+   */
 
-  // trim whitespace/textnodes from start/end of element
-  function trim_whitespace(el) {
-    var f = el.firstChild,
-      l = el.lastChild;
-    if (f.nodeType == Node.TEXT_NODE) {
-      var d = f.data.trimStart();
-      if (d) f.data = d;else f.remove();
+  // entry fields that are compared for aligned events
+  var COMPARE_FIELDS = ["inputType", "data", "cancelable", "ranges", "selection"];
+  // markers matching the `pre [data-range]` styles
+  var RANGE_MARKERS = {
+    start: "｢",
+    end: "｣",
+    collapsed: "|"
+  };
+
+  /** Converts serialization markup from HTMLSerialize to plain text with range markers. Node ids
+   * 	and colors are dropped, since they will differ between browsers. Attributes other than
+   * 	`HTMLSerialize.DEFAULT_ATTRS` are dropped too, so the text doesn't depend on which ones were
+   * 	shown when it was recorded
+   */
+  function markup_text(markup) {
+    if (typeof markup !== "string") return markup;
+    var tpl = document.createElement("template");
+    tpl.innerHTML = markup;
+    for (var a of tpl.content.querySelectorAll(".tag_attr[data-attr]")) {
+      if (!HTMLSerialize.DEFAULT_ATTRS.includes(a.dataset.attr)) a.remove();
     }
-    if (l.nodeType == Node.TEXT_NODE && l.parentNode) {
-      var _d = l.data.trimEnd();
-      if (_d) l.data = _d;else l.remove();
+    for (var _a of tpl.content.querySelectorAll("[data-range]")) {
+      _a.textContent = RANGE_MARKERS[_a.dataset.range];
+    }
+    return tpl.content.textContent;
+  }
+
+  /** Align two lists of entries by longest common subsequence of their event type
+   * @returns {[[Object | null, Object | null]]} list of aligned pairs; one side is null
+   * 	when the event has no counterpart in the other session
+   */
+  function align(a, b) {
+    var ka = a.map(e => e.type),
+      kb = b.map(e => e.type);
+    // a common prefix and suffix are aligned as is
+    var start = 0,
+      end_a = a.length,
+      end_b = b.length;
+    while (start < end_a && start < end_b && ka[start] === kb[start]) {
+      start++;
+    }
+    while (end_a > start && end_b > start && ka[end_a - 1] === kb[end_b - 1]) {
+      end_a--;
+      end_b--;
+    }
+    var pairs = [];
+    for (var k = 0; k < start; k++) {
+      pairs.push([a[k], b[k]]);
+    }
+    for (var [i, j] of lcs_align(ka, start, end_a, kb, start, end_b, [])) {
+      pairs.push([i === null ? null : a[i], j === null ? null : b[j]]);
+    }
+    for (var _k = 0; _k < a.length - end_a; _k++) {
+      pairs.push([a[end_a + _k], b[end_b + _k]]);
+    }
+    return pairs;
+  }
+
+  /** LCS alignment of `ka[a0:a1]` and `kb[b0:b1]`, in linear space (Hirschberg's algorithm), since
+   * 	a full table for two long sessions could take hundreds of MB
+   * @param {[[Number | null, Number | null]]} out aligned index pairs are appended to this
+   * @returns out
+   */
+  function lcs_align(ka, a0, a1, kb, b0, b1, out) {
+    if (a1 - a0 <= 1) {
+      var j = a1 > a0 ? kb.indexOf(ka[a0], b0) : -1;
+      var match = j != -1 && j < b1 ? j : b1;
+      if (a1 > a0 && match == b1) out.push([a0, null]);
+      for (var k = b0; k < b1; k++) {
+        out.push(k == match ? [a0, k] : [null, k]);
+      }
+      return out;
+    }
+    // split a in half, and b where the LCS lengths of the two halves add up to the most
+    var mid = a0 + a1 >> 1;
+    var fwd = lcs_lengths(ka, a0, mid, kb, b0, b1, false),
+      back = lcs_lengths(ka, mid, a1, kb, b0, b1, true);
+    var split = 0;
+    for (var _j = 1; _j <= b1 - b0; _j++) {
+      if (fwd[_j] + back[b1 - b0 - _j] > fwd[split] + back[b1 - b0 - split]) split = _j;
+    }
+    lcs_align(ka, a0, mid, kb, b0, b0 + split, out);
+    return lcs_align(ka, mid, a1, kb, b0 + split, b1, out);
+  }
+  /** LCS lengths of `ka[a0:a1]` with each prefix of `kb[b0:b1]`, or with each suffix if reverse
+   * @returns {Uint32Array} length for each prefix/suffix length
+   */
+  function lcs_lengths(ka, a0, a1, kb, b0, b1, reverse) {
+    var m = b1 - b0;
+    var prev = new Uint32Array(m + 1),
+      cur = new Uint32Array(m + 1);
+    for (var i = 0; i < a1 - a0; i++) {
+      var x = reverse ? ka[a1 - 1 - i] : ka[a0 + i];
+      for (var j = 1; j <= m; j++) {
+        cur[j] = x === (reverse ? kb[b1 - j] : kb[b0 + j - 1]) ? prev[j - 1] + 1 : Math.max(prev[j], cur[j - 1]);
+      }
+      [prev, cur] = [cur, prev];
+    }
+    return prev;
+  }
+
+  /** Fields that differ between two aligned entries
+   * @returns {Set<String>} differing field names from COMPARE_FIELDS
+   */
+  function diff_fields(a, b) {
+    var out = new Set();
+    for (var f of COMPARE_FIELDS) {
+      var va = a[f],
+        vb = b[f];
+      if (f == "ranges" || f == "selection") {
+        va = markup_text(va);
+        vb = markup_text(vb);
+      }
+      if (JSON.stringify(va) !== JSON.stringify(vb)) out.add(f);
+    }
+    return out;
+  }
+
+  /** Render a comparison table of two sessions
+   * @param {Session} sa first session
+   * @param {Session} sb second session
+   * @param {Boolean} ignore_selection exclude selectionchange events, whose count tends to vary a
+   * 	lot between browsers
+   * @returns {HTMLTableElement} table with one row per aligned pair; rows have class `missing`
+   * 	(event order differs) or `differs` (some fields differ), and differing fields have class `diff`
+   */
+  function compare_sessions(sa, sb) {
+    var ignore_selection = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : true;
+    var filter = entries => ignore_selection ? entries.filter(e => e.type != "selectionchange") : entries;
+    var table = document.createElement("table");
+    table.className = "compare";
+    var head = table.createTHead().insertRow();
+    for (var txt of ["#", sa.user_agent, sb.user_agent]) {
+      var th = document.createElement("th");
+      th.textContent = txt;
+      head.appendChild(th);
     }
+    var body = table.createTBody();
+    var idx = 0;
+    for (var [a, b] of align(filter(sa.entries), filter(sb.entries))) {
+      var row = body.insertRow();
+      row.insertCell().textContent = idx++;
+      var diff = a && b ? diff_fields(a, b) : null;
+      if (!diff) row.className = "missing";else if (diff.size) row.className = "differs";
+      for (var entry of [a, b]) {
+        row.insertCell().appendChild(entry ? entry_fields(entry, diff) : document.createTextNode("—"));
+      }
+    }
+    return table;
   }
 
-  // Create a message for event and log it
-  function evt_msg(e, cancel_attempted) {
-    var etype = e.type;
-    if (e.inputType) etype += "." + e.inputType;
+  /** Compact listing of the compared fields for an entry */
+  function entry_fields(entry, diff) {
     var root = document.createElement("div");
-    root.innerHTML = "<b>".concat(etype, ":</b><ul></ul>");
-    var list = root.lastElementChild;
-    var attr = (k, v) => {
+    var b = document.createElement("b");
+    b.textContent = entry.inputType ? "".concat(entry.type, ".").concat(entry.inputType) : entry.type;
+    if (diff !== null && diff !== void 0 && diff.has("inputType")) b.className = "diff";
+    var list = document.createElement("ul");
+    root.append(b, " (case ".concat(entry.case, ")"), list);
+    for (var f of COMPARE_FIELDS) {
+      if (!(f in entry) || f == "inputType") continue;
       var li = document.createElement("li");
-      li.textContent = "".concat(k, ": ");
-      if ((v === null || v === void 0 ? void 0 : v.nodeType) == Node.ELEMENT_NODE) li.appendChild(v);else li.textContent += JSON.stringify(v);
+      li.textContent = "".concat(f, ": ");
+      if (diff !== null && diff !== void 0 && diff.has(f)) li.className = "diff";
+      if (f == "ranges" || f == "selection") {
+        var pre = document.createElement("pre");
+        pre.innerHTML = entry[f];
+        li.appendChild(pre);
+      } else li.textContent += JSON.stringify(entry[f]);
       list.appendChild(li);
+    }
+    return root;
+  }
+
+  /** Catalog of contenteditable test cases. The built-in cases come from index.html; edits made in
+   * 	the page are persisted to localStorage, and the catalog can be exported/imported as JSON.
+   *
+   * 	Each case is `{html, attrs, target, expect}`: `html` is the innerHTML of the test case, or the
+   * 	value for form controls; `attrs` a string of extra HTML attributes for the editing host (e.g.
+   * 	`dir="rtl" compositionborder="true"`); `target` the kind of editing host, see `TARGETS`; and
+   * 	`expect` a list of expected behaviors, see CaseExpectations. In index.html, expectations are
+   * 	given as JSON in a `data-expect` attribute.
+   */
+
+  // kinds of editing host a test case can be; target => label
+  var TARGETS = {
+    "contenteditable": "contenteditable div",
+    "plaintext-only": "contenteditable=plaintext-only div",
+    "textarea": "textarea",
+    "input": "input type=text"
+  };
+  class CaseCatalog {
+    constructor() {
+      var cases = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : [];
+      this.cases = cases;
+      // whether the cases came from a permalink; they aren't persisted unless the user agrees
+      this.linked = false;
+    }
+    /** Catalog from existing test case elements */
+    static from_elements(divs) {
+      return new CaseCatalog(Array.from(divs, case_from_element));
+    }
+    /** Catalog saved to localStorage, or null if there is none */
+    static stored() {
+      var json = localStorage.getItem(CaseCatalog.STORAGE_KEY);
+      if (!json) return null;
+      try {
+        return CaseCatalog.fromJSON(JSON.parse(json));
+      } catch (err) {
+        console.error("ignoring invalid stored test cases:", err);
+        return null;
+      }
+    }
+    /** Remove saved catalog from localStorage */
+    static clear_stored() {
+      localStorage.removeItem(CaseCatalog.STORAGE_KEY);
+    }
+    /** Persist to localStorage */
+    save() {
+      localStorage.setItem(CaseCatalog.STORAGE_KEY, JSON.stringify(this));
+    }
+    toJSON() {
+      return {
+        version: CaseCatalog.VERSION,
+        cases: this.cases
+      };
+    }
+    /** Create a catalog from a parsed JSON export
+     * @throws if the object is not a catalog export
+     */
+    static fromJSON(json) {
+      if (!json || !Array.isArray(json.cases)) throw Error("not a test case catalog");
+      return new CaseCatalog(json.cases.map(c => {
+        var _c$html, _c$attrs;
+        return {
+          html: String((_c$html = c.html) !== null && _c$html !== void 0 ? _c$html : ""),
+          attrs: String((_c$attrs = c.attrs) !== null && _c$attrs !== void 0 ? _c$attrs : ""),
+          target: c.target in TARGETS ? c.target : "contenteditable",
+          expect: Array.isArray(c.expect) ? c.expect : []
+        };
+      }));
+    }
+    /** Read a catalog from a File */
+    static load(file) {
+      return _asyncToGenerator(function* () {
+        return CaseCatalog.fromJSON(JSON.parse(yield file.text()));
+      })();
+    }
+    /** Save catalog as a JSON file download */
+    download() {
+      download_json("test-cases.json", this);
+    }
+  }
+
+  /** Catalog entry for a test case element */
+  _defineProperty(CaseCatalog, "STORAGE_KEY", "input_events_tester.cases");
+  _defineProperty(CaseCatalog, "VERSION", 1);
+  function case_from_element(el) {
+    var target = "contenteditable";
+    if (el.tagName == "TEXTAREA") target = "textarea";else if (el.tagName == "INPUT") target = "input";else if (el.getAttribute("contenteditable") == "plaintext-only") target = "plaintext-only";
+    var attrs = [];
+    for (var a of el.attributes) {
+      // implied by target, or read separately
+      if (a.name == "contenteditable" || a.name == "data-expect" || target == "input" && (a.name == "type" || a.name == "value")) continue;
+      attrs.push(a.value === "" ? a.name : "".concat(a.name, "=\"").concat(a.value.replaceAll('"', "&quot;"), "\""));
+    }
+    var form = target == "textarea" || target == "input";
+    var expect = el.dataset.expect ? JSON.parse(el.dataset.expect) : [];
+    return {
+      html: form ? el.value : el.innerHTML,
+      attrs: attrs.join(" "),
+      target,
+      expect
     };
-    if (e.dataTransfer instanceof DataTransfer) {
-      attr('text/plain', e.dataTransfer.getData("text/plain"));
-      attr('text/html', e.dataTransfer.getData("text/html"));
-    }
-    if (typeof e.data !== "undefined") attr('data', e.data);
-    if (typeof e.isComposing === "boolean") attr('isComposing', e.isComposing);
-    attr('defaultPrevented', [e.defaultPrevented, cancel_attempted ? "attempted" : "not attempted"]);
-    attr('cancelable', e.cancelable);
-    attr('timeStamp', e.timeStamp);
-    if (e.getTargetRanges) {
-      var ranges = e.getTargetRanges();
-      if (ranges.length) {
-        var pre = document.createElement("pre");
-        serialize(e.target, pre, ranges);
-        attr('ranges', pre);
+  }
+
+  /** Create a test case element from a catalog entry */
+  function case_element(c) {
+    var target = c.target || "contenteditable";
+    var tag = target == "textarea" || target == "input" ? target : "div";
+    var tpl = document.createElement("template");
+    tpl.innerHTML = "<".concat(tag, " ").concat(c.attrs, "></").concat(tag, ">");
+    var el = tpl.content.firstElementChild || document.createElement(tag);
+    if (tag == "div") {
+      el.setAttribute("contenteditable", target == "plaintext-only" ? target : "true");
+      el.innerHTML = c.html;
+    } else {
+      if (tag == "input") el.type = "text";
+      el.value = c.html;
+    }
+    return el;
+  }
+
+  /** Fill a select with an option per test case, keeping the current one if it still exists
+   * @param {HTMLSelectElement} select
+   * @param {Number} count number of test cases
+   * @param {[HTMLOptionElement]} extra options to put before the test cases
+   * @param {String} fallback value to select if the current one no longer exists
+   */
+  function case_options(select, count) {
+    var extra = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : [];
+    var fallback = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : "";
+    var value = select.value;
+    select.replaceChildren(...extra);
+    for (var i = 0; i < count; i++) {
+      select.add(new Option("Test case ".concat(i), i));
+    }
+    select.value = value !== "" && +value < count ? value : fallback;
+  }
+
+  /** Wire up the test case editor panel
+   * @param {CaseCatalog} catalog catalog to edit
+   * @param {Function} render `fn(catalog, remap)` called after the catalog changes, to rebuild test
+   * 	cases; `remap` is `fn(old index)` returning the case's new index, or null if it was removed,
+   * 	and is null itself when all cases were replaced
+   * @param {CaseCatalog} defaults catalog to restore on reset
+   * @returns {Function} `fn(catalog)` to replace the catalog being edited, e.g. from an import
+   */
+  function case_editor(catalog, render, defaults) {
+    var el = id => document.getElementById(id);
+    var select = el("case_select"),
+      html = el("case_html"),
+      attrs = el("case_attrs"),
+      host = el("case_target"),
+      expect = el("case_expect");
+    for (var t in TARGETS) {
+      host.add(new Option(TARGETS[t], t));
+    }
+
+    // sync editor with the catalog; idx is the case to select
+    function refresh() {
+      var idx = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : +select.value;
+      case_options(select, catalog.cases.length);
+      idx = Math.min(Math.max(idx, 0), catalog.cases.length - 1);
+      select.value = idx;
+      var c = catalog.cases[idx];
+      html.value = c ? c.html : "";
+      attrs.value = c ? c.attrs : "";
+      host.value = c ? c.target : "contenteditable";
+      expect.value = c && c.expect.length ? JSON.stringify(c.expect, null, "\t") : "";
+    }
+    function changed(idx, remap) {
+      if (catalog.linked && confirm("Save the test cases from the link, replacing your own saved test cases?")) catalog.linked = false;
+      if (!catalog.linked) catalog.save();
+      render(catalog, remap);
+      refresh(idx);
+    }
+    // case being edited, or null if the expectations are invalid
+    function current() {
+      var expected = [];
+      try {
+        if (expect.value.trim()) expected = JSON.parse(expect.value);
+        if (!Array.isArray(expected)) throw Error("expected a list");
+      } catch (err) {
+        alert("Invalid expectations: ".concat(err.message));
+        return null;
       }
+      return {
+        html: html.value,
+        attrs: attrs.value,
+        target: host.value,
+        expect: expected
+      };
+    }
+    select.addEventListener("change", () => refresh());
+    el("case_save").addEventListener("click", () => {
+      var c = current();
+      if (!catalog.cases.length || !c) return;
+      catalog.cases[+select.value] = c;
+      changed(+select.value, i => i);
+    });
+    el("case_add").addEventListener("click", () => {
+      var c = current();
+      if (!c) return;
+      catalog.cases.push(c);
+      changed(catalog.cases.length - 1, i => i);
+    });
+    el("case_duplicate").addEventListener("click", () => {
+      var idx = +select.value;
+      if (!catalog.cases.length) return;
+      catalog.cases.splice(idx + 1, 0, Object.assign({}, catalog.cases[idx]));
+      changed(idx + 1, i => i > idx ? i + 1 : i);
+    });
+    el("case_delete").addEventListener("click", () => {
+      var idx = +select.value;
+      if (!catalog.cases.length || !confirm("Delete test case ".concat(idx, "?"))) return;
+      catalog.cases.splice(idx, 1);
+      changed(idx, i => i == idx ? null : i > idx ? i - 1 : i);
+    });
+    el("case_export").addEventListener("click", () => catalog.download());
+    el("case_import").addEventListener("change", /*#__PURE__*/function () {
+      var _ref = _asyncToGenerator(function* (e) {
+        var file = e.target.files[0];
+        e.target.value = "";
+        if (!file) return;
+        try {
+          replace(yield CaseCatalog.load(file));
+        } catch (err) {
+          alert("Failed to import test cases: ".concat(err.message));
+        }
+      });
+      return function (_x) {
+        return _ref.apply(this, arguments);
+      };
+    }());
+    el("case_reset").addEventListener("click", () => {
+      if (!confirm("Discard edited test cases, and restore the defaults?")) return;
+      CaseCatalog.clear_stored();
+      catalog = new CaseCatalog(defaults.cases.map(c => Object.assign({}, c)));
+      render(catalog, null);
+      refresh(0);
+    });
+    function replace(other) {
+      catalog = other;
+      changed(0, null);
     }
-    attr('selection', serialize_current(e.target).cloneNode(true));
-    log(root);
+    refresh(0);
+    return replace;
   }
 
-  // serialize div as it currently is
-  function serialize_current(div) {
-    var target = div.nextElementSibling;
-    serialize(div, target, window.getSelection());
-    return target;
+  /** Per-inputType policy for what the tester does with a `beforeinput` event. Policies can be
+   * 	set for all test cases, and optionally overridden for individual test cases.
+   */
+
+  // inputTypes from the Input Events Level 2 spec
+  var INPUT_TYPES = ["insertText", "insertReplacementText", "insertLineBreak", "insertParagraph", "insertOrderedList", "insertUnorderedList", "insertHorizontalRule", "insertFromYank", "insertFromDrop", "insertFromPaste", "insertFromPasteAsQuotation", "insertTranspose", "insertCompositionText", "insertFromComposition", "insertLink", "deleteCompositionText", "deleteWordBackward", "deleteWordForward", "deleteSoftLineBackward", "deleteSoftLineForward", "deleteEntireSoftLine", "deleteHardLineBackward", "deleteHardLineForward", "deleteByDrag", "deleteByCut", "deleteContent", "deleteContentBackward", "deleteContentForward", "historyUndo", "historyRedo", "formatBold", "formatItalic", "formatUnderline", "formatStrikeThrough", "formatSuperscript", "formatSubscript", "formatJustifyFull", "formatJustifyCenter", "formatJustifyRight", "formatJustifyLeft", "formatIndent", "formatOutdent", "formatRemove", "formatSetBlockTextDirection", "formatSetInlineTextDirection", "formatBackColor", "formatFontColor", "formatFontName"];
+  /* Policy values:
+  	- default: fall through to the next scope; for all test cases, this means use the
+  		`Cancel beforeinput` checkbox and inputType regex
+  	- allow: let the browser handle the event
+  	- cancel: preventDefault
+  	- emulate: preventDefault, and then apply the edit ourselves from the event's target ranges and data
+  */
+  var POLICIES = {
+    default: "default",
+    allow: "allow",
+    cancel: "cancel",
+    emulate: "cancel & apply"
+  };
+  class CancelPolicy {
+    constructor() {
+      // inputType => policy, for all test cases
+      this.global = new Map();
+      // test case index => Map(inputType => policy)
+      this.cases = new Map();
+    }
+    /** Get the policy set for a scope
+     * @param {String} inputType
+     * @param {Number | null} case_idx test case index, or null for the all test cases scope
+     */
+    get(inputType) {
+      var case_idx = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
+      var m = case_idx === null ? this.global : this.cases.get(case_idx);
+      return (m === null || m === void 0 ? void 0 : m.get(inputType)) || "default";
+    }
+    /** Set the policy for a scope; see `get()` for arguments */
+    set(inputType, policy) {
+      var case_idx = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : null;
+      var m = this.global;
+      if (case_idx !== null) {
+        m = this.cases.get(case_idx);
+        if (!m) {
+          m = new Map();
+          this.cases.set(case_idx, m);
+        }
+      }
+      if (policy == "default") m.delete(inputType);else m.set(inputType, policy);
+    }
+    /** Move per test case policies after test cases were added or removed
+     * @param {Function | null} remap `fn(old index)` returning the new index, or null if the
+     * 	test case was removed; null clears all per test case policies
+     */
+    remap(remap) {
+      var cases = new Map();
+      for (var [idx, m] of remap ? this.cases : []) {
+        var to = remap(idx);
+        if (to !== null) cases.set(to, m);
+      }
+      this.cases = cases;
+    }
+    /** Determine which policy applies to an event
+     * @param {String} inputType event's inputType
+     * @param {Number} case_idx index of test case the event was fired in
+     * @param {Function} fallback `fn(inputType)` returning the policy to use when no scope sets one
+     * @returns {{policy: String, scope: String}} the policy, and which scope it came from: "case",
+     * 	"global", or "regex" for the fallback
+     */
+    resolve(inputType, case_idx, fallback) {
+      var policy = this.get(inputType, case_idx);
+      if (policy != "default") return {
+        policy,
+        scope: "case"
+      };
+      policy = this.get(inputType);
+      if (policy != "default") return {
+        policy,
+        scope: "global"
+      };
+      return {
+        policy: fallback(inputType),
+        scope: "regex"
+      };
+    }
+    /** Plain object, e.g. for JSON; policies are only stored when not "default" */
+    toJSON() {
+      var cases = {};
+      for (var [idx, m] of this.cases) {
+        if (m.size) cases[idx] = Object.fromEntries(m);
+      }
+      return {
+        global: Object.fromEntries(this.global),
+        cases
+      };
+    }
+    /** Load policies from the output of `toJSON()`, replacing any current ones */
+    load(json) {
+      this.global = new Map(Object.entries(json.global || {}));
+      this.cases = new Map();
+      for (var idx in json.cases || {}) {
+        this.cases.set(+idx, new Map(Object.entries(json.cases[idx])));
+      }
+    }
   }
 
-  // Keep a log of last N events, in reverse temporal order
-  function log(html) {
-    if (freeze.checked) return;
-    if (typeof html === "string") {
-      var cont = document.createElement("div");
-      cont.innerHTML = html;
-      html = cont;
+  /** Render an editable policy table
+   * @param {CancelPolicy} policy policies to edit
+   * @param {HTMLSelectElement} scope_el select for which scope to edit; options are filled in
+   * @param {HTMLTableElement} table_el table to render into
+   * @param {Number} case_count number of test cases
+   * @returns {Function} `fn(case_count)` to update the scopes when test cases are added or removed
+   */
+  function policy_table(policy, scope_el, table_el, case_count) {
+    var scope = () => scope_el.value === "" ? null : +scope_el.value;
+    var body = table_el.tBodies[0] || table_el.createTBody();
+    var selects = [];
+    body.replaceChildren();
+    var _loop = function (inputType) {
+      var row = body.insertRow();
+      row.insertCell().textContent = inputType;
+      var sel = document.createElement("select");
+      for (var p in POLICIES) {
+        sel.add(new Option(POLICIES[p], p));
+      }
+      sel.addEventListener("change", () => {
+        policy.set(inputType, sel.value, scope());
+        refresh();
+      });
+      row.insertCell().appendChild(sel);
+      selects.push(sel);
+    };
+    for (var inputType of INPUT_TYPES) {
+      _loop(inputType);
     }
-    output.prepend(html);
-    while (output.children.length > limit.valueAsNumber) {
-      output.lastElementChild.remove();
+    // sync selects with the policies for current scope
+    function refresh() {
+      var s = scope();
+      INPUT_TYPES.forEach((inputType, i) => {
+        var sel = selects[i];
+        sel.value = policy.get(inputType, s);
+        sel.parentNode.parentNode.classList.toggle("policy_set", sel.value != "default");
+      });
+    }
+    // fill in scope options
+    function scopes(count) {
+      case_options(scope_el, count, [new Option("All test cases", "")]);
+      refresh();
     }
+    scope_el.addEventListener("change", refresh);
+    scopes(case_count);
+    return scopes;
+  }
+
+  /** Apply the edit described by a `beforeinput` event ourselves, as a model-driven editor would
+   * 	after cancelling it. Only the target ranges and data/dataTransfer are used, so this tests
+   * 	whether what the browser reports is enough to reproduce the native edit.
+   */
+
+  /** Get target ranges for an event, falling back to the current selection if the browser
+   * 	gives none
+   * @param {Element} root editing host; ranges outside of it are dropped
+   * @returns {[Range]} live ranges, so they stay valid while we modify the DOM
+   */
+  function target_ranges(e, root) {
+    var ranges = e.getTargetRanges ? e.getTargetRanges() : [];
+    if (!ranges.length) {
+      var sel = window.getSelection();
+      ranges = [];
+      for (var i = 0; i < sel.rangeCount; i++) {
+        ranges.push(sel.getRangeAt(i));
+      }
+    }
+    return ranges.filter(r => root.contains(r.startContainer) && root.contains(r.endContainer)).map(live_range);
+  }
+  /** Range from a StaticRange (or Range), which follows DOM changes */
+  function live_range(r) {
+    var lr = document.createRange();
+    lr.setStart(r.startContainer, r.startOffset);
+    lr.setEnd(r.endContainer, r.endOffset);
+    return lr;
+  }
+
+  /** Plain text payload of the edit, from data or dataTransfer */
+  function edit_text(edit) {
+    if (typeof edit.data === "string") return edit.data;
+    var dt = edit.dataTransfer;
+    if (dt) return dt.getData("text/plain");
+    return null;
+  }
+  /** HTML payload of the edit as a DocumentFragment, or null if there is no text/html */
+  function edit_html(edit) {
+    var _edit$dataTransfer;
+    var html = (_edit$dataTransfer = edit.dataTransfer) === null || _edit$dataTransfer === void 0 ? void 0 : _edit$dataTransfer.getData("text/html");
+    if (!html) return null;
+    var tpl = document.createElement("template");
+    tpl.innerHTML = html;
+    return tpl.content;
+  }
+
+  // inline formatting: inputType => tag name wrapping the target range
+  var FORMAT_TAGS = {
+    formatBold: "b",
+    formatItalic: "i",
+    formatUnderline: "u",
+    formatStrikeThrough: "s",
+    formatSuperscript: "sup",
+    formatSubscript: "sub"
+  };
+  // inline styles: inputType => CSS property set from data
+  var FORMAT_STYLES = {
+    formatFontColor: "color",
+    formatBackColor: "background-color",
+    formatFontName: "font-family"
+  };
+  // elements that insertParagraph splits
+  var BLOCKS = new Set(["DIV", "P", "LI", "ARTICLE", "SECTION", "BLOCKQUOTE", "PRE", "H1", "H2", "H3", "H4", "H5", "H6"]);
+
+  /** Insert a DocumentFragment or node at a collapsed range
+   * @returns {Range} the range, collapsed after the inserted content
+   */
+  function insert_at(range, content) {
+    var sc = range.startContainer;
+    // append to text node, rather than splitting it
+    if (content.nodeType == Node.TEXT_NODE && sc.nodeType == Node.TEXT_NODE) {
+      sc.insertData(range.startOffset, content.data);
+      range.setStart(sc, range.startOffset + content.data.length);
+    } else {
+      var last = content.nodeType == Node.DOCUMENT_FRAGMENT_NODE ? content.lastChild : content;
+      range.insertNode(content);
+      if (last) range.setStartAfter(last);
+    }
+    range.collapse(true);
+    return range;
+  }
+
+  /** Split the block containing a collapsed range, as for insertParagraph. If there is no block
+   * 	between the range and the editing host, content after the range is moved into a new div
+   * @returns {Range} the range, collapsed at the start of the new block
+   */
+  function split_block(root, range) {
+    var block = range.startContainer;
+    while (block !== root && !(block.nodeType == Node.ELEMENT_NODE && BLOCKS.has(block.tagName))) {
+      block = block.parentNode;
+    }
+    var tail = range.cloneRange();
+    var after;
+    if (block === root) {
+      tail.setEnd(root, root.childNodes.length);
+      after = document.createElement("div");
+      after.appendChild(tail.extractContents());
+      root.appendChild(after);
+    } else {
+      tail.setEndAfter(block);
+      var frag = tail.extractContents();
+      after = frag.firstChild;
+      block.after(frag);
+    }
+    // empty blocks need a <br> to be visible
+    for (var b of [block, after]) {
+      if (b !== root && !b.textContent) b.replaceChildren(document.createElement("br"));
+    }
+    range.setStart(after, 0);
+    range.collapse(true);
+    return range;
+  }
+
+  /** Apply an edit
+   * @param {Object} edit the edit to apply:
+   * 	- inputType: event's inputType
+   * 	- data: event's data
+   * 	- dataTransfer: event's dataTransfer
+   * 	- ranges: `[Range]` target ranges, see `target_ranges()`
+   * @param {Element} root editing host, needed for insertParagraph
+   * @returns {Range | null} selection after the edit, or null if the inputType is not supported or
+   * 	there is nothing to delete, in which case the DOM is left unchanged
+   */
+  function apply_edit(edit, root) {
+    var {
+      inputType,
+      ranges
+    } = edit;
+    if (!ranges.length) return null;
+    // composition can't be cancelled, so would not be reproducible
+    if (inputType == "insertCompositionText") return null;
+    var range = ranges[0];
+    // formatting wraps the first range, rather than replacing it
+    if (inputType in FORMAT_TAGS || inputType in FORMAT_STYLES || inputType == "formatRemove") {
+      if (range.collapsed) return range;
+      var wrap;
+      if (inputType == "formatRemove") wrap = document.createTextNode(range.toString());else if (inputType in FORMAT_TAGS) wrap = document.createElement(FORMAT_TAGS[inputType]);else {
+        wrap = document.createElement("span");
+        wrap.style.setProperty(FORMAT_STYLES[inputType], edit.data);
+      }
+      var contents = range.extractContents();
+      if (wrap.nodeType == Node.ELEMENT_NODE) wrap.appendChild(contents);
+      range.insertNode(wrap);
+      range.selectNode(wrap);
+      return range;
+    }
+    var insert = null;
+    switch (inputType) {
+      case "insertLineBreak":
+        insert = document.createElement("br");
+        break;
+      case "insertHorizontalRule":
+        insert = document.createElement("hr");
+        break;
+      case "insertParagraph":
+        break;
+      case "insertLink":
+        insert = document.createElement("a");
+        insert.href = edit.data;
+        insert.textContent = range.collapsed ? edit.data : range.toString();
+        break;
+      case "insertFromPaste":
+      case "insertFromPasteAsQuotation":
+      case "insertFromDrop":
+        insert = edit_html(edit);
+        if (insert && inputType == "insertFromPasteAsQuotation") {
+          var quote = document.createElement("blockquote");
+          quote.appendChild(insert);
+          insert = quote;
+        }
+      // fall through for text/plain
+      default:
+        // a collapsed range doesn't say what to delete, e.g. from the selection fallback
+        if (inputType.startsWith("delete")) {
+          if (ranges.every(r => r.collapsed)) return null;
+          break;
+        }
+        if (!inputType.startsWith("insert")) return null;
+        if (!insert) {
+          var txt = edit_text(edit);
+          if (txt === null) return null;
+          insert = document.createTextNode(txt);
+        }
+    }
+    for (var r of ranges) {
+      r.deleteContents();
+    }
+    // insert only at the first range
+    range.collapse(true);
+    if (inputType == "insertParagraph") return split_block(root, range);
+    if (insert) insert_at(range, insert);
+    return range;
+  }
+
+  /** Apply an edit to the value of a textarea or input. Form controls have no target ranges, so
+   * 	the control's selection is used instead; only text insertion and deletion are supported
+   * @param {Object} edit see `apply_edit()`; ranges are ignored
+   * @param {HTMLTextAreaElement | HTMLInputElement} el form control the edit targets
+   * @returns {Boolean} false if the inputType is not supported, in which case the value is left
+   * 	unchanged; otherwise the selection is collapsed after the edit
+   */
+  function apply_value_edit(edit, el) {
+    var {
+      inputType
+    } = edit;
+    var start = el.selectionStart,
+      end = el.selectionEnd,
+      txt = "";
+    if (start === null || inputType == "insertCompositionText") return false;
+    if (inputType == "insertLineBreak" || inputType == "insertParagraph") {
+      if (!(el instanceof HTMLTextAreaElement)) return false;
+      txt = "\n";
+    } else if (inputType.startsWith("insert")) {
+      txt = edit_text(edit);
+      if (txt === null) return false;
+    } else if (inputType.startsWith("delete")) {
+      // with nothing selected, only single character deletes can be reproduced
+      if (start == end) {
+        if (inputType == "deleteContentBackward") start = Math.max(0, start - 1);else if (inputType == "deleteContentForward") end = Math.min(el.value.length, end + 1);else return false;
+      }
+    } else return false;
+    el.setRangeText(txt, start, end, "end");
+    return true;
+  }
+
+  // inputType => [execCommand, value from edit]
+  var NATIVE_COMMANDS = {
+    insertText: ["insertText", edit_text],
+    insertReplacementText: ["insertText", edit_text],
+    insertFromYank: ["insertText", edit_text],
+    insertTranspose: ["insertText", edit_text],
+    insertFromPaste: ["insertHTML", e => {
+      var _e$dataTransfer;
+      return ((_e$dataTransfer = e.dataTransfer) === null || _e$dataTransfer === void 0 ? void 0 : _e$dataTransfer.getData("text/html")) || edit_text(e);
+    }],
+    insertFromPasteAsQuotation: ["insertHTML", e => {
+      var _e$dataTransfer2;
+      return "<blockquote>".concat(((_e$dataTransfer2 = e.dataTransfer) === null || _e$dataTransfer2 === void 0 ? void 0 : _e$dataTransfer2.getData("text/html")) || edit_text(e), "</blockquote>");
+    }],
+    insertFromDrop: ["insertHTML", e => {
+      var _e$dataTransfer3;
+      return ((_e$dataTransfer3 = e.dataTransfer) === null || _e$dataTransfer3 === void 0 ? void 0 : _e$dataTransfer3.getData("text/html")) || edit_text(e);
+    }],
+    insertLineBreak: ["insertLineBreak"],
+    insertParagraph: ["insertParagraph"],
+    insertOrderedList: ["insertOrderedList"],
+    insertUnorderedList: ["insertUnorderedList"],
+    insertHorizontalRule: ["insertHorizontalRule"],
+    insertLink: ["createLink", e => e.data],
+    formatBold: ["bold"],
+    formatItalic: ["italic"],
+    formatUnderline: ["underline"],
+    formatStrikeThrough: ["strikeThrough"],
+    formatSuperscript: ["superscript"],
+    formatSubscript: ["subscript"],
+    formatJustifyFull: ["justifyFull"],
+    formatJustifyCenter: ["justifyCenter"],
+    formatJustifyRight: ["justifyRight"],
+    formatJustifyLeft: ["justifyLeft"],
+    formatIndent: ["indent"],
+    formatOutdent: ["outdent"],
+    formatRemove: ["removeFormat"],
+    formatBackColor: ["backColor", e => e.data],
+    formatFontColor: ["foreColor", e => e.data],
+    formatFontName: ["fontName", e => e.data]
+  };
+
+  /** Path of child indexes from root to node */
+  function node_path(root, node) {
+    var path = [];
+    for (; node !== root; node = node.parentNode) {
+      path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+    }
+    return path;
+  }
+  /** Range in clone, at the same position as range is in root */
+  function clone_range(root, clone, range) {
+    var resolve = node => node_path(root, node).reduce((n, i) => n.childNodes[i], clone);
+    var r = document.createRange();
+    r.setStart(resolve(range.startContainer), range.startOffset);
+    r.setEnd(resolve(range.endContainer), range.endOffset);
+    return r;
+  }
+
+  /** Have the browser perform an edit natively on a clone of the editing host. Since we can't
+   * 	trigger a browser's default action for an event, the closest we can get is to select the
+   * 	target range in the clone and run the equivalent `document.execCommand`. This changes the
+   * 	selection, so the caller should restore it afterwards.
+   * @param {Object} edit see `apply_edit()`; ranges should be in `root`, and must be read before
+   * 	modifying `root`
+   * @param {Element} root editing host the edit targets
+   * @param {Element} clone contenteditable, unmodified clone of `root`, which must be rendered
+   * 	(e.g. positioned offscreen) for execCommand to work
+   * @returns {Boolean} false if there is no equivalent command, or the browser did not run it
+   */
+  function native_edit(edit, root, clone) {
+    var {
+      inputType,
+      ranges
+    } = edit;
+    if (!ranges.length) return false;
+    var cmd, value;
+    if (inputType.startsWith("delete")) cmd = ranges[0].collapsed ? null : "delete";else if (inputType in NATIVE_COMMANDS) {
+      var [name, getter] = NATIVE_COMMANDS[inputType];
+      cmd = name;
+      value = getter ? getter(edit) : null;
+    }
+    if (!cmd) return false;
+    var sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(clone_range(root, clone, ranges[0]));
+    clone.focus({
+      preventScroll: true
+    });
+    return document.execCommand(cmd, false, value);
+  }
+
+  /** Range of mutations, as returned by `MutationDiff.range()`. Like the builtin Range interface,
+   * 	but each anchor is encoded relative to a node that is outside the range: the start anchor is
+   * 	either after a node (its previous sibling), or inside a node at its start (its parent); and
+   * 	likewise, the end anchor is either before a node, or inside a node at its end. Mutations
+   * 	inside the range therefore do not corrupt the range.
+   *
+   * @member {{node: Node, sibling: Boolean}} start start anchor; if `sibling`, the range starts after
+   * 	`node`, otherwise after the opening of `node`
+   * @member {{node: Node, sibling: Boolean}} end end anchor; if `sibling`, the range ends before
+   * 	`node`, otherwise before the closing of `node`
+   */
+  class MutatedRange {
+    constructor() {
+      this.start = null;
+      this.end = null;
+    }
+    /** Set the start anchor
+     * @param {Node} node anchor node
+     * @param {Boolean} sibling if true, start after `node`; otherwise start inside `node`, before its
+     * 	first child
+     * @param {Boolean} collapse also set the end anchor to the same position
+     */
+    setStart(node, sibling) {
+      var collapse = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : false;
+      this.start = {
+        node,
+        sibling
+      };
+      if (collapse) this.end = sibling && node.nextSibling ? {
+        node: node.nextSibling,
+        sibling: true
+      } : {
+        node: sibling ? node.parentNode : node,
+        sibling: false
+      };
+    }
+    /** Set the end anchor
+     * @param {Node} node anchor node
+     * @param {Boolean} sibling if true, end before `node`; otherwise end inside `node`, after its
+     * 	last child
+     * @param {Boolean} collapse also set the start anchor to the same position
+     */
+    setEnd(node, sibling) {
+      var collapse = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : false;
+      this.end = {
+        node,
+        sibling
+      };
+      if (collapse) this.start = sibling && node.previousSibling ? {
+        node: node.previousSibling,
+        sibling: true
+      } : {
+        node: sibling ? node.parentNode : node,
+        sibling: false
+      };
+    }
+    /** Set range to surround a single node
+     * @param {Node} node the node to surround; it must have a parent
+     */
+    selectNode(node) {
+      var p = node.parentNode;
+      if (!p) throw Error("can't select a node without a parent");
+      this.start = node.previousSibling ? {
+        node: node.previousSibling,
+        sibling: true
+      } : {
+        node: p,
+        sibling: false
+      };
+      this.end = node.nextSibling ? {
+        node: node.nextSibling,
+        sibling: true
+      } : {
+        node: p,
+        sibling: false
+      };
+    }
+    /** Make a copy of this range object */
+    cloneRange() {
+      var r = new MutatedRange();
+      r.start = Object.assign({}, this.start);
+      r.end = Object.assign({}, this.end);
+      return r;
+    }
+    /** Extend this range to include the bounds of another MutatedRange
+     * @param {MutatedRange} other range to enclose
+     * @throws if the ranges are in disconnected DOM trees
+     */
+    extend(other) {
+      if (compare_points(anchor_point(other.start, true), anchor_point(this.start, true)) < 0) this.start = Object.assign({}, other.start);
+      if (compare_points(anchor_point(other.end, false), anchor_point(this.end, false)) > 0) this.end = Object.assign({}, other.end);
+    }
+    /** Whether the start and end anchors are at the same position in the current DOM */
+    get collapsed() {
+      return !compare_points(anchor_point(this.start, true), anchor_point(this.end, false));
+    }
+    /** Check if range exactly matches another, including how its anchors are encoded
+     * @param {MutatedRange} other range to compare with
+     */
+    isEqual(other) {
+      var same = (a, b) => a.node === b.node && a.sibling === b.sibling;
+      return same(this.start, other.start) && same(this.end, other.end);
+    }
+    /** Convert to Range interface, for the current DOM */
+    toRange() {
+      var r = document.createRange();
+      r.setStart(...anchor_point(this.start, true));
+      r.setEnd(...anchor_point(this.end, false));
+      return r;
+    }
+    /** Convert to StaticRange interface, for the current DOM */
+    toStaticRange() {
+      var [startContainer, startOffset] = anchor_point(this.start, true);
+      var [endContainer, endOffset] = anchor_point(this.end, false);
+      return new StaticRange({
+        startContainer,
+        startOffset,
+        endContainer,
+        endOffset
+      });
+    }
+  }
+
+  /** Anchor to a Range boundary point in the current DOM
+   * @param {Boolean} start whether it is a start anchor
+   * @returns {[Node, Number]} container and offset
+   */
+  function anchor_point(anchor, start) {
+    var {
+      node,
+      sibling
+    } = anchor;
+    if (!sibling) return [node, start ? 0 : node.childNodes.length];
+    var p = node.parentNode;
+    var idx = Array.prototype.indexOf.call(p.childNodes, node);
+    return [p, start ? idx + 1 : idx];
+  }
+  /** Compare two boundary points
+   * @returns {Number} -1, 0 or 1 if `a` is before, equal to, or after `b`
+   */
+  function compare_points(a, b) {
+    var r = document.createRange();
+    r.setStart(...b);
+    return r.comparePoint(...a);
+  }
+
+  var DBG = 0;
+
+  /** Tracks mutations performed on the DOM, giving you the delta between original and mutated
+   * 	DOM, allowing DOM to be reverted to its initial state, or a Range to be queried with the
+   * 	extent of DOM mutations.
+   * 
+   * 	Tracking is optimal, in that we only store the delta between the original and current
+   * 	DOM. Reverting the DOM can be done directly, without needing to unwind a log of all
+   * 	mutations. Additionally, mutation range queries give exact bounds, and can detect
+   * 	when mutations cancel out.
+   * 
+   * 	The interface is designed to take input from MutationObserver, but this is up to the
+   * 	user. Tracking a delta rather than log of mutation records is a bit tricky to do while
+   * 	supporting the batched, async MutationObserver interface: we build a cached view of
+   * 	the current and original DOM's sibling graph; the full DOM is not cached, just the
+   * 	parts necessary for tracking. So there is a bit more overhead than simply logging
+   * 	mutation records. Nevertheless, this method gives optimal worst case behavior, and
+   * 	gives exact bounds for mutations, so I think is better for most cases.
+   */
+  var _prop = /*#__PURE__*/new WeakSet();
+  class MutationDiff {
+    constructor() {
+      _classPrivateMethodInitSpec(this, _prop);
+      // Node property changes: node => PropertyCache
+      this.props = new Map();
+      // Node position changes
+      this.tree = new TreeMutations();
+    }
+
+    /** Add the changes indicated by a MutationRecord. Note for attributes and
+     * 	characterData records, you need to include the old value
+     * @param {MutationRecord} r the record to add
+     */
+    record(r) {
+      switch (r.type) {
+        case "attributes":
+          var name = r.attributeName;
+          if (r.attributeNamespace) name = r.attributeNamespace + ':' + name;
+          this.attribute(r.target, name, r.oldValue);
+          break;
+        case "characterData":
+          this.data(r.target, r.oldValue);
+          break;
+        case "childList":
+          this.children(r.target, r.removedNodes, r.addedNodes, r.previousSibling, r.nextSibling);
+          break;
+      }
+    }
+
+    /** Indicate nodes added or removed as children of some parent node
+     * @param {Node} parent parent node where removal/insertion occurred
+     * @param {[Node]} removed an ordered list of nodes that were removed
+     * @param {[Node]} added an ordered list of nodes that were added
+     * @param {Node | null} prev point-in-time previousSibling of the removed/added nodes
+     * @param {Node | null} next point-in-time nextSibling of the removed/added nodes
+     */
+    children(parent, removed, added, prev, next) {
+      this.tree.mutation(parent, removed, added, prev, next);
+    }
+
+    /** Shared method for tracking attribute and data changes */
+
+    /** Indicate HTML attribute changed. Note this uses the current node.getAttribute
+     * 	value for detecting when the attribute is modified.
+     * @param {Node} node node whose attribute changed
+     * @param {String} key namespace qualified attribute name, e.g. "namespace:name"
+     * @param old_value previous value of this attribute; when attribute is first seen, this is
+     * 	stored as the "original value", and used to detect when the attribute reverts
+     */
+    attribute(node, key, old_value) {
+      return _classPrivateMethodGet(this, _prop, _prop2).call(this, node, "native", key, node.getAttribute(key), old_value);
+    }
+    /** Indicate data change for a CharacterData node. Note this uses the current node.data
+     * 	value for detecting when the text is modified.
+     * @param {Node} node node whose data (text content) changed
+     * @param old_value previous text content; when this node's text is first seen, this is
+     * 	stored as the "original value", and used to detect when the text reverts
+     */
+    data(node, old_value) {
+      // we use null as the key for data
+      return _classPrivateMethodGet(this, _prop, _prop2).call(this, node, "native", null, node.data, old_value);
+    }
+    /** Indicate some custom property for the node has changed. Custom properties are not
+     * 	automatically reverted; you must provide a callback to revert them yourself, see `revert()`
+     * @param {Node} node node whose property changed
+     * @param key any Map capable object
+     * @param value current value for this property; this can be the value several mutations
+     * 	after `old_value` was read, as would be the case for MutationRecords
+     * @param old_value previous value of this property; when property is first seen, this is
+     * 	stored as the "original value", and used to detect when the property reverts
+     */
+    custom(node, key, value, old_value) {
+      return _classPrivateMethodGet(this, _prop, _prop2).call(this, node, "custom", key, value, old_value);
+    }
+
+    /** Check if DOM is mutated
+     * @param {Node} root Filter for mutations that are inside root; useful when using MutationObserver, which
+     * 	in certain situations can track mutations outside of its root node
+     * @returns {Boolean} true if DOM is different from how it started
+     */
+    mutated() {
+      var root = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+      if (root) {
+        for (var [_node, _props] of this.props.entries()) {
+          // if node was moved out of root, then we'll catch that later in the tree mutations
+          if (_props.dirty && root.compareDocumentPosition(_node) & Node.DOCUMENT_POSITION_CONTAINED_BY) return true;
+        }
+        for (var op of this.tree.mutations()) {
+          // we can just check parent here; parent == root is okay;
+          // if root has been affected, at least one parent out of all mutations will still be contained in root
+          if (op.original && root.contains(op.original.parent) || op.node.parentNode && root.contains(op.node.parentNode)) return true;
+        }
+        return false;
+      }
+      if (this.tree.size) return true;
+      for (var _props2 of this.props.values()) {
+        if (_props2.dirty) return true;
+      }
+      return false;
+    }
+
+    /** Get a Range indicating bounds of the mutated parts of the DOM. You must call this prior
+     * 	to `revert`, since reverting resets tracking.
+     * @param {Node} root Filter for mutations that are inside root; useful when using MutationObserver, which
+     * 	in certain situations can track mutations outside of its root node
+     * @returns {MutatedRange | null} null if the DOM is not mutated; MutatedRange can be collapsed, which
+     * 	indicates nodes have been removed at that position.
+     * @throws If root is false and mutations affect disconnected DOM trees, there would be multiple
+     * 	disconnected ranges for the mutations; an error is thrown in this case. Node movements to
+     * 	an "orphaned" DOM are not included in the range, so will not generate this error; examples
+     * 	are a node that is newly added (no prior DOM), or a node is removed (no current DOM). In the
+     * 	case of an error, specify `root` parameter, which could simply be the `document` of interest.
+     */
+    range() {
+      var root = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+      var fr = null,
+        // full range of all mutations
+        sr = new MutatedRange(); // range for single mutation
+      /** Union of fr with sr */
+      var union = () => {
+        if (fr === null) fr = sr.cloneRange();else fr.extend(sr);
+      };
+      /** Include node that is inside root */
+      var include = node => {
+        return !root || root.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_CONTAINED_BY;
+      };
+      for (var [_node2, _props3] of this.props.entries()) {
+        if (_props3.dirty && include(_node2)) {
+          sr.selectNode(_node2);
+          union();
+        }
+      }
+      var fixed_sibling = s => {
+        return s !== undefined && !(s instanceof SiblingPromise) && (s === null || !this.tree.has(s));
+      };
+      for (var op of this.tree.mutations()) {
+        var _this$props$get;
+        // current position
+        if (op.node.parentNode && !((_this$props$get = this.props.get(op.node)) !== null && _this$props$get !== void 0 && _this$props$get.dirty) && include(op.node)) {
+          sr.selectNode(op.node);
+          union();
+        }
+        /* Original position: Only care about fixed nodes when marking the original bounds.
+        	If prev/next bounds have been moved, then the bounds get extended to *their* siblings,
+        	so we delegate the bound extension to those siblings instead. Eventually, a fixed
+        	node will be found that is a candidate.
+        */
+        if (!op.original) continue;
+        op = op.original;
+        var p = op.parent;
+        if (p) {
+          var prev_fixed = fixed_sibling(op.prev);
+          var next_fixed = fixed_sibling(op.next);
+          if (!prev_fixed && !next_fixed) continue;
+          // parent == root okay in this case
+          if (root && !root.contains(p)) continue;
+          // if we only have one side, we collapse; the other side will be handled later by another node
+          if (prev_fixed) sr.setStart(op.prev || p, Boolean(op.prev), !next_fixed);
+          if (next_fixed) sr.setEnd(op.next || p, Boolean(op.next), !prev_fixed);
+          union();
+        }
+      }
+      return fr;
+    }
+
+    // bitmask definitions for `diff()`
+    // TODO: move this out to a frozen object?
+
+    /** Get the current diff.
+     * @param filter a bitmask for which differences to return, which can be a combination of:
+     * 	- `ALL`: include all diff info
+     * 	- `MUTATED`: include the mutated (current) values
+     * 	- `ORIGINAL`: include the original values
+     * 	- `PROPERTY`: include attribute, data, and custom property changes
+     * 	- `DATA`: include data changes, see `data()`
+     * 	- `ATTRIBUTE`: include attribute changes, see `attribute()`
+     * 	- `CUSTOM`: include data changes, see `custom()`
+     * 	- `CHILDREN`: include node position changes, see `children()`
+     * 
+     * These are available as attributes on the MutationDiff class.
+     * @param custom_getter `fn(node, key)`, which is called to get the mutated value for custom
+     * 	properties; if not provided, the mutated value will not be set
+     * @returns {Map<Node, {data, attribute: {}, custom: Map, children}>} A Map giving the changes
+     *  for each node. An object `{original, mutated}` gives the original and/or mutated values for
+     *  each of the diff types. The mutated values are not stored for property mutations, so when
+     *  the mutated values are requested, it will query the current DOM for the value.
+     * 
+     *  For `attribute`, it is an Object mapping each attribute key to the diff; likewise for
+     *  `custom`, only using a Map to handle custom keys.
+     * 
+     *  The `children` diff gives the node's position change from a call to `children()`; the value
+     *  is an object giving the reference position with `parent` (parentNode), `next` (nextSibling),
+     *  and `prev` (previousSibling). The parent may be null if the node is not present in the
+     *  original/mutated DOM. The next/prev values may be undefined or a `SiblingPromise` if they
+     * 	are unknown. Calling `synchronize()` can resolve unknown node positions.
+     * 
+     * 	Each of the diff types may be absent if there was no difference, or it was not included
+     * 	in the filter. The output may be freely modified, as it is a copied view. For performance,
+     * 	you may consider accessing the raw internal mutation data instead, but I will not guarantee
+     * 	backward compatibility for the internal format.
+     */
+    diff() {
+      var filter = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : MutationDiff.ALL;
+      var custom_getter = arguments.length > 1 ? arguments[1] : undefined;
+      /* We could mirror this format for the internal structure, possibly as its own class with
+      	access methods and all. The advantage being we could just return it mostly in its raw
+      	form with minimal reformatting. The problem though is JavaScript doesn't let you specify
+      	friend classes, so user would have full access to modify and possibly corrupt the
+      	internal state. Seems like you'd need to clone no matter what, so this would be as good
+      	as any
+      */
+      var out = new Map();
+      var FORIGINAL = filter & MutationDiff.ORIGINAL;
+      var FMUTATED = filter & MutationDiff.MUTATED;
+      if (FORIGINAL || FMUTATED) {
+        // diffs from PropertyCache
+        if (filter & MutationDiff.PROPERTY) {
+          for (var [_node3, cache] of this.props.entries()) {
+            if (!cache.dirty) continue;
+            var has_diff = false;
+            var log = {};
+            // data
+            if (filter & MutationDiff.DATA) {
+              var op = cache.native.get(null);
+              if (op && op.dirty) {
+                has_diff = true;
+                var d = log.data = {};
+                if (FORIGINAL) d.original = op.value;
+                if (FMUTATED) d.mutated = _node3.data;
+              }
+            }
+            // attributes
+            if (filter & MutationDiff.ATTRIBUTE) {
+              var has_attrs = false;
+              var attrs = {};
+              for (var [key, _op] of cache.native.entries()) {
+                if (!_op.dirty || key === null) continue;
+                has_attrs = true;
+                var _d = attrs[key] = {};
+                if (FORIGINAL) _d.original = _op.value;
+                if (FMUTATED) _d.mutated = _node3.getAttribute(key);
+              }
+              if (has_attrs) {
+                log.attribute = attrs;
+                has_diff = true;
+              }
+            }
+            // custom properties
+            if (filter & MutationDiff.CUSTOM) {
+              var custom = new Map();
+              for (var [_key, _op2] of cache.custom.entries()) {
+                if (!_op2.dirty) continue;
+                var _d2 = {};
+                custom.set(_key, _d2);
+                if (FORIGINAL) _d2.original = _op2.value;
+                if (FMUTATED && custom_getter) _d2.mutated = custom_getter(_node3, _key);
+              }
+              if (custom.size) {
+                log.custom = custom;
+                has_diff = true;
+              }
+            }
+            if (has_diff) out.set(_node3, log);
+          }
+        }
+        // diffs from TreeMutations
+        if (filter & MutationDiff.CHILDREN) {
+          for (var _op3 of this.tree.mutations()) {
+            var _node4 = _op3.node;
+            var _log = out.get(_node4);
+            if (!_log) {
+              _log = {};
+              out.set(_node4, _log);
+            }
+            var _d3 = _log.children = {};
+            if (FORIGINAL) _d3.original = _op3.original ? Object.assign({}, _op3.original) : null;
+            if (FMUTATED) _d3.mutated = _op3.mutated ? Object.assign({}, _op3.mutated) : null;
+          }
+        }
+      }
+      return out;
+    }
+
+    /** Generator which yields groups of adjacent nodes whose DOM position was altered
+     * @param mode bitset, including one of MutationDiff.ORIGINAL or MutationDiff.MUTATED;
+     * 	whether to get nodes' original vs mutated positions
+     * @param {Boolean} include_removed setting this to true will include an additional group
+     * 	for "removed" nodes: nodes that are not present in the original/mutated DOM
+     * @yields {{
+     * 		nodes: [Node],
+     *		parent: Node | null,
+     *		next: Node | null | SiblingPromise | undefined,
+     * 		prev: Node | null | SiblingPromise | undefined
+     * 	}}
+     * 	Group of adjacent nodes, and their position as given by a parentNode (parent),
+     * 	nextSibling (next) and previousSibling (previous). For removed nodes, parent is null
+     * 	and next/prev are not present. If synchronize() has not been called, you may get
+     * 	a SiblingPromise/undefined for next/prev, indicating an unknown position.
+     */
+    *diff_grouped_children() {
+      var mode = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : MutationDiff.ORIGINAL;
+      var include_removed = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : true;
+      if (mode & MutationDiff.ORIGINAL) mode = "original";else if (mode & MutationDiff.MUTATED) mode = "mutated";else return;
+      var skip = new Set();
+      // walk through prev/next and link up any ones that are floating as well
+      var link_siblings = (group, op, dir, arrfn) => {
+        arrfn = group.nodes[arrfn].bind(group.nodes);
+        var bop = op,
+          bop_next,
+          link;
+        while (true) {
+          if (!(link = bop[dir]) || !(bop_next = this.tree.get(link))) {
+            // inherit the linked ops prev/next
+            group[dir] = link;
+            break;
+          }
+          // we'll take over handling the node
+          skip.add(link);
+          arrfn(link);
+          bop = bop_next[mode];
+          // broken sibling possible if synchronize hasn't been called
+          if (!bop) break;
+        }
+      };
+      var removed = [];
+      for (var op of this.tree.mutations()) {
+        var _node5 = op.node;
+        // this node already grouped
+        if (skip.has(_node5)) {
+          skip.delete(_node5);
+          continue;
+        }
+        op = op[mode];
+        // removed nodes
+        if (!op) {
+          if (include_removed) removed.push(_node5);
+          continue;
+        }
+        var group = {
+          nodes: [_node5],
+          parent: op.parent
+        };
+        link_siblings(group, op, "prev", "unshift");
+        link_siblings(group, op, "next", "push");
+        yield group;
+      }
+      if (removed.length) yield {
+        nodes: removed,
+        parent: null
+      };
+    }
+
+    /** Moves groups of nodes inside the current DOM. When both of a group's siblings are unknown
+     * 	(next/prev are undefined/SiblingPromise), the DOM movement is not performed.
+     * @param groups an iterable giving nodes to be moved and their new position; this should
+     * 	follow the same format as is yielded by `diff_grouped_children()`
+     */
+    static patch_grouped_children(groups) {
+      /* Order of node movements can matter:
+      	1. If a node will be inserted next to a sibling, but that sibling is floating, the sibling
+      		needs to be resolved first. We can easily handle this by linking up nodes by their
+      		prev/next siblings and inserting them as a group.
+      	2. The order we process parents matters when an ancestor has become a descendant of its
+      		descendant. In this case you'll get an error, "new child is an ancestor of the parent"
+      		Determining the ordering of parents is complex, since we need to check descendants/ancestors
+      		both in the current position, and possibly in the new position. I cannot think of an efficient
+      		algorithm to do it currently. An alternative is simply to remove those descendants first
+      		(which is feasible, albeit with non-negligble overhead), thus severing the problematic ancestor
+      		connection. An even simpler alternative is just to remove all floating nodes. Every node
+      		insertion requires a removal first, so this is what the browser is going to do anyways. The only
+      		reason to try to discover the parent ordering is to optimize a remove+append into a single
+      		append. Given the complexity of computing the parent ordering, the overhead for that does
+      		not seem worth it; even determining *which* parents should be removed is costly. So we'll just
+      		remove all nodes to make parent ordering irrelevant.
+      			It could actually save time as well, since it reduces the amount of hierarchy checks the browser
+      		has to do on its end.
+      */
+      var add = []; // [{group, next: bool}]
+      for (var g of groups) {
+        for (var n of g.nodes) {
+          n.remove();
+        }
+        if (g.parent) {
+          // sibling may be undefined for untracked adds; we'll just skip those nodes
+          var next_set = !(g.next === undefined || g.next instanceof SiblingPromise);
+          if (!next_set) {
+            var prev_set = !(g.prev === undefined || g.prev instanceof SiblingPromise);
+            if (!prev_set) {
+              console.warn("MutationDiff: siblings unknown, can't patch");
+              continue;
+            }
+          }
+          add.push({
+            group: g,
+            next: next_set
+          });
+        }
+      }
+      /* If nodes are already inside the correct parent, you could reduce the number of moves. E.g. [BCA],
+      	assuming all have moved, can be optimized to a single movement of A, rather than setting child
+      	list to [ABC]. Another might be combining two inserts into one by reinserting any nodes between,
+      	e.g. [AB],CD,[EF] -> [ABCDEF]. However, I think detecting this kind of optimization will end up
+      	being more computation than just moving all the children. So we won't optimize node ops any further.
+      */
+      // perform node movements
+      for (var op of add) {
+        var _g = op.group;
+        if (op.next) {
+          if (_g.next) _g.next.before(..._g.nodes);else _g.parent.append(..._g.nodes);
+        } else {
+          if (_g.prev) _g.prev.after(..._g.nodes);else _g.parent.prepend(..._g.nodes);
+        }
+      }
+    }
+
+    /** Revert the DOM to its original state. This also has yields the effects of `clear()`.
+     * As noted in `clear()` you may wish to reattach a corresponding MutationObserver.
+     * @param custom_revert `fn(node, key, value)`, which is called for all custom properties
+     * 	that were set (see `custom()`), and should be used to revert that custom value
+     */
+    revert() {
+      var custom_revert = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+      // TODO: `root` option? might be possible if parents are ordered by rootNode or something
+      // revert properties
+      for (var [_node6, _props4] of this.props.entries()) {
+        _props4.revert(_node6, custom_revert);
+      }
+      this.props.clear();
+
+      // This can be a little more efficient if the methods were inlined, as I used to have it;
+      // but for the sake of less code duplication and simpler maintenance, we'll just use these
+      MutationDiff.patch_grouped_children(this.diff_grouped_children(MutationDiff.ORIGINAL, true));
+      this.tree.clear();
+    }
+
+    /** Clear the internal log of mutations, effectively "committing" the current DOM.
+     * You may also wish to reattach a corresponding MutationObserver, as it can track
+     * DOM nodes outside root. After clearing/reverting, these disconnected trees do
+     * not matter anymore.
+     */
+    clear() {
+      this.props.clear();
+      this.tree.clear();
+    }
+
+    /** For memory optimization: Returns a value indicating the size of internal storage for
+     * tracking the mutations. You could use this to trigger periodic reversion/clearing or
+     * other mutation processing to keep memory lower.
+     */
+    get storage_size() {
+      return this.props.size + this.tree.size;
+    }
+
+    /** Signals that all mutations have been recorded and the view of the DOM given to
+     * MutationDiff is up-to-date with the current DOM. This would be the case after
+     * MutationObserver.takeRecords has been called, for example. This allows us to release some
+     * cached information about data/attributes/properties. This also can resolves untracked add
+     * mutations, which allows DOM trees disconnected from the root to be reverted correctly.
+     */
+    synchronize() {
+      for (var [_node7, _props5] of this.props.entries()) {
+        if (!_props5.synchronize()) this.props.delete(_node7);
+      }
+      this.tree.synchronize();
+    }
+  }
+
+  /* Holds a record of mutations for attributes, character data, or custom properties.
+   * 
+   * With MutationRecord, we only get the oldValue, and need to fetch current value from
+   * getAttribute/data get. The lack of point-in-time value means we cannot know if the value is
+   * reverted at that point-in-time. We only are aware of a reversion *after the fact* (e.g. a new
+   * MutationRecord.oldValue matches what we had cached). So unfortunately this means we'll need to
+   * cache oldValue in perpetuity, even when the property is reverted.
+   * 
+   * You can use synchronize method to remove all reverted properties, but this should only be done if you
+   * are sure all MutationRecords have been accounted for already, and the PropertyCache has an
+   * accurate view of the current DOM (e.g. when MutationObserver.takeRecords() is called).
+   */
+  function _prop2(node, mode, key, value, old_value) {
+    var props = this.props.get(node);
+    if (!props) {
+      props = new PropertyCache();
+      this.props.set(node, props);
+    }
+    props.mark(mode, key, value, old_value);
+  }
+  _defineProperty(MutationDiff, "ALL", 0xFFFF);
+  _defineProperty(MutationDiff, "MUTATED", 0b10000);
+  _defineProperty(MutationDiff, "ORIGINAL", 0b100000);
+  _defineProperty(MutationDiff, "PROPERTY", 0b111);
+  _defineProperty(MutationDiff, "DATA", 0b1);
+  _defineProperty(MutationDiff, "ATTRIBUTE", 0b10);
+  _defineProperty(MutationDiff, "CUSTOM", 0b100);
+  _defineProperty(MutationDiff, "CHILDREN", 0b1000);
+  class PropertyCache {
+    constructor() {
+      /* Each in the form: key => {value, dirty}, where dirty indicates if the value
+      	is different than current and needs to be reverted. Native is for attributes
+      	and data, with a null key indicating data. Custom is for custom user defined
+      	properties.
+      */
+      this.native = new Map();
+      this.custom = new Map();
+      // number of clean/dirty properties
+      this._clean = 0;
+      this._dirty = 0;
+    }
+    // Total size of the cache
+    get size() {
+      return this.native.size + this.custom.size;
+    }
+    // Number of dirty properties
+    get dirty() {
+      return this._dirty;
+    }
+    // Number of clean properties
+    get clean() {
+      return this._clean;
+    }
+    /** Mark a property for the cache
+     * @param mode "native" for attribute/data, or "custom" for custom properties
+     * @param key the attribute name, null for data, or the custom property key
+     * @param value current value, which may be several mutations ahead of old_value
+     * @param old_value previous point-in-time value
+     */
+    mark(mode, key, value, old_value) {
+      var m = this[mode];
+      var props = m.get(key);
+      // unseen property
+      if (!props) {
+        var dirty = value !== old_value;
+        m.set(key, {
+          value: old_value,
+          dirty
+        });
+        if (dirty) this._dirty++;else this._clean++;
+      }
+      // previously cached; just update dirty flag
+      else {
+        var _dirty = value !== props.value;
+        if (_dirty != props.dirty) {
+          props.dirty = _dirty;
+          var change = _dirty ? 1 : -1;
+          this._dirty += change;
+          this._clean -= change;
+        }
+      }
+    }
+    /** Reset all dirty properties for a node
+     * @param node the node to revert properties for
+     * @param custom_revert fn(node, key, value) callback, which can
+     * 	revert custom user properties
+     */
+    revert(node, custom_revert) {
+      for (var [attr, o] of this.native.entries()) {
+        if (!o.dirty) continue;
+        if (attr === null) node.data = o.value;else if (o.value === null) node.removeAttribute(attr);else node.setAttribute(attr, o.value);
+      }
+      if (custom_revert) {
+        for (var [key, _o] of props.custom) {
+          if (_o.dirty) custom_revert(node, key, _o.value);
+        }
+      }
+    }
+    /** Removes clean properties from the cache, returning a count of dirty properties left */
+    synchronize() {
+      for (var [attr, o] of this.native.values()) {
+        if (!o.dirty) this.native.delete(attr);
+      }
+      for (var [key, _o2] of this.custom.values()) {
+        if (!_o2.dirty) this.custom.delete(key);
+      }
+      this._clean = 0;
+      this._dirty = this.size;
+      return this._dirty;
+    }
+  }
+
+  /** Container to encapsulate mutations to the DOM tree (node adds/removes) */
+  var _revert_check = /*#__PURE__*/new WeakSet();
+  var _assert_valid_state = /*#__PURE__*/new WeakSet();
+  class TreeMutations {
+    constructor() {
+      _classPrivateMethodInitSpec(this, _assert_valid_state);
+      _classPrivateMethodInitSpec(this, _revert_check);
+      /** @member {Map<Node, MutatedNode>} floating index of nodes that have been modified */
+      this.floating = new Map(); // node => MutatedNode
+      /** @member {SiblingIndex} original indexes the graph of MutatedNode original siblings */
+      this.original = new SiblingIndex("original");
+      /** @member {SiblingIndex} original indexes the graph of MutatedNode mutated siblings */
+      this.mutated = new SiblingIndex("mutated");
+    }
+
+    /** Remove all mutations */
+    clear() {
+      this.floating.clear();
+      this.original.clear();
+      this.mutated.clear();
+    }
+
+    /** Storage size for mutations */
+    get size() {
+      return this.floating.size;
+    }
+    /** Check if node position has been modified */
+    has(node) {
+      return this.floating.has(node);
+    }
+    /** Get mutations for a node */
+    get(node) {
+      return this.floating.get(node);
+    }
+    /** Iterate mutated nodes */
+    nodes() {
+      return this.floating.keys();
+    }
+    /** Iterate mutations */
+    mutations() {
+      return this.floating.values();
+    }
+
+    /** Add a mutation to the tree
+     * @param {Node} parent parent node where removal/insertion occurred
+     * @param {[Node]} removed an ordered list of nodes that were removed
+     * @param {[Node]} added an ordered list of nodes that were added
+     * @param {Node | null} prev point-in-time previousSibling of the removed/added nodes
+     * @param {Node | null} next point-in-time nextSibling of the removed/added nodes
+     */
+    mutation(parent, removed, added, prev, next) {
+      var _prev_mn, _prev_mn$mutated, _next_mn, _next_mn$mutated;
+      /* TODO: Technically the removes and adds can happen in any order, and an added node
+      	can be inserted next to any of the removed nodes. So long as final added ordering
+      	remains the same, it is fine. The only side case is when a node needs to be removed
+      	and then readded. I'm wondering if there might be some assumptions you could make
+      	to maximize the number of fixed nodes. Right now the fixedness check assumes all
+      	removed nodes are removed first, then after all the adds; so its only propagating
+      	fixedness from the ends. We'd only be maximizing for the current view though (greedy),
+      	and my guess is you can craft arbitrary scenarios where subsequent mutations mean
+      	the end result fixed node count is not maximized.
+      		Also wondering if it is "proper" to optimize it like that. Treating it like a pure
+      	batch insert could mean you don't assume a particular insertion order; you can only
+      	infer things about the ending state.
+      */
+
+      // MutatedNode for prev/next; undefined if it doesn't exist
+      var prev_mn, next_mn;
+
+      /* An operation may mean one or more nodes have returned to their original position, e.g.
+      	they have transitioned from floating to fixed. The "reverted" nodes may be beyond
+      	prev/next, even if no nodes could be reverted inside that range. Some cases that require
+      	checking for reverted nodes:
+      	1. A node was removed that belonged to parent; the node may have been in-between a node
+      	  and its original sibling; this could occur even if the removed node was previously
+      	  fixed itself, e.g. B[A][C], with A/C fixed, removing A makes B fixed.
+      	2. Unknown siblings become known:
+      		[fixed, prev, unknown sibling, next, floating (but should be fixed)]
+      	  The floating node could not finish its revert check since the unknown sibling prevented
+      	  us from linking it with the fixed node. Necessarily in this case, floating will be the
+      	  next floating node belonging to parent.
+      	3. A node was added that belonged to parent; the added node could become fixed
+      	4. A node that is inside its original parent, and its original sibling was a
+      	  SiblingPromise (unknown) that was just resolved. An example:
+      	  	[origin, prev, SiblingPromise->, next, floating, fixed original]
+      	  As in this example, the resolved node may be outside the prev/next range, meaning it
+      	  may not get caught in the prev/next revert check.
+      		For first two, fixedness can be propagated from the nearest floating node beyond
+      	prev/next. The third case we can propagate from the prev/next range. The fourth case,
+      	we'd need to propagate from each promise origin individually.
+      */
+      // if removal/resolve allows continuation of a revert calculation (case #1)
+      var revert_possible = false;
+      // siblings became known (case #2)
+      var siblings_known = false;
+      // MutatedNode's between prev/next that may have returned to their original position (case #3)
+      var candidates = [];
+      // resolved promise (case #4); {MutatedNodes => 0b00 bit flag for reversion, see below}
+      var resolved = new Map();
+
+      /* The current DOM state has been revealed between prev and next, so we can resolve
+      	any SiblingPromise's that are inside that range. We'll remove any inner nodes at
+      	the same time. Even if there added/removed are empty, we can still resolve promises
+      	for prev/next (indicated by `revert_possible` flag)
+      */
+      // last seen fixed node and mutated.next SiblingPromise
+      var last_fixed, last_promise;
+      /** Resolve SiblingPromises between prev and next; stateful, using last_fixed, last_promise,
+       * 	and prev_mn; call this for each node in the prev/next sequence in order
+       * @param {Node | null} node
+       * @param {Boolean} handle_prev node's prev sibling can be resolved
+       * @param {Boolean} handle_next node's next sibling can be resolved
+       * @returns {MutatedNode | undefined} associated MutatedNode for `node` if one exists
+       */
+      var handle_promises = (node, handle_prev, handle_next) => {
+        var mn;
+        if (node && (mn = this.floating.get(node))) {
+          var m = mn.mutated;
+          // case: remove + untracked add + remove;
+          // mark any sibling promises that need to be resolved
+          if (handle_prev) {
+            if (m) {
+              if (m.prev === undefined) siblings_known = true;else if (m.prev instanceof SiblingPromise) {
+                // joint resolve: promise -> <- promise
+                if (last_promise) {
+                  last_promise.resolve(m.prev.origin, resolved);
+                  m.prev.resolve(last_promise.origin, resolved);
+                  resolved.set(last_promise.mn, 0);
+                  resolved.set(m.prev.mn, 0);
+                  last_promise = null;
+                }
+                // resolve: fixed node <- promise
+                else if (last_fixed !== undefined) {
+                  m.prev.resolve(last_fixed, resolved);
+                  resolved.set(m.prev.mn, 0);
+                }
+                // resume: floating node <- first promise;
+                // only occurs with the first promise we see, so promise continues with prev_mn
+                else if (m.prev.resume(prev_mn)) resolved.set(m.prev.mn, 0);
+              }
+            }
+          }
+          if (handle_next) {
+            if (m) {
+              if (m.next === undefined) siblings_known = true;else if (m.next instanceof SiblingPromise) last_promise = m.next;
+            }
+          }
+          // resume: last promise -> floating node
+          // only occurs with the last promise we see (next_mn will be set to mn after we return)
+          else if (last_promise) {
+            if (last_promise.resume(mn)) resolved.set(last_promise.mn, 0);
+          }
+        } else {
+          last_fixed = node;
+          // resolve: promise -> fixed node
+          if (last_promise) {
+            last_promise.resolve(node);
+            resolved.set(last_promise.mn, 0);
+            last_promise = null;
+          }
+        }
+        return mn;
+      };
+      var fixed = [];
+      prev_mn = handle_promises(prev, false, true);
+      for (var _node8 of removed) {
+        var mn = handle_promises(_node8, true, true);
+        // (floating) previously moved node
+        if (mn) {
+          this.mutated.remove(mn);
+          // case: add + remove; ops cancel out
+          if (!mn.original) this.floating.delete(_node8);else {
+            // case: (remove + add)* + remove
+            mn.mutated = null;
+            if (mn.original.parent === parent) revert_possible = true;
+          }
+        }
+        // (fixed) newly removed
+        else {
+          // case: add
+          mn = new MutatedNode(_node8);
+          mn.original = {
+            parent
+          };
+          fixed.push(mn);
+          this.floating.set(_node8, mn);
+          revert_possible = true;
+        }
+      }
+      next_mn = handle_promises(next, true, false);
+      if (resolved.size) siblings_known = true;
+      // if we know there is another unknown sibling that would stop the revert check again
+      if (siblings_known && ((_prev_mn = prev_mn) === null || _prev_mn === void 0 ? void 0 : (_prev_mn$mutated = _prev_mn.mutated) === null || _prev_mn$mutated === void 0 ? void 0 : _prev_mn$mutated.prev) === undefined && ((_next_mn = next_mn) === null || _next_mn === void 0 ? void 0 : (_next_mn$mutated = _next_mn.mutated) === null || _next_mn$mutated === void 0 ? void 0 : _next_mn$mutated.next) === undefined) siblings_known = false;
+
+      // filter out resolved promises that are known to be in incorrect position
+      for (var _mn of resolved.keys()) {
+        var _mn$mutated;
+        // we do this after removal step, so now any removed nodes will be filtered out as well;
+        // (no need to do revert checks on nodes that are being removed)
+        // necessarily original.parent === parent
+        if (((_mn$mutated = _mn.mutated) === null || _mn$mutated === void 0 ? void 0 : _mn$mutated.parent) !== parent) resolved.delete(_mn);
+      }
+
+      // get original siblings to mark original position for newly removed nodes
+      if (fixed.length) {
+        var fprev = fixed[0];
+
+        /** Set original sibling for first/last node; sibling may be unknown for these, needing
+         * a SiblingPromise; this only occurs when there is a remove + untracked add
+         * @param {"next" | "prev"} forward_dir original sibling to set
+         * @param {"prev" | "next"} backward_dir opposite of forward_dir
+         * @param {MutatedNode | Node | null} hint if we need to search for a sibling via traversal,
+         * 	this specifies the node to start the search for (same arg as SiblingPromise.resume)
+         */
+        var original_promise_sibling = (forward_dir, backward_dir, hint) => {
+          var sibling = this.original[backward_dir].get(fprev.node);
+          if (!sibling) {
+            sibling = new SiblingPromise(this, fprev, forward_dir);
+            // returns true when it resolves immediately; original will be set
+            if (sibling.resume(hint)) return;
+          } else sibling = sibling.node;
+          fprev.original[forward_dir] = sibling;
+        };
+        original_promise_sibling("prev", "next", prev_mn || prev);
+        // adjacent fixed nodes
+        for (var fi = 1; fi < fixed.length; fi++) {
+          var fnext = fixed[fi];
+          // original sibling(s) were removed from in between fprev-fnext
+          var sibling = this.original.prev.get(fprev.node);
+          if (sibling) {
+            fprev.original.next = sibling.node;
+            fnext.original.prev = this.original.next.get(fnext.node).node;
+          }
+          // fprev-fnext are eachother's original sibling
+          else {
+            fprev.original.next = fnext.node;
+            fnext.original.prev = fprev.node;
+          }
+          this.original.add(fprev);
+          fprev = fnext;
+        }
+        original_promise_sibling("next", "prev", next_mn || next);
+        this.original.add(fprev);
+      }
+
+      /* Added nodes may overwrite the sibling relationship from next/prev. Since update() doesn't
+      	check for overwrite scenarios, at the very least you need to disconnect their sibling
+      	first. We'll just do the update first and that takes care of it
+      */
+      if (prev_mn) this.mutated.update(prev_mn, added[0] || next, "next", parent);
+      if (next_mn) this.mutated.update(next_mn, added[added.length - 1] || prev, "prev", parent);
+      if (added.length) {
+        for (var ai = 0; ai < added.length; ai++) {
+          var _node9 = added[ai];
+          var _mn2 = this.floating.get(_node9);
+          // case: add
+          if (!_mn2) {
+            _mn2 = new MutatedNode(_node9);
+            this.floating.set(_node9, _mn2);
+          }
+          // case: remove + add;
+          // add + add case not permitted, so no need to update this.mutated;
+          // if returned to original parent, candidate for becoming fixed
+          else if (_mn2.original.parent === parent) candidates.push(_mn2);
+          // for nodes that are now reverted, this is unnecessary; doing unconditionally for simpler logic
+          _mn2.mutated = {
+            parent,
+            prev: added[ai - 1] || prev,
+            next: added[ai + 1] || next
+          };
+          this.mutated.add(_mn2);
+        }
+      }
+
+      /* Optimizing many repeated revert_checks: Perhaps an optimal method would be to walk through
+      	the nodes in order; but that's not possible since our sibling graph could be incomplete.
+      	Some other ideas:
+      	1. If we see a sibling is incorrect, we could mark the direction; if a revert check comes
+      		in from the other direction, we know not to continue. Continuing would just traverse
+      		until it found that fixed node from the original direction, the number of floating
+      		nodes in between is probably small, so this may not help much. Overhead is high since
+      		we need to do the check for every traversal.
+      	2. Same as previous bullet, but assume the sibling is a candidate for another revert
+      	    check. We can set prev/next (depending on direction) to be undefined to skip a side,
+      	    or possibly the entire revert_check. Less overhead, though still fair amount; but
+      		this time I think it may be worth it. You need to remove reverted nodes from your
+      		list anyways, so we can just do the side-skipping logic at the same time.
+      	I've implemented the second idea.
+      		Doing revert check on `resolved` promises first may be slightly more efficient: they will
+      	be outside (prev, next) range, so would more often provide a fixed node for
+      	`candidates`. But that comes at needing to trim `candidates`, or to just do a revert
+      	check from one side; add to that the case where candidates is empty. Logic will be
+      	complicated and may cancel out any benefits. So I'm just checking candidates first
+      	instead since it will be simpler.
+      */
+      // removes reverted nodes so we don't check them again; sets side-skipping flags
+      var mark_reverted = (mn, reverted, side) => {
+        var flags = resolved.get(mn);
+        if (flags === undefined) return;
+        /* Revert check flags:
+        	0b01 = prev sibling is known to be incorrect
+        	0b10 = next sibling is known to be incorrect
+        	if 0b11, both siblings are incorrect, so no need to do a revert check
+        */
+        if (reverted || (flags &= side === "prev" ? 1 : 2) == 3) resolved.delete(mn);else resolved.set(mn, flags);
+      };
+      if (revert_possible || siblings_known || candidates.length) _classPrivateMethodGet(this, _revert_check, _revert_check2).call(this, candidates, parent, mark_reverted, prev_mn || prev, next_mn || next);
+      for (var [_mn3, flags] of resolved.entries()) {
+        _classPrivateMethodGet(this, _revert_check, _revert_check2).call(this, [_mn3], parent, mark_reverted, flags & 1 ? _mn3 : undefined, flags & 2 ? _mn3 : undefined);
+      }
+      try {
+        ++DBG;
+        _classPrivateMethodGet(this, _assert_valid_state, _assert_valid_state2).call(this);
+        // let found = false;
+        // for (let x of this.floating.values())
+        // 	if (x.node instanceof Text && x.node.uid == 29)
+        // 		found = x.mutated?.parent;
+        // console.log("text29 found:", found, ++DBG);
+      } catch (err) {
+        console.log("iter #", DBG);
+        console.error("invalid graph");
+        throw err;
+      }
+    }
+
+    /** Check if these nodes have returned to original position (floating to fixed). To become fixed
+     *  its neighboring sibling that originated from the same parent must match its original sibling
+     *  (this ignores siblings in between originating from a different parent). If a node becomes
+     *  fixed, it may cause its neighbors to become fixed in a propagating chain.
+     * @param {[MutatedNode]} candidates list of adjacent MutatedNode's, all inside their original
+     * 	parent, and who are candidates to become fixed. Can be empty, in which case prev/next must
+     * 	be specified to direct where to search.
+     * @param {Node} parent parent container for which all candidates originated and are presently inside
+     * @param cbk `fn(MutatedNode, reverted: Boolean, side: prev/next)` callback, optional, to be
+     * 	called whenever a MutatedNode is reverted or could not be reverted due to incorrect sibling
+     * 	on one of its sides
+     * @param {MutatedNode | Node | null | undefined} prev hints about a fixed node on the
+     *  previousSibling side of candidates:
+     *  - `MutatedNode`: We are not sure if there is a fixed anchor on this side of candidates, but
+     *      we can start searching for one here. However, if this node has been added to
+     *      `candidates` (first/last node) it signals that we know there is no valid fixed anchor on
+     *      that side, but the MutatedNode could become fixed if an anchor is found on the other side 
+     * 	- `Node` or `null`: we know this is the fixed anchor
+     *  - `undefined`: no info on fixed anchors; look for one starting with the siblings of
+     * 		`candidates
+     * @param {MutatedNode | Node | null | undefined} next same as `prev`, only a nextSibling
+     */
+
+    /** Resolve node positions for untracked node insertions */
+    synchronize() {
+      /* Update all mutated siblings to be their correct values. Collect any
+      	SiblingPromise's to be resolved en-masse afterwards. We update mutated first, so
+      	we don't have to keep resuming SiblingPromise's
+      */
+      // nodes whose promises were resolved, and may be in a reverted position
+      var candidates = new Set();
+      // promises that need to be resolved
+      var next_promises = []; // [SiblingPromise...]
+      var prev_promises = new Map(); // {MutatedNode => SiblingPromise}
+      var collect_promises = (mn, dir) => {
+        var promise = mn.mutated[dir];
+        // sibling known
+        var is_promise = promise instanceof SiblingPromise;
+        if (!is_promise && promise !== undefined) return;
+        // sibling was unknown
+        var prev_dir = dir === "prev";
+        var actual = prev_dir ? node.previousSibling : node.nextSibling;
+        if (is_promise) {
+          // candidate for reversion (mutated.parent will be set)
+          var _mn4 = promise.mn;
+          if (_mn4.original.parent === _mn4.mutated.parent) candidates.add(_mn4.node);
+          // collect promises to be resolved later
+          promise.resume_with = actual;
+          if (prev_dir) prev_promises.set(_mn4, promise);else next_promises.push(promise);
+        }
+        this.mutated.update(mn, actual, dir);
+      };
+      for (var mn of this.mutations()) {
+        var _node10 = mn.node;
+        // an untracked add is assumed to be in a different parent, so we
+        // don't mark as candidate for reversion
+        if (mn.mutated) {
+          collect_promises(mn, "prev");
+          collect_promises(mn, "next");
+        } else if (_node10.parentNode) {
+          mn.mutated = {
+            parent: _node10.parentNode,
+            next: _node10.nextSibling,
+            prev: _node10.previousSibling
+          };
+          this.mutated.add(mn);
+        }
+      }
+
+      // Resolve all next sibling promises;
+      // we'll use the prev_promises map to detect promise -> <- promise case here
+      for (var next of next_promises) {
+        var _mn5 = void 0,
+          prev = void 0;
+        var _node11 = next.resume_with;
+        while (true) {
+          // resolve: promise -> fixed
+          if (!_node11 || !(_mn5 = this.floating.get(_node11))) {
+            next.resolve(_node11);
+            break;
+          }
+          // resolve: promise -> <- promise
+          if (prev = prev_promises.get(_mn5)) {
+            next.resolve(prev.origin);
+            prev.resolve(next.origin);
+            prev_promises.delete(_mn5); // speedup future searches
+            break;
+          }
+          _node11 = _mn5.next;
+        }
+      }
+
+      // Resolve all previous sibling promises;
+      // the promise -> <- promise case is not possible, since all have been handled in second pass
+      for (var _prev of prev_promises.values()) {
+        var _mn6 = void 0;
+        var _node12 = _prev.resume_with;
+        while (_node12 && (_mn6 = this.floating.get(_node12))) {
+          _node12 = _mn6.prev;
+        }
+        _prev.resolve(_node12);
+      }
+
+      /* Check if resolved nodes are in their reverted position. We do this individually for each
+      	candidate, and all promises have been resolved; so logic is a little different than
+      	what we do in mutation(). Seems like there would be a more efficient way to do this,
+      	but I can't think of one at the moment. At the very least you could break it into two
+      	phases, one to calculate anchors and another to propagate; an anchor result can be
+      	reused if that anchor is also a candidate.
+      */
+      if (candidates.size) {
+        var fixed_anchor = (mn, parent, dir) => {
+          var sibling = mn.mutated[dir];
+          while (true) {
+            var _mn$original;
+            if (!sibling || !(mn = this.floating.get(sibling))) return {
+              fixed: sibling,
+              dir
+            };
+            if (((_mn$original = mn.original) === null || _mn$original === void 0 ? void 0 : _mn$original.parent) === parent) return {
+              floating: mn
+            };
+            sibling = mn.mutated[dir];
+          }
+        };
+        var fixed;
+        var mark_fixed = mn => {
+          fixed = mn.node;
+          this.floating.delete(fixed);
+          this.original.remove(mn);
+          this.mutated.remove(mn);
+          candidates.delete(mn);
+        };
+        for (var _mn7 of candidates) {
+          var parent = _mn7.original.parent;
+          var anchors = {
+            next: fixed_anchor(_mn7, parent, "prev"),
+            // propagate fixed anchor to next siblings
+            prev: fixed_anchor(_mn7, parent, "next") // propagate fixed anchor to previous siblings
+          };
+          // try propagating from prev or next
+          for (var forward_dir in anchors) {
+            var anchor = anchors[forward_dir];
+            if (anchor.floating) continue;
+            var backward_dir = anchor.dir;
+            fixed = anchor.fixed;
+            // correct sibling, can propagate fixedness to mn and beyond
+            if (_mn7.original[backward_dir] === fixed) {
+              mark_fixed(_mn7);
+              // start propagation from other anchor
+              anchors[backward_dir].floating, _readOnlyError("mn");
+              if (!_mn7) break;
+              propagation: while (_mn7.original[backward_dir] === fixed) {
+                mark_fixed(_mn7);
+                // next node; skip if not the right parent
+                do {
+                  var _mn7$original;
+                  var sibling = _mn7.mutated[forward_dir];
+                  // stop when we find a fixed node
+                  if (!sibling || !(this.floating.get(sibling), _readOnlyError("mn"))) break propagation;
+                } while (((_mn7$original = _mn7.original) === null || _mn7$original === void 0 ? void 0 : _mn7$original.parent) !== parent);
+              }
+            }
+            // only need to propagate from one side
+            break;
+          }
+          candidates.delete(_mn7);
+        }
+      }
+      try {
+        _classPrivateMethodGet(this, _assert_valid_state, _assert_valid_state2).call(this);
+      } catch (err) {
+        console.error("invalid graph after synchronization");
+        throw err;
+      }
+    }
+
+    // for debugging only
+  }
+
+  /** Container for a node's position change */
+  function _revert_check2(candidates, parent, cbk, prev, next) {
+    /** Search for a fixed node anchor on one side of `candidates`
+     * @param {MutatedNode | Node | null | undefined} mn where to start the search:
+     * 	- `MutatedNode`: start search with this node, inclusive
+     * 	- `Node` or `null`: assumes this is the fixed anchor
+     * 	- `undefined`: falls back to using `exclusive` as the start
+     * @param {MutatedNode} exclusive start of search, but not including this node
+     * @param {"next" | "prev"} dir direction to search for an anchor
+     */
+    var fixed_anchor = (mn, exclusive, dir) => {
+      var _mn$original2;
+      // caller knows there is no fixed anchor, and has added the nearest
+      // floating sibling to candidates already
+      if (mn === exclusive) return;
+      // caller gave us the fixed anchor, no need to search for it
+      if (mn === null || mn instanceof Node) return {
+        fixed: mn
+      };
+      // caller has no info on fixed anchor; search, starting with sibling of exclusive
+      if (mn === undefined) mn = exclusive;
+      // caller knows to start looking for fixed anchor with this node
+      else if (((_mn$original2 = mn.original) === null || _mn$original2 === void 0 ? void 0 : _mn$original2.parent) === parent) return {
+        floating: mn
+      };
+      while (true) {
+        var _mn$original3;
+        // can't traverse further; revert check is deferred until more siblings are known
+        /* Originally I thought [origin, SibingPromise->] scenario indicates a revert,
+        	as it appears origin has returned to its original position. A counter example
+        	for this is: (lower case = mutated sibling unknown, * = SiblingPromise)
+         			[AxyzB] -> [x*yzB] -> [Bx*y*z] -> [BAx*y*z]
+               B remains fixed throughout; when A is moved before x*, we see the SiblingPromise
+         		and assume A has returned to its original position. While its relative position
+        	to the SiblingPromise is reverted, the shift in the other nodes (namely B),
+        	means that relative position is no longer its original position.
+        */
+        var sibling = void 0;
+        if (!mn.mutated || (sibling = mn.mutated[dir]) === undefined || sibling instanceof SiblingPromise) return;
+        // fixed node found
+        if (sibling === null || !(mn = this.floating.get(sibling))) return {
+          fixed: sibling
+        };
+        // skip floating node that originated in another parent;
+        // otherwise, it can become another candidate
+        if (((_mn$original3 = mn.original) === null || _mn$original3 === void 0 ? void 0 : _mn$original3.parent) === parent) return {
+          floating: mn
+        };
+      }
+    };
+    /** Propagate fixedness to `candidates` from one direction
+     * @param {Node | null | SiblingPromise} fixed a fixed node found from `fixed_anchor()`
+     * @param {Number} idx where to start propagating in candidates
+     * @param {Number} end_idx where to end propagation in candidates, can be < idx
+     * @param {"next" | "prev"} forward_dir direction to propagate
+     * @param {"prev" | "next"} backward_dir opposite of `forward_dir`
+     * @param {Boolean | MutatedNode | Node | null} extend how to handle propagation beyond
+     * 	candidates, can be one of:
+     * 	- `false`: do not propagate beyond candidates
+     * 	- `true`: continue propagating with the sibling of the end_idx candidate
+     * 	- `MutatedNode`: continue propagation starting with this node (inclusive)
+     * 	- `Node` or `null`: do not propagate further (caller found a fixed node)
+     * @returns {Number | null} null if we propagated to all candidates; otherwise,
+     * 	the idx we stopped at and did not mark as fixed
+     */
+    var propagate = (fixed, idx, end_idx, forward_dir, backward_dir, extend) => {
+      var mn;
+      // mark node as fixed and remove from the graph 
+      var mark_fixed = () => {
+        fixed = mn.node;
+        this.floating.delete(fixed);
+        this.original.remove(mn);
+        this.mutated.remove(mn);
+        // cleanup any promises (they may have references in another node's mutated sibling);
+        // no promise in backward direction, since that's what matched the fixed ref
+        var fp = mn.original[forward_dir];
+        if (fp instanceof SiblingPromise) fp.discard();
+        // callback
+        if (cbk) cbk(mn, true);
+      };
+      // first propagate to candidates (known to be in correct parent)
+      var inc = Math.sign(end_idx - idx);
+      for (; idx != end_idx; idx += inc) {
+        mn = candidates[idx];
+        // incorrect sibling?
+        if (mn.original[backward_dir] !== fixed) {
+          // callback
+          if (cbk) cbk(mn, false, backward_dir);
+          // can try from other side instead
+          return idx;
+        }
+        mark_fixed();
+      }
+      // all candidates reverted; propagate beyond if there may be nodes to revert there
+      outer: if (extend !== false) {
+        // caller gave a hint as to where to start the propagation
+        if (extend !== true) {
+          var _mn$original4;
+          mn = extend;
+          // other side is a fixed node (prev undefined is an invalid arg for this scenario)
+          if (!(mn instanceof MutatedNode)) break outer;
+          // inclusive
+          if (((_mn$original4 = mn.original) === null || _mn$original4 === void 0 ? void 0 : _mn$original4.parent) === parent) {
+            if (mn.original[backward_dir] !== fixed) {
+              // callback
+              if (cbk) cbk(mn, false, backward_dir);
+              break outer;
+            }
+            mark_fixed();
+          }
+        }
+        while (true) {
+          // filter out nodes which are not in the correct parent
+          do {
+            var _mn$original5;
+            var sibling = mn.mutated[forward_dir];
+            // sibling is unknown or fixed
+            if (!sibling || sibling instanceof SiblingPromise || !(mn = this.floating.get(sibling))) break outer;
+          } while (((_mn$original5 = mn.original) === null || _mn$original5 === void 0 ? void 0 : _mn$original5.parent) !== parent);
+          if (mn.original[backward_dir] !== fixed) {
+            // callback
+            if (cbk) cbk(mn, false, backward_dir);
+            break;
+          }
+          mark_fixed();
+        }
+      }
+      return null;
+    };
+
+    // propagate next
+    var next_end_idx = null;
+    var anchor = fixed_anchor(next, candidates[candidates.length - 1], "next");
+    if (anchor) {
+      // fixed anchor found
+      if (!anchor.floating) {
+        next_end_idx = propagate(anchor.fixed, candidates.length - 1, -1, "prev", "next", prev === undefined ? true : prev);
+        if (next_end_idx === null) return;
+      }
+      // floating node can be a candidate when propagating from prev side
+      else candidates.push(anchor.floating);
+    }
+    if (!candidates.length) return;
+    // propagate prev
+    anchor = fixed_anchor(prev, candidates[0], "prev");
+    if (anchor && !anchor.floating) {
+      // guaranteed at least one candidate when extend is true
+      var extend = next_end_idx === null;
+      propagate(anchor.fixed, 0, extend ? candidates.length : next_end_idx + 1, "next", "prev", extend);
+    }
+  }
+  function _assert_valid_state2() {
+    var promises = new Map();
+    // check SiblingIndex's
+    for (var mn of this.mutations()) {
+      for (var mode of ["original", "mutated"]) {
+        var g = this[mode];
+        var mnm = mn[mode];
+        if (!mnm) continue;
+        for (var dir of ["prev", "next"]) {
+          var mval = mnm[dir];
+          // correct type (e.g. not MutatedNode)
+          if (!(mval === null || mval === undefined || mval instanceof SiblingPromise || mval instanceof Node)) throw Error("incorrect sibling type");
+          var gval = g[dir].get(mval);
+          // save promises for checking them later
+          if (mval instanceof SiblingPromise) {
+            var store = promises.get(mval);
+            if (store === undefined) {
+              store = {
+                mutated: [],
+                original: []
+              };
+              promises.set(mval, store);
+            }
+            store[mode].push(mn);
+          }
+          // these don't get indexed
+          if (!mval || mval instanceof SiblingPromise) {
+            if (gval !== undefined) throw Error("null/SiblingPromise sibling is being indexed");
+          }
+          // index correct?
+          else if (gval !== mn) {
+            console.error("sibling lookup:", mode, dir);
+            console.error(mn);
+            console.error("expected:", mn.node);
+            console.error("received:", gval ? gval.node : gval);
+            throw Error("indexed sibling doesn't match MutatedNode");
+          }
+        }
+      }
+    }
+    // check promises are valid
+    for (var [promise, refs] of promises.entries()) {
+      try {
+        if (!(promise.ptr instanceof MutatedNode)) throw Error("promise pointer is not MutatedNode");
+        if (!refs.mutated.length) throw Error("promise doesn't have a mutated pointer");
+        if (refs.mutated.length > 1) throw Error("promise has multiple mutated pointers");
+        if (promise.ptr !== refs.mutated[0]) throw Error("promise pointer is incorrect");
+        if (!refs.original.length) throw Error("promise origin was resolved, but pointer still set");
+        if (refs.original.length > 1) throw Error("promise has multiple origins");
+      } catch (err) {
+        console.error(promise);
+        console.error(refs);
+        throw err;
+      }
+    }
+    // check that reverts have all been performed
+    var check_anchor = (smn, dir) => {
+      var node = smn.node;
+      var parent = smn.original.parent;
+      var target = smn.original[dir];
+      var sibling = smn.mutated[dir];
+      while (true) {
+        var _smn$original, _smn$mutated;
+        smn = this.floating.get(sibling);
+        // fixed found
+        if (!smn) {
+          if (target === sibling) {
+            console.error(node, "has sibling", target);
+            throw Error("node position is reverted");
+          }
+          // wrong sibling
+          return;
+        }
+        // sibling is not fixed
+        if (((_smn$original = smn.original) === null || _smn$original === void 0 ? void 0 : _smn$original.parent) === parent) return;
+        // can't traverse to get a fixed anchor
+        sibling = (_smn$mutated = smn.mutated) === null || _smn$mutated === void 0 ? void 0 : _smn$mutated[dir];
+        if (sibling === undefined || sibling instanceof SiblingPromise) return;
+      }
+    };
+    for (var _mn8 of this.mutations()) {
+      // candidate for being reverted?
+      if (!_mn8.mutated || !_mn8.original || _mn8.mutated.parent !== _mn8.original.parent) continue;
+      check_anchor(_mn8, "prev");
+      check_anchor(_mn8, "next");
+    }
+  }
+  class MutatedNode {
+    constructor(node) {
+      this.node = node;
+      /* null indicates untracked DOM position (e.g. detached from DOM tree, or in a DOM tree
+      	whose mutations are not being observed). Otherwise, these are in the form:
+      		{parent, next, prev}
+      	giving the old or new location of the node
+      		When there is an untracked insertion, this.mutated will be unknown. In this case,
+      	prev/next will be undefined to start. A subsequent mutation may reveal what the mutated
+      	position currently is. When the mutated prev/next is requested, but still unknown, it is
+      	set to a SiblingPromise, which is essentially a function to be resumed when the sibling
+      	becomes known.
+      */
+      this.original = null;
+      this.mutated = null;
+    }
+  }
+
+  /** Used as a placeholder to indicate that a node's current, mutated sibling is unknown. The mutated
+   * sibling is only needed when determining a (different) node's original siblings. To facilitate
+   * this use case, the promise object is attached to this "origin" node, the one searching for its
+   * original sibling. Instead of a new promise for each unknown mutated sibling, the promise object
+   * is reused, with the `resume()` method acting like a `then()` callback. When the final original
+   * sibling has been found, `resolve()` is called.
+   */
+  class SiblingPromise {
+    /**
+     * @param {TreeMutations} tree parent mutations we'll traverse over
+     * @param {MutatedNode} mn the mutated node object we want original siblings for
+     * @param {"prev" | "next"} dir which sibling this promise is for
+     */
+    constructor(tree, mn, dir) {
+      /** @member {TreeMutations} tree pointer to containing tree */
+      this.tree = tree;
+      /** @member {MutatedNode} mn origin mutated node that is searching for its origina sibling */
+      this.mn = mn;
+      /** @member {"prev" | "next"} dir which sibling we're searching for */
+      this.dir = dir;
+      /** @member {MutatedNode | undefined} ptr the sibling traversal pointer; can be undefined if resolved immediately */
+      this.ptr;
+      // `resume_with` is used elsewhere to cache a node that we should resume search with
+    }
+    /** Node that is searching for its original siblings */
+    get origin() {
+      return this.mn.node;
+    }
+    /** Resume search for the original sibling
+     * @param {MutatedNode | Node | null} node the node to resume searching at
+     * @returns {Boolean} true if the search found results (promise resolved)
+    */
+    resume(node) {
+      /* Note a "promise -> <- promise" resolve case is not possible while traversing in this
+      	manner. The reason is that a node's mutated sibling is a SiblingPromise only when the
+      	A<->B sibling relationship cannot be determined. So if B.prev is unknown, A.next will
+      	also be unknown, meaning the traversal stops at A.next = SiblingPromise and B.prev =
+      	SiblingPromise; neither A nor B knows the other, so the promises can't resolve each
+      	other here. This scenario is instead resolved inside a batch `mutation()`, which can
+      	reveal a A<->B sibling relationship.
+      */
+      // resolve: promise -> fixed (null)
+      if (node === null) {
+        this.resolve(null);
+        return true;
+      }
+      // convert Node to MutatedNode
+      var smn = node instanceof MutatedNode ? node : this.tree.floating.get(node);
+      while (true) {
+        // resolve: promise -> fixed (node)
+        if (!smn) {
+          this.resolve(node);
+          return true;
+        }
+        // this node had an untracked add, so its sibling is unknown;
+        // we'll need to resume later when its sibling is revealed
+        if (!smn.mutated) smn.mutated = {
+          parent: this.mn.original.parent
+        };
+        node = smn.mutated[this.dir];
+        if (node === undefined) {
+          smn.mutated[this.dir] = this;
+          this.ptr = smn;
+          return false;
+        }
+        // resolve: promise -> fixed (null)
+        if (node === null) {
+          this.resolve(null);
+          return true;
+        }
+        smn = this.tree.floating.get(node);
+      }
+    }
+    /** Original sibling found. You can optionally call discard to cleanup the pointer reference.
+     * 	That should not be necessary for normal usage though, as promise resolution typically is
+     * 	triggered by the pointer's sibling becoming known, and thus resuming the promise traversal;
+     * 	so the pointer would cleaned up from the caller instead.
+     * @param {Node | null} node the original sibling
+     */
+    resolve(node) {
+      this.tree.original.update(this.mn, node, this.dir);
+    }
+    /** Call this when you need to cleanup the promise pointer, e.g. when a node becomes reverted */
+    discard() {
+      if (this.ptr) delete this.ptr.mutated[this.dir];
+    }
+  }
+
+  /** Indexes MutatedNodes by their prev/next sibling */
+  var _index = /*#__PURE__*/new WeakSet();
+  class SiblingIndex {
+    /** Create a new index
+     * @param {"original" | "mutated"} mode which siblings to index on
+     */
+    constructor(mode) {
+      _classPrivateMethodInitSpec(this, _index);
+      this.mode = mode;
+      this.prev = new Map(); // MutatedNode[mode].prev -> MutatedNode
+      this.next = new Map(); // MutatedNode[mode].next -> MutatedNode
+    }
+    /** Return true if the sibling should be indexed */
+
+    /** Remove a nodes siblings from the index; does not check that
+     * 	the siblings were indexed prior (use `remove_safe()` for that)
+     * @param {MutatedNode} node 
+     */
+    remove(node) {
+      var op = node[this.mode];
+      if (!op) return;
+      if (_classPrivateMethodGet(this, _index, _index2).call(this, op.prev)) this.prev.delete(op.prev);
+      if (_classPrivateMethodGet(this, _index, _index2).call(this, op.next)) this.next.delete(op.next);
+    }
+    /** Add a nodes siblings to the index
+     * @param {MutatedNode} node 
+     */
+    add(node) {
+      var op = node[this.mode];
+      if (!op) return;
+      if (_classPrivateMethodGet(this, _index, _index2).call(this, op.prev)) this.prev.set(op.prev, node);
+      if (_classPrivateMethodGet(this, _index, _index2).call(this, op.next)) this.next.set(op.next, node);
+    }
+    /** Update a node's sibling to another. It only operates on one side, and will modify `node`
+     * @param {MutatedNode} node the node to update its sibling
+     * @param {Node | null} sibling the new sibling
+     * @param {"next" | "prev"} side which sibling to update
+     * @param {Node} parent parent of `node`, used to initialize MutatedNode[mode] if needed
+     */
+    update(node, sibling, side, parent) {
+      var op = node[this.mode];
+      // there was an untracked node insertion
+      if (!op) op = node[this.mode] = {
+        parent
+      };
+      var old = op[side];
+      if (old === sibling) return;
+      op[side] = sibling;
+      if (_classPrivateMethodGet(this, _index, _index2).call(this, old)) this[side].delete(old);
+      if (_classPrivateMethodGet(this, _index, _index2).call(this, sibling)) this[side].set(sibling, node);
+    }
+    /** Remove all siblings from index */
+    clear() {
+      this.prev.clear();
+      this.next.clear();
+    }
+  }
+  function _index2(sibling) {
+    return sibling && !(sibling instanceof SiblingPromise);
+  }
+
+  var OBSERVE = {
+    subtree: true,
+    childList: true,
+    attributes: true,
+    attributeOldValue: true,
+    characterData: true,
+    characterDataOldValue: true
+  };
+
+  /** Observes DOM mutations of a test case, so that the changes made by an input event can be
+   * 	grouped. Call `start()` on `beforeinput`, and then `summary()` and `check_ranges()` on
+   * 	`input` to get the net change in between.
+   */
+  class MutationLog {
+    /**
+     * @param {Element} root element to observe
+     */
+    constructor(root) {
+      this.root = root;
+      this.diff = new MutationDiff();
+      this.observer = new MutationObserver(this.record.bind(this));
+      this.observer.observe(root, OBSERVE);
+      // target ranges of the last beforeinput, expanded to whole nodes; see start()
+      this.expected = null;
+    }
+    record(records) {
+      for (var r of records) {
+        this.diff.record(r);
+      }
+    }
+    /** Stop observing, e.g. when the test case is removed */
+    disconnect() {
+      this.observer.disconnect();
+    }
+    /** Force pending records to be tracked */
+    flush() {
+      this.record(this.observer.takeRecords());
+    }
+    /** Start a new group of mutations, discarding any tracked so far
+     * @param {[StaticRange]} ranges target ranges the browser reported for the edit
+     */
+    start() {
+      var ranges = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : [];
+      this.flush();
+      this.diff.clear();
+      this.expected = null;
+      if (!ranges.length) return;
+      /* Mutations are tracked per node, so boundaries inside text are expanded to enclose the
+      	text node. The bounds are anchored on nodes outside of the range, as in MutatedRange; a
+      	live Range would leave out nodes inserted at its boundaries, or collapse when the
+      	nodes inside it are replaced
+      */
+      var first = ranges[0],
+        last = ranges[ranges.length - 1];
+      var sc = first.startContainer,
+        so = first.startOffset,
+        ec = last.endContainer,
+        eo = last.endOffset;
+      if (sc.nodeType == Node.TEXT_NODE) {
+        so = Array.prototype.indexOf.call(sc.parentNode.childNodes, sc);
+        sc = sc.parentNode;
+      }
+      if (ec.nodeType == Node.TEXT_NODE) {
+        eo = Array.prototype.indexOf.call(ec.parentNode.childNodes, ec) + 1;
+        ec = ec.parentNode;
+      }
+      var r = new MutatedRange();
+      if (so) r.setStart(sc.childNodes[so - 1], true);else r.setStart(sc, false);
+      if (eo < ec.childNodes.length) r.setEnd(ec.childNodes[eo], true);else r.setEnd(ec, false);
+      this.expected = r;
+    }
+    /** Label for a node, with the id used by HTMLSerialize; e.g. `<b>3` or `#4` for text */
+    label(node) {
+      var id = HTMLSerialize.assign_id(this.root, node);
+      if (node.nodeType == Node.ELEMENT_NODE) return "<".concat(node.tagName.toLowerCase(), ">").concat(id);
+      return "#".concat(id);
+    }
+    /** Summarize mutations since `start()`. Serialize the root beforehand, so that node ids
+     * 	are assigned in DOM order; removed nodes will get new ids here.
+     * @returns {{added, removed, moved, text, attributes} | null} null if the DOM was not
+     * 	changed; otherwise, `added`, `removed` and `moved` are lists of node labels, `text` is a
+     * 	list of `{node, original, mutated}` and `attributes` of `{node, name, original, mutated}`
+     */
+    summary() {
+      this.flush();
+      if (!this.diff.mutated(this.root)) return null;
+      var out = {
+        added: [],
+        removed: [],
+        moved: [],
+        text: [],
+        attributes: []
+      };
+      for (var [node, d] of this.diff.diff()) {
+        var label = this.label(node);
+        if (d.children) {
+          var {
+            original,
+            mutated
+          } = d.children;
+          if (!original) out.added.push(label);else if (!mutated) out.removed.push(label);else out.moved.push(label);
+        }
+        if (d.data) out.text.push(_objectSpread2({
+          node: label
+        }, d.data));
+        for (var name in d.attribute || {}) {
+          out.attributes.push(_objectSpread2({
+            node: label,
+            name
+          }, d.attribute[name]));
+        }
+      }
+      return out;
+    }
+    /** Check whether the DOM changes since `start()` fall inside the target ranges that were
+     * 	given to it; call prior to starting a new group
+     * @returns {{match: Boolean | null, expected: Range | null, actual: Range | null} | null} null
+     * 	if no target ranges were given; `expected` is the target ranges expanded to whole nodes, or
+     * 	null if a node it was anchored on was removed, which is a mismatch; `actual` is the extent
+     * 	of the mutations from `MutationDiff.range()`. If nothing changed, `actual` and `match` are
+     * 	null, e.g. for a canceled edit; that is neither a match nor a mismatch
+     */
+    check_ranges() {
+      if (!this.expected) return null;
+      this.flush();
+      var mutated = this.diff.range(this.root);
+      var actual = mutated ? mutated.toRange() : null;
+      var {
+        start,
+        end
+      } = this.expected;
+      var anchored = this.root.contains(start.node) && this.root.contains(end.node);
+      var expected = anchored ? this.expected.toRange() : null;
+      var match = actual && !!expected && expected.compareBoundaryPoints(Range.START_TO_START, actual) <= 0 && expected.compareBoundaryPoints(Range.END_TO_END, actual) >= 0;
+      return {
+        match,
+        expected,
+        actual
+      };
+    }
+  }
+
+  /** Expected behavior annotations for a test case, checked live as the user edits. Each
+   * 	expectation is an object with
+   * 	- `name`: shown on its badge
+   * 	- `inputType`, `data`: the edit the `ranges` and `html` checks apply to; `data` is optional
+   * 	- `ranges`: expected target ranges of the edit's beforeinput, as plain text with range
+   * 		markers (see `markup_text()`), e.g. `pictur<u>esque</u>|`
+   * 	- `html`: expected innerHTML of the test case after the edit's input
+   * 	- `sequence`: expected inputTypes of the beforeinput events since the test case gained focus
+   * 	All checks are optional. An expectation fails if any of its checks failed for the last
+   * 	matching edit.
+   */
+  class CaseExpectations {
+    /**
+     * @param {[Object]} expectations
+     * @param {Element} badges container to render pass/fail badges in
+     */
+    constructor(expectations, badges) {
+      this.expectations = expectations;
+      this.badges = badges;
+      this.reset();
+    }
+    /** Forget all results */
+    reset() {
+      // per expectation: {check name: true/false/"pending"}, and {check name: detail for failures}
+      this.results = this.expectations.map(() => ({
+        status: {},
+        detail: {}
+      }));
+      this.restart();
+    }
+    /** Start a new inputType sequence, e.g. when the test case gains focus */
+    restart() {
+      this.sequence = [];
+      this.expectations.forEach((x, i) => {
+        if (x.sequence) this.set(i, "sequence", null);
+      });
+      this.render();
+    }
+    set(i, check, ok) {
+      var detail = arguments.length > 3 && arguments[3] !== undefined ? arguments[3] : "";
+      var r = this.results[i];
+      r.status[check] = ok;
+      r.detail[check] = ok === false ? detail : "";
+    }
+    /** Check an event entry of this test case, see Session */
+    check(entry) {
+      if (entry.type != "beforeinput" && entry.type != "input") return;
+      if (entry.type == "beforeinput") this.sequence.push(entry.inputType);
+      this.expectations.forEach((x, i) => {
+        if (entry.type == "beforeinput" && x.sequence) {
+          var seq = this.sequence,
+            n = seq.length;
+          var ok = seq.every((t, j) => t === x.sequence[j]);
+          if (ok && n < x.sequence.length) ok = "pending";
+          this.set(i, "sequence", ok, "expected ".concat(x.sequence.join(", "), "; got ").concat(seq.join(", ")));
+        }
+        if (x.inputType !== entry.inputType || "data" in x && x.data !== entry.data) return;
+        if (entry.type == "beforeinput") {
+          // new edit, so results for the last one are stale
+          this.set(i, "html", null);
+          if ("ranges" in x) {
+            var actual = entry.ranges ? markup_text(entry.ranges) : "";
+            this.set(i, "ranges", actual === x.ranges, "target ranges: expected ".concat(x.ranges, "; got ").concat(actual || "none"));
+          }
+        } else if ("html" in x) this.set(i, "html", entry.html === x.html, "html: expected ".concat(x.html, "; got ").concat(entry.html));
+      });
+      this.render();
+    }
+    /** Overall status of an expectation: "pass", "fail", "pending" or "untested" */
+    status(i) {
+      var values = Object.values(this.results[i].status);
+      if (values.includes(false)) return "fail";
+      if (values.includes("pending")) return "pending";
+      return values.includes(true) ? "pass" : "untested";
+    }
+    render() {
+      this.badges.replaceChildren();
+      this.expectations.forEach((x, i) => {
+        var badge = document.createElement("span");
+        var status = this.status(i);
+        badge.className = "badge ".concat(status);
+        badge.textContent = "".concat(x.name || "expectation ".concat(i), ": ").concat(status);
+        badge.title = Object.values(this.results[i].detail).filter(d => d).join("\n");
+        this.badges.appendChild(badge);
+      });
+    }
+  }
+
+  /** Invariants for the input event stream, checked live as events are recorded. Each rule is
+   * 	declarative: an object with
+   * 	- `id`: short unique name, shown in the log
+   * 	- `description`: what the rule expects
+   * 	- `match`: `{type, inputType}` filter for which entries the rule applies to; each is a string,
+   * 		a list of strings, or omitted to match anything
+   * 	- `test`: `fn(entry, state)` returning true if the entry satisfies the rule
+   *
+   * 	Entries are the structured records from main.js (see Session). `state` is the stream state for
+   * 	the entry's test case before the entry is applied; see `update_state()` for its fields. To add
+   * 	a rule, append it to `RULES`.
+   */
+
+  // inputTypes whose beforeinput is not cancelable in Input Events Level 2
+  var NON_CANCELABLE = new Set(["insertCompositionText", "deleteCompositionText"]);
+  var RULES = [{
+    id: "input-without-beforeinput",
+    description: "input must be preceded by a beforeinput with the same inputType",
+    match: {
+      type: "input"
+    },
+    // execCommand, which scenarios use, doesn't fire beforeinput
+    test: (e, s) => e.scripted || !!s.beforeinput && s.beforeinput.inputType === e.inputType
+  }, {
+    id: "input-after-cancel",
+    description: "input must not fire for a cancelled beforeinput",
+    match: {
+      type: "input"
+    },
+    test: (e, s) => {
+      var _s$beforeinput;
+      return !((_s$beforeinput = s.beforeinput) !== null && _s$beforeinput !== void 0 && _s$beforeinput.defaultPrevented);
+    }
+  }, {
+    id: "compositionstart-nested",
+    description: "compositionstart must not fire during a composition",
+    match: {
+      type: "compositionstart"
+    },
+    test: (e, s) => !s.composing
+  }, {
+    id: "composition-without-start",
+    description: "compositionupdate and compositionend must be preceded by compositionstart",
+    match: {
+      type: ["compositionupdate", "compositionend"]
+    },
+    test: (e, s) => s.composing
+  }, {
+    id: "composition-text-outside-composition",
+    description: "insertCompositionText must only occur during a composition",
+    match: {
+      type: ["beforeinput", "input"],
+      inputType: "insertCompositionText"
+    },
+    test: (e, s) => s.composing
+  }, {
+    id: "isComposing-false",
+    description: "isComposing must be true during a composition",
+    match: {
+      type: ["beforeinput", "input"]
+    },
+    test: (e, s) => !s.composing || e.isComposing !== false
+  }, {
+    id: "not-cancelable",
+    description: "beforeinput must be cancelable, except for composition text",
+    match: {
+      type: "beforeinput"
+    },
+    test: e => e.cancelable || NON_CANCELABLE.has(e.inputType)
+  }];
+
+  /** Initial stream state for a test case */
+  function initial_state() {
+    return {
+      // inside compositionstart/end
+      composing: false,
+      // last beforeinput entry not yet followed by input
+      beforeinput: null
+    };
+  }
+  /** Advance stream state after an entry */
+  function update_state(state, e) {
+    switch (e.type) {
+      case "compositionstart":
+        state.composing = true;
+        break;
+      case "compositionend":
+        state.composing = false;
+        break;
+      case "beforeinput":
+        state.beforeinput = e;
+        break;
+      case "input":
+        state.beforeinput = null;
+        break;
+    }
+  }
+  function matches(filter, value) {
+    if (filter === undefined) return true;
+    return Array.isArray(filter) ? filter.includes(value) : filter === value;
+  }
+
+  /** Checks entries against a list of rules as they are recorded */
+  class RuleChecker {
+    /**
+     * @param {[Object]} rules rules to check, see `RULES`
+     */
+    constructor() {
+      var rules = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : RULES;
+      this.rules = rules;
+      this.reset();
+    }
+    /** Forget stream state, e.g. when starting a new session */
+    reset() {
+      // test case index => state
+      this.states = new Map();
+    }
+    /** Check the next entry in the stream
+     * @returns {[Object]} rules the entry violates
+     */
+    check(entry) {
+      // selectionchange has no bearing on rules, and may be outside any test case
+      if (entry.type == "selectionchange") return [];
+      var state = this.states.get(entry.case);
+      if (!state) {
+        state = initial_state();
+        this.states.set(entry.case, state);
+      }
+      var violated = this.rules.filter(r => matches(r.match.type, entry.type) && matches(r.match.inputType, entry.inputType) && !r.test(entry, state));
+      update_state(state, entry);
+      return violated;
+    }
+  }
+
+  /** Snapshot of a DataTransfer, as JSON serializable entry fields. Browsers only expose the data
+   * 	while the event is being dispatched, so it must be read inside the listener.
+   * @param {DataTransfer} dt event's dataTransfer or clipboardData
+   * @returns {Object} with fields:
+   * 	- types: `[String]` from `types`
+   * 	- data: `{type: String}` from `getData()`, for each string type
+   * 	- items: `[{kind, type}]` from `items`
+   * 	- files: `[{name, size, type}]` from `files`
+   * 	- dropEffect, effectAllowed
+   * 	- html: serialization markup of the `text/html` data, if there is any
+   */
+  function inspect_data_transfer(dt) {
+    var out = {
+      types: Array.from(dt.types),
+      data: {},
+      items: [],
+      files: [],
+      dropEffect: dt.dropEffect,
+      effectAllowed: dt.effectAllowed
+    };
+    for (var type of out.types) {
+      // file types have no string data
+      if (type != "Files") out.data[type] = dt.getData(type);
+    }
+    // items is missing in some older browsers
+    for (var item of dt.items || []) {
+      out.items.push({
+        kind: item.kind,
+        type: item.type
+      });
+    }
+    for (var file of dt.files) {
+      out.files.push({
+        name: file.name,
+        size: file.size,
+        type: file.type
+      });
+    }
+    var html = out.data["text/html"];
+    if (html) out.html = html_markup(html);
+    return out;
+  }
+
+  /** Serialization markup for an HTML string, e.g. clipboard contents */
+  function html_markup(html) {
+    var tpl = document.createElement("template");
+    tpl.innerHTML = html;
+    var pre = document.createElement("pre");
+    serialize(tpl.content, pre);
+    // the fragment is discarded, so its ids aren't needed again
+    HTMLSerialize.counter.delete(tpl.content);
+    return pre.innerHTML;
+  }
+
+  /** Filters for which entries are shown in the event log. Each filter is optional; when one is
+   * 	set, entries lacking the field it tests are hidden, e.g. an inputType filter hides events
+   * 	that have no inputType.
+   */
+
+  // cancel outcome => test for an entry
+  var CANCEL_OUTCOMES = {
+    cancelled: e => e.defaultPrevented,
+    "not cancelled": e => !e.defaultPrevented,
+    // preventDefault was called, but the browser ignored it
+    "cancel failed": e => e.cancel_attempted && !e.defaultPrevented
+  };
+
+  /** RegExp from user input, or null if it is empty or invalid */
+  function user_regex(src) {
+    if (!src) return null;
+    try {
+      return new RegExp(src);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /** Text of an entry that search matches against: data, dataTransfer strings, and serialized
+   * 	content as plain text
+   */
+  function entry_text(entry) {
+    var parts = [];
+    if (typeof entry.data === "string") parts.push(entry.data);
+    var dt = entry.dataTransfer;
+    if (dt) parts.push(...Object.values(dt.data || dt));
+    for (var markup of [entry.ranges, entry.selection, (_entry$emulated = entry.emulated) === null || _entry$emulated === void 0 ? void 0 : _entry$emulated.result, (_entry$emulated2 = entry.emulated) === null || _entry$emulated2 === void 0 ? void 0 : _entry$emulated2.native]) {
+      var _entry$emulated, _entry$emulated2;
+      if (typeof markup === "string") parts.push(markup_text(markup));
+    }
+    return parts.join("\n");
+  }
+
+  /** Create a predicate for which entries to show
+   * @param {Object} opts filters; empty ones match anything:
+   * 	- type: regex for the event type
+   * 	- inputType: regex for the inputType
+   * 	- case_idx: test case index, -1 for events outside test cases, or "" for any
+   * 	- cancel: key of `CANCEL_OUTCOMES`, tested against beforeinput entries
+   * 	- search: case insensitive text, see `entry_text()`
+   * @returns {Function} `fn(entry)` returning true if the entry should be shown
+   */
+  function entry_filter() {
+    var {
+      type = "",
+      inputType = "",
+      case_idx = "",
+      cancel = "",
+      search = ""
+    } = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    var tests = [];
+    var type_re = user_regex(type),
+      input_re = user_regex(inputType);
+    if (type_re) tests.push(e => type_re.test(e.type));
+    if (input_re) tests.push(e => "inputType" in e && input_re.test(e.inputType));
+    if (case_idx !== "") tests.push(e => e.case == case_idx);
+    if (cancel in CANCEL_OUTCOMES) tests.push(e => e.type == "beforeinput" && CANCEL_OUTCOMES[cancel](e));
+    if (search) {
+      var needle = search.toLowerCase();
+      tests.push(e => entry_text(e).toLowerCase().includes(needle));
+    }
+    return entry => tests.every(t => t(entry));
+  }
+
+  /** Timeline of recorded events, with one lane per event family, laid out by `timeStamp`. Each
+   * 	event is a tick in its lane; compositions are drawn as a bar from compositionstart to
+   * 	compositionend. Idle gaps longer than `MAX_GAP` are collapsed to a fixed width marker, so
+   * 	bursts of events (e.g. from an IME) stay readable. Events closer together than a tick's width
+   * 	are stacked, so duplicates are visible. Hovering a tick shows the event's details.
+   */
+  class Timeline {
+    // lane name => event types shown in it
+
+    // pixels per millisecond
+
+    // gaps longer than this (ms) are collapsed
+
+    // width of a collapsed gap marker, in pixels
+
+    // ticks closer than this (px) are stacked
+
+    // stacked ticks wrap after this many rows
+
+    /**
+     * @param {Element} root container to render into
+     * @param {Function} details `fn(entry)` returning an element with the event's details
+     */
+    constructor(root, details) {
+      this.details = details;
+      var div = (clazz, parent) => {
+        var el = document.createElement("div");
+        el.className = clazz;
+        parent.appendChild(el);
+        return el;
+      };
+      root.replaceChildren();
+      root.classList.add("timeline");
+      var labels = div("timeline_labels", root);
+      this.scroll = div("timeline_scroll", root);
+      this.lanes = {};
+      for (var lane in Timeline.LANES) {
+        div("timeline_label", labels).textContent = lane;
+        this.lanes[lane] = div("timeline_lane timeline_".concat(lane), this.scroll);
+      }
+      this.popup = div("timeline_details", root);
+      this.popup.hidden = true;
+      // lane for each event type
+      this.types = new Map();
+      for (var _lane in Timeline.LANES) {
+        for (var type of Timeline.LANES[_lane]) {
+          this.types.set(type, _lane);
+        }
+      }
+      this.scroll.addEventListener("mouseover", e => {
+        var tick = e.target.closest(".timeline_tick");
+        if (!tick) return;
+        this.popup.replaceChildren(this.details(this.entries[tick.dataset.index]));
+        this.popup.style.left = "".concat(tick.getBoundingClientRect().left - root.getBoundingClientRect().left, "px");
+        this.popup.hidden = false;
+      });
+      this.scroll.addEventListener("mouseleave", () => this.popup.hidden = true);
+      this.clear();
+    }
+    /** Remove all events */
+    clear() {
+      for (var lane in this.lanes) {
+        this.lanes[lane].replaceChildren();
+      }
+      this.entries = [];
+      // horizontal position of the last event, and its timeStamp
+      this.x = 0;
+      this.last = null;
+      // per lane: {x, row} of the last tick, for stacking
+      this.stacks = {};
+      // bar for the composition in progress
+      this.composition = null;
+      this.resize();
+    }
+    /** Add the next event
+     * @param {Object} entry event entry, see Session; events without a lane are ignored
+     */
+    add(entry) {
+      var lane = this.types.get(entry.type);
+      if (!lane) return;
+      var index = this.entries.push(entry) - 1;
+      // advance time
+      if (this.last !== null) {
+        var dt = Math.max(0, entry.timeStamp - this.last);
+        if (dt > Timeline.MAX_GAP) {
+          for (var l in this.lanes) {
+            var gap = this.mark(l, "timeline_gap", this.x + Timeline.TICK_WIDTH);
+            gap.style.width = "".concat(Timeline.GAP_WIDTH - Timeline.TICK_WIDTH, "px");
+            if (l == "composition") gap.textContent = "".concat((dt / 1000).toFixed(1), "s");
+          }
+          this.x += Timeline.GAP_WIDTH;
+        } else this.x += dt * Timeline.SCALE;
+      }
+      this.last = entry.timeStamp;
+      // composition bar
+      if (entry.type == "compositionstart") {
+        this.composition = this.mark("composition", "timeline_bar", this.x);
+        this.composition.title = "composition";
+      }
+      if (this.composition) {
+        this.composition.style.width = "".concat(this.x - parseFloat(this.composition.style.left) + Timeline.TICK_WIDTH, "px");
+        if (entry.type == "compositionend") this.composition = null;
+      }
+      // tick, stacked if it overlaps the previous one
+      var stack = this.stacks[lane];
+      var row = stack && this.x - stack.x < Timeline.TICK_WIDTH ? (stack.row + 1) % Timeline.STACK : 0;
+      this.stacks[lane] = {
+        x: this.x,
+        row
+      };
+      var tick = this.mark(lane, "timeline_tick", this.x);
+      tick.style.top = "".concat(row * 100 / Timeline.STACK, "%");
+      tick.style.height = "".concat(100 / Timeline.STACK, "%");
+      tick.dataset.index = index;
+      tick.dataset.type = entry.type;
+      if (entry.violations) tick.classList.add("violation");
+      if (entry.defaultPrevented) tick.classList.add("cancelled");
+      this.resize();
+      this.scroll.scrollLeft = this.scroll.scrollWidth;
+    }
+    /** Add a positioned marker to a lane */
+    mark(lane, clazz, x) {
+      var el = document.createElement("span");
+      el.className = clazz;
+      el.style.left = "".concat(x, "px");
+      this.lanes[lane].appendChild(el);
+      return el;
+    }
+    resize() {
+      var width = "".concat(this.x + Timeline.GAP_WIDTH, "px");
+      for (var lane in this.lanes) {
+        this.lanes[lane].style.width = width;
+      }
+    }
+  }
+  _defineProperty(Timeline, "LANES", {
+    composition: ["compositionstart", "compositionupdate", "compositionend"],
+    beforeinput: ["beforeinput"],
+    input: ["input"],
+    selectionchange: ["selectionchange"],
+    key: ["keydown", "keyup"]
+  });
+  _defineProperty(Timeline, "SCALE", 1);
+  _defineProperty(Timeline, "MAX_GAP", 250);
+  _defineProperty(Timeline, "GAP_WIDTH", 40);
+  _defineProperty(Timeline, "TICK_WIDTH", 4);
+  _defineProperty(Timeline, "STACK", 4);
+
+  /** Collapses the log messages of a composition, from compositionstart to compositionend, into a
+   * 	single expandable group, so that long runs of updates don't push everything else out of the
+   * 	log. The group's header summarizes the composition: final data, number of updates, duration,
+   * 	and which of `NOTED` inputTypes occurred.
+   */
+  class CompositionGroup {
+    // inputTypes whose occurrence is shown in the header
+
+    /**
+     * @param {Object} entry compositionstart entry, see Session
+     */
+    constructor(entry) {
+      var _entry$data;
+      this.case = entry.case;
+      this.start = entry.timeStamp;
+      this.end = entry.timeStamp;
+      this.data = (_entry$data = entry.data) !== null && _entry$data !== void 0 ? _entry$data : "";
+      this.updates = 0;
+      this.ended = false;
+      // NOTED inputTypes that occurred
+      this.noted = new Set();
+      this.root = document.createElement("details");
+      this.root.className = "composition";
+      this.header = document.createElement("summary");
+      // messages, in reverse temporal order like the log
+      this.list = document.createElement("div");
+      this.root.append(this.header, this.list);
+    }
+    /** Whether an entry belongs in the group */
+    accepts(entry) {
+      return !this.ended && entry.case == this.case;
+    }
+    /** Add an entry to the group
+     * @param {Object} entry event entry
+     * @param {Element} msg log message for the entry
+     */
+    add(entry, msg) {
+      var _entry$data2;
+      this.list.prepend(msg);
+      this.end = entry.timeStamp;
+      switch (entry.type) {
+        case "compositionupdate":
+          this.updates++;
+        // fall through
+        case "compositionend":
+          this.data = (_entry$data2 = entry.data) !== null && _entry$data2 !== void 0 ? _entry$data2 : this.data;
+          break;
+      }
+      if (entry.type == "compositionend") this.ended = true;
+      if (CompositionGroup.NOTED.includes(entry.inputType)) this.noted.add(entry.inputType);
+      this.render();
+    }
+    /** Update the header */
+    render() {
+      var parts = ["data: ".concat(JSON.stringify(this.data)), "".concat(this.updates, " update").concat(this.updates == 1 ? "" : "s"), "".concat(Math.round(this.end - this.start), "ms")];
+      for (var inputType of CompositionGroup.NOTED) {
+        parts.push("".concat(inputType, ": ").concat(this.noted.has(inputType) ? "yes" : "no"));
+      }
+      if (!this.ended) parts.push("in progress");
+      this.header.replaceChildren();
+      var b = document.createElement("b");
+      b.textContent = "composition:";
+      this.header.append(b, " " + parts.join(", "));
+    }
+  }
+  _defineProperty(CompositionGroup, "NOTED", ["deleteCompositionText", "insertFromComposition"]);
+
+  /** Browser support report, as markdown that can be pasted into a GitHub issue. Combines feature
+   * 	detection in the current browser with the inputTypes seen in a recorded session.
+   */
+
+  // feature => detection
+  var FEATURES = {
+    "`beforeinput` event": () => "onbeforeinput" in HTMLElement.prototype,
+    "`InputEvent.prototype.inputType`": () => "inputType" in InputEvent.prototype,
+    "`InputEvent.prototype.dataTransfer`": () => "dataTransfer" in InputEvent.prototype,
+    "`InputEvent.prototype.isComposing`": () => "isComposing" in InputEvent.prototype,
+    "`InputEvent.prototype.getTargetRanges`": () => "getTargetRanges" in InputEvent.prototype,
+    "`Selection.prototype.getComposedRanges`": () => "getComposedRanges" in Selection.prototype
+  };
+
+  /** Run feature detection
+   * @returns {[{feature: String, supported: Boolean}]}
+   */
+  function detect_features() {
+    return Object.entries(FEATURES).map(_ref => {
+      var [feature, test] = _ref;
+      var supported;
+      try {
+        supported = !!test();
+      } catch (err) {
+        supported = false;
+      }
+      return {
+        feature,
+        supported
+      };
+    });
+  }
+
+  /** Summarize the beforeinput events of a session per test case and inputType
+   * @param {Session} session
+   * @returns {Map} test case index => Map(inputType => {count, cancelable, ranges}), where
+   * 	`cancelable` and `ranges` count the events that were cancelable and had target ranges
+   */
+  function summarize_session(session) {
+    var cases = new Map();
+    for (var e of session.entries) {
+      if (e.type != "beforeinput") continue;
+      var types = cases.get(e.case);
+      if (!types) {
+        types = new Map();
+        cases.set(e.case, types);
+      }
+      var s = types.get(e.inputType);
+      if (!s) {
+        s = {
+          count: 0,
+          cancelable: 0,
+          ranges: 0
+        };
+        types.set(e.inputType, s);
+      }
+      s.count++;
+      if (e.cancelable) s.cancelable++;
+      if (e.ranges) s.ranges++;
+    }
+    return cases;
+  }
+
+  /** Escape text for a markdown table cell */
+  function cell(txt) {
+    return String(txt).replace(/\|/g, "\\|").replace(/\n/g, " ");
+  }
+  /** Inline code span, with a fence long enough for any backticks in the text */
+  function code(txt) {
+    var ticks = "`".repeat(Math.max(0, ...(txt.match(/`+/g) || []).map(t => t.length)) + 1);
+    return "".concat(ticks, " ").concat(txt, " ").concat(ticks);
+  }
+  /** "yes", "no", or "x/n" when only some of n events had the property */
+  function ratio(n, count) {
+    return n == count ? "yes" : n ? "".concat(n, "/").concat(count) : "no";
+  }
+
+  /** Generate the report
+   * @param {Session} session recorded events
+   * @returns {String} markdown
+   */
+  function support_report(session) {
+    var lines = ["## Input Events support report", "", "User agent: ".concat(code(session.user_agent)), "", "### Feature detection", "", "| Feature | Supported |", "|---|---|"];
+    for (var f of detect_features()) {
+      lines.push("| ".concat(f.feature, " | ").concat(f.supported ? "yes" : "no", " |"));
+    }
+    var cases = summarize_session(session);
+    if (!cases.size) lines.push("", "No `beforeinput` events were recorded.");
+    var order = Array.from(cases.keys()).sort((a, b) => a - b);
+    for (var idx of order) {
+      lines.push("");
+      if (idx == -1) lines.push("### Outside test cases");else {
+        lines.push("### Test case ".concat(idx));
+        if (idx < session.cases.length) lines.push("", code(session.cases[idx].replace(/[ \t\r\n]+/g, " ").trim()));
+      }
+      lines.push("", "| inputType | Events | Cancelable | Target ranges |", "|---|---|---|---|");
+      for (var [inputType, s] of cases.get(idx)) {
+        lines.push("| ".concat(cell(inputType), " | ").concat(s.count, " | ").concat(ratio(s.cancelable, s.count), " | ").concat(ratio(s.ranges, s.count), " |"));
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  /** Scripted scenarios, which drive real editing of a test case through the Selection API and
+   * 	`document.execCommand`, so quirks can be reproduced without typing. Events fired by the edits
+   * 	are recorded to the session as usual; the runner compares them, and the final serialization,
+   * 	with the scenario's stored expectations.
+   *
+   * 	A scenario is a JSON object:
+   * 	- name: shown in the results
+   * 	- case: test case index
+   * 	- html: optional innerHTML to start from; otherwise the test case's catalog content
+   * 	- steps: list of actions, each an object with a single key of `ACTIONS`, e.g.
+   * 		`{caret: 3}`, `{insertText: "ab"}`, `{delete: "backward"}`, `{select_word: 5}`, `{format: "bold"}`
+   * 	- expect: optional `{events, serialization}`, as returned by `run_scenario()` in `actual`
+   */
+
+  /** Position in root for an offset into its text content
+   * @returns {[Node, Number]} container and offset for a Range boundary
+   */
+  function text_position(root, offset) {
+    var walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    var last = null;
+    for (var node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (offset <= node.length) return [node, offset];
+      offset -= node.length;
+      last = node;
+    }
+    // past the end
+    return last ? [last, last.length] : [root, root.childNodes.length];
+  }
+  function select(root, start) {
+    var end = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : start;
+    if (is_form_control(root)) {
+      root.setSelectionRange(start, end);
+      return;
+    }
+    var r = document.createRange();
+    r.setStart(...text_position(root, start));
+    r.setEnd(...text_position(root, end));
+    var sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(r);
+  }
+  function exec(command) {
+    var value = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
+    if (!document.execCommand(command, false, value)) throw Error("execCommand(\"".concat(command, "\") was not run"));
+  }
+
+  // step key => fn(root, value of the key)
+  var ACTIONS = {
+    // collapse the selection at a text offset
+    caret: (root, offset) => select(root, offset),
+    // select between two text offsets, [start, end]
+    select: (root, _ref) => {
+      var [start, end] = _ref;
+      return select(root, start, end);
+    },
+    // select the word at a text offset
+    select_word: (root, offset) => {
+      select(root, offset);
+      var sel = window.getSelection();
+      sel.modify("move", "backward", "word");
+      sel.modify("extend", "forward", "word");
+    },
+    insertText: (root, text) => exec("insertText", text),
+    insertParagraph: () => exec("insertParagraph"),
+    insertLineBreak: () => exec("insertLineBreak"),
+    // "backward" or "forward"
+    delete: (root, direction) => exec(direction == "forward" ? "forwardDelete" : "delete"),
+    // execCommand name, e.g. bold or italic
+    format: (root, command) => exec(command),
+    // any execCommand: [command, value]
+    exec: (root, _ref2) => {
+      var [command, value] = _ref2;
+      return exec(command, value);
+    }
+  };
+
+  /** Label for an event entry, as in the log header; e.g. `beforeinput.insertText` */
+  function entry_label(entry) {
+    return entry.inputType ? "".concat(entry.type, ".").concat(entry.inputType) : entry.type;
+  }
+
+  /** Run a scenario
+   * @param {Object} scenario see module description
+   * @param {Object} tester hooks into the tester:
+   * 	- cases: test case elements
+   * 	- session: Session events are recorded to
+   * 	- reset: `fn(case_idx, html)` to restore a test case's content; html is null for the
+   * 		catalog content
+   * @param {Boolean} ignore_selection whether selectionchange events are left out of the comparison,
+   * 	since their number varies with timing
+   * @returns {Promise<{name, pass, error, actual, expect}>} `actual` is `{events, serialization}`,
+   * 	where `events` is a list of `entry_label()` and `serialization` the plain text from
+   * 	`markup_text()`; `pass` is null if the scenario has no expectations
+   */
+  function run_scenario(_x, _x2) {
+    return _run_scenario.apply(this, arguments);
+  }
+
+  /** Wait for queued events to fire */
+  function _run_scenario() {
+    _run_scenario = _asyncToGenerator(function* (scenario, tester) {
+      var _scenario$name, _scenario$expect, _scenario$html;
+      var ignore_selection = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : true;
+      var root = tester.cases[scenario.case];
+      var result = {
+        name: (_scenario$name = scenario.name) !== null && _scenario$name !== void 0 ? _scenario$name : "",
+        pass: false,
+        error: null,
+        actual: null,
+        expect: (_scenario$expect = scenario.expect) !== null && _scenario$expect !== void 0 ? _scenario$expect : null
+      };
+      if (!root) {
+        result.error = "no test case ".concat(scenario.case);
+        return result;
+      }
+      tester.reset(scenario.case, (_scenario$html = scenario.html) !== null && _scenario$html !== void 0 ? _scenario$html : null);
+      root.focus();
+      // selectionchange is queued, so let it fire before starting
+      yield settle();
+      var from = tester.session.length;
+      try {
+        for (var step of scenario.steps || []) {
+          var action = Object.keys(step).find(k => k in ACTIONS);
+          if (!action) throw Error("unknown step ".concat(JSON.stringify(step)));
+          ACTIONS[action](root, step[action]);
+          yield settle();
+        }
+      } catch (err) {
+        result.error = err.message;
+      }
+      var pre = document.createElement("pre");
+      serialize(root, pre, window.getSelection());
+      result.actual = {
+        events: tester.session.entries.slice(from).filter(e => !ignore_selection || e.type != "selectionchange").map(entry_label),
+        serialization: markup_text(pre.innerHTML)
+      };
+      if (!result.expect) result.pass = null;else if (!result.error) {
+        result.pass = JSON.stringify(result.actual.events) === JSON.stringify(result.expect.events) && result.actual.serialization === result.expect.serialization;
+      }
+      return result;
+    });
+    return _run_scenario.apply(this, arguments);
+  }
+  function settle() {
+    return new Promise(resolve => setTimeout(resolve));
+  }
+
+  /** Render results as a table
+   * @param {[Object]} results from `run_scenario()`
+   */
+  function results_table(results) {
+    var table = document.createElement("table");
+    table.className = "compare scenarios";
+    var row = function (cells) {
+      var tag = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : "td";
+      var tr = table.insertRow();
+      for (var c of cells) {
+        var td = document.createElement(tag);
+        td.append(c !== null && c !== void 0 ? c : "");
+        tr.appendChild(td);
+      }
+      return tr;
+    };
+    row(["scenario", "result", "events", "expected events", "serialization", "expected serialization"], "th");
+    for (var r of results) {
+      var _r$actual, _r$expect, _r$expect$events, _r$actual2, _r$expect2;
+      var status = r.error ? "error: ".concat(r.error) : r.pass === null ? "no expectations" : r.pass ? "pass" : "fail";
+      var tr = row([r.name, status, (_r$actual = r.actual) === null || _r$actual === void 0 ? void 0 : _r$actual.events.join("\n"), (_r$expect = r.expect) === null || _r$expect === void 0 ? void 0 : (_r$expect$events = _r$expect.events) === null || _r$expect$events === void 0 ? void 0 : _r$expect$events.join("\n"), (_r$actual2 = r.actual) === null || _r$actual2 === void 0 ? void 0 : _r$actual2.serialization, (_r$expect2 = r.expect) === null || _r$expect2 === void 0 ? void 0 : _r$expect2.serialization]);
+      tr.className = r.error || r.pass === false ? "differs" : "";
+    }
+    return table;
+  }
+
+  function emulate_composition_proposals(editor) {
+    // for reverting the DOM after composition
+    var revert_data;
+    // tracks the edits made during composition
+    var edit_list;
+    // used to detect if Chrome goes outside the compositionborder elment
+    var composition_target;
+    // forces browser to commit the current composition
+    var requested_end;
+    function requestCompositionEnd() {
+      // only need to run once per composition
+      if (requested_end) return;
+      requested_end = true;
+      console.log("requesting composition end");
+      editor.blur();
+      editor.focus();
+    }
+    // initializes state
+    editor.addEventListener("compositionstart", e => {
+      composition_target = window.getSelection().focusNode;
+      if (composition_target.nodeType == Node.TEXT_NODE) composition_target = composition_target.parentNode;
+      console.log("starting composition inside: ", composition_target);
+      revert_data = composition_target.textContent;
+      var l = revert_data.length;
+      edit_list = [{
+        edited: false,
+        length: l,
+        original_length: l
+      }];
+      requested_end = false;
+    });
+    // enforces compositionborder in Chrome
+    editor.addEventListener("compositionupdate", e => {
+      var sel = window.getSelection();
+      for (var ri = 0; ri < sel.rangeCount; ri++) {
+        var r = sel.getRangeAt(ri);
+        var p = composition_target.compareDocumentPosition(r.commonAncestorContainer);
+        if (!(!p || p & Node.DOCUMENT_POSITION_CONTAINED_BY)) {
+          console.log(r.commonAncestorContainer, "is outside compositionborder", composition_target);
+          requestCompositionEnd();
+        }
+      }
+    });
+    // tracks edits, adds requestCompositionEnd polyfill
+    editor.addEventListener("beforeinput", e => {
+      if (e.inputType == "insertCompositionText") {
+        // polyfill for requesting end
+        e.requestCompositionEnd = requestCompositionEnd;
+
+        // assertions that must be true for this emulation to work
+        var ranges = e.getTargetRanges();
+        if (ranges.length != 1) throw Error("there should only be one target range");
+        var range = ranges[0];
+        if (!range.startOffset) throw Error("composition is probably multiword, and is crossing our zero-width space");
+        var rs = range.startContainer,
+          re = range.endContainer;
+        if (rs.nodeType !== Node.TEXT_NODE || re.nodeType !== Node.TEXT_NODE) throw Error("target range is non-text based");
+        if (rs.parentNode !== composition_target || re.parentNode !== composition_target) throw Error("composition created HTMLElements or went outside compositionborder element");
+
+        // mark the edit	
+        // convert to plaintext offsets (simple linear search)
+        var el = composition_target.firstChild;
+        var pt_start = 0;
+        while (el !== rs) {
+          if (el.nodeType !== Node.TEXT_NODE) throw Error("composition created HTMLElements");
+          pt_start += el.length;
+          el = el.nextSibling;
+        }
+        var pt_end = pt_start + rs.length;
+        pt_start += range.startOffset;
+        while (el !== re) {
+          el = el.nextSibling;
+          if (el.nodeType !== Node.TEXT_NODE) throw Error("composition created HTMLElements");
+          pt_end += el.length;
+        }
+        pt_end -= re.length - range.endOffset;
+        // merge with edit_list (again using linear search)
+        var ei = 0;
+        var sum = 0;
+        var intersect_start = -1;
+        var new_edit = {
+          edited: true,
+          length: 0,
+          original_length: 0,
+          data: ""
+        };
+        while (true) {
+          var cur_edit = edit_list[ei];
+          var sum_nxt = sum + cur_edit.length;
+          next: {
+            // find intersection start
+            if (intersect_start == -1) {
+              if (pt_start >= sum_nxt) break next;
+              // merge
+              if (!cur_edit.edited) {
+                // split the unedited range at start
+                if (pt_start != sum) {
+                  var left = pt_start - sum;
+                  var right = cur_edit.length - left;
+                  cur_edit.length = cur_edit.original_length = left;
+                  var right_edit = {
+                    edited: false,
+                    length: right,
+                    original_length: right
+                  };
+                  edit_list.splice(++ei, 0, right_edit);
+                  sum += left;
+                  cur_edit = right_edit;
+                }
+              } else new_edit.data = cur_edit.data.substring(0, pt_start - sum);
+              intersect_start = ei;
+              // passthrough, to check if the end also intersects this range
+            }
+
+            new_edit.length += cur_edit.length;
+            new_edit.original_length += cur_edit.original_length;
+            // find intersection end
+            if (pt_end > sum_nxt) break next;
+            // TODO: double check this logic... think it needs to include data.length 
+            new_edit.data += e.data;
+            // merge
+            var intersect_end = ei;
+            if (!cur_edit.edited) {
+              // trim the unedited range at end
+              if (sum_nxt != pt_end) {
+                var l = cur_edit.length = cur_edit.original_length = sum_nxt - pt_end;
+                new_edit.length -= l;
+                new_edit.original_length -= l;
+                intersect_end--;
+              }
+            } else new_edit.data += cur_edit.data.substring(pt_end - sum);
+            // replace intersection
+            edit_list.splice(intersect_start, Math.max(0, intersect_end - intersect_start), new_edit);
+            if (new_edit.data.length != new_edit.length) throw Error("assertion failed: cached data length should match cumulative length");
+            break;
+          }
+          if (++ei == edit_list.length) {
+            // appending data case
+            if (intersect_start != -1) throw Error("assertion failed: appending data should have no intersection");
+            new_edit.data = e.data;
+            new_edit.length = e.data.length;
+            edit_list.push(new_edit);
+            break;
+          }
+          sum = sum_nxt;
+        }
+      }
+    });
+    // handles DOM reversion
+    editor.addEventListener("compositionend", e => {
+      // mimicking a reversion, which is good enough for this demo;
+      // alternatively, could put this in a method revertComposition()
+      var txt = new Text(revert_data);
+      var mod = Array.from(composition_target.childNodes);
+      composition_target.replaceChildren(txt);
+
+      // convert edit_list to a list of ranges in reference to unmodified DOM;
+      // simple in our case, since it is just a single TextNode; we'll also create
+      // a merged "working range"
+      var edits = [];
+      var sum = 0;
+      var unedited_start = 0;
+      var working_range = new Range();
+      var working_data = "";
+      for (var edit of edit_list) {
+        var nxt_sum = sum + edit.original_length;
+        if (edit.edited) {
+          // individual edits
+          var range = new Range();
+          range.setStart(txt, sum);
+          range.setEnd(txt, nxt_sum);
+          edits.push({
+            range,
+            data: edit.data
+          });
+          // combined, single edit
+          if (edits.length == 1) working_range.setStart(txt, sum);else {
+            working_data += revert_data.substring(unedited_start, sum);
+            working_range.setEnd(txt, nxt_sum);
+          }
+          working_data += edit.data;
+          unedited_start = nxt_sum;
+        }
+        sum = nxt_sum;
+      }
+
+      // build a mock insertFromComposition event that behaves as we want
+      var evt = new Event("beforeinput", {
+        cancelable: true
+      });
+      evt.inputType = "emulated_insertFromComposition";
+      evt.data = edits;
+      evt.working_range = working_range;
+      evt.working_data = working_data;
+      composition_target.dispatchEvent(evt);
+
+      // If event was not canceled, insert the composed text back into the node
+      if (!evt.defaultPrevented) composition_target.replaceChildren(mod);
+    });
+  }
+
+  /** Builds and dispatches synthetic InputEvents, to test `beforeinput` handlers without an IME.
+   * 	Synthetic events go through the tester's usual listeners; since they are not trusted, the log
+   * 	marks them as synthetic.
+   */
+
+  /** Build a DataTransfer from strings
+   * @param {Object} data `{type: String}`; empty strings are left out
+   * @returns {DataTransfer | null} null if there is no data
+   */
+  function make_data_transfer(data) {
+    var types = Object.keys(data).filter(t => data[t]);
+    if (!types.length) return null;
+    var dt = new DataTransfer();
+    for (var t of types) {
+      dt.setData(t, data[t]);
+    }
+    return dt;
+  }
+
+  /** Dispatch synthetic events at a test case
+   * @param {Element} target test case
+   * @param {Object} opts event options:
+   * 	- kind: "beforeinput", "input", "both" for beforeinput then input, or "composition" for a
+   * 		composition that types `data` one character at a time
+   * 	- inputType, data, isComposing, cancelable
+   * 	- dataTransfer: DataTransfer or null
+   * 	- ranges: `[StaticRange]` target ranges
+   * @returns {[Event]} the events dispatched
+   */
+  function inject(target, opts) {
+    var _before;
+    var events = [];
+    var fire = evt => {
+      target.dispatchEvent(evt);
+      events.push(evt);
+      return evt;
+    };
+    var input_event = (type, init) => new InputEvent(type, _objectSpread2({
+      bubbles: true,
+      cancelable: type == "beforeinput" && opts.cancelable,
+      composed: true,
+      inputType: opts.inputType,
+      data: opts.data,
+      dataTransfer: opts.dataTransfer,
+      isComposing: opts.isComposing,
+      targetRanges: type == "beforeinput" ? opts.ranges : []
+    }, init));
+    if (opts.kind == "composition") {
+      var _opts$data;
+      var data = (_opts$data = opts.data) !== null && _opts$data !== void 0 ? _opts$data : "";
+      fire(new CompositionEvent("compositionstart", {
+        bubbles: true,
+        data: ""
+      }));
+      for (var i = 1; i <= data.length; i++) {
+        var partial = data.slice(0, i);
+        fire(new CompositionEvent("compositionupdate", {
+          bubbles: true,
+          data: partial
+        }));
+        var init = {
+          inputType: "insertCompositionText",
+          data: partial,
+          isComposing: true
+        };
+        fire(input_event("beforeinput", init));
+        fire(input_event("input", init));
+      }
+      fire(new CompositionEvent("compositionend", {
+        bubbles: true,
+        data
+      }));
+      return events;
+    }
+    var before = null;
+    if (opts.kind != "input") before = fire(input_event("beforeinput"));
+    // a cancelled beforeinput has no input
+    if (opts.kind != "beforeinput" && !((_before = before) !== null && _before !== void 0 && _before.defaultPrevented)) fire(input_event("input"));
+    return events;
+  }
+
+  /** Position under a point in the viewport, e.g. from a click
+   * @returns {[Node, Number] | null}
+   */
+  function caret_from_point(x, y) {
+    var _document$caretRangeF, _document;
+    if (document.caretPositionFromPoint) {
+      var p = document.caretPositionFromPoint(x, y);
+      return p ? [p.offsetNode, p.offset] : null;
+    }
+    var r = (_document$caretRangeF = (_document = document).caretRangeFromPoint) === null || _document$caretRangeF === void 0 ? void 0 : _document$caretRangeF.call(_document, x, y);
+    return r ? [r.startContainer, r.startOffset] : null;
+  }
+
+  /** Wire up the injection panel
+   * @param {Element} container element holding the test cases and their serialization `<pre>`
+   * @param {Function} get_cases `fn()` returning the current test case elements
+   * @returns {Function} `fn()` to call after the test cases change
+   */
+  function injection_panel(container, get_cases) {
+    var el = id => document.getElementById(id);
+    var select = el("inject_case"),
+      kind = el("inject_kind"),
+      input_type = el("inject_input_type"),
+      data = el("inject_data"),
+      data_null = el("inject_data_null"),
+      plain = el("inject_plain"),
+      html = el("inject_html"),
+      composing = el("inject_composing"),
+      cancelable = el("inject_cancelable"),
+      pick = el("inject_pick"),
+      preview = el("inject_ranges"),
+      emulate = el("inject_emulate");
+    for (var t of INPUT_TYPES) {
+      input_type.add(new Option(t, t));
+    }
+    // test cases emulate.js was attached to; it can't be detached
+    var emulated = new WeakSet();
+    // target ranges as live Ranges, so they follow DOM changes; and first point of a range being picked
+    var ranges = [],
+      picked = null;
+    var current = () => get_cases()[+select.value];
+    function show_ranges() {
+      var root = current();
+      if (!ranges.length || !root) preview.textContent = "none";else serialize(root, preview, ranges);
+      emulate.checked = emulate.disabled = !!root && emulated.has(root);
+    }
+    function clear() {
+      ranges = [];
+      picked = null;
+      show_ranges();
+    }
+
+    // picking ranges by clicking the serialization; the first click sets the start, the second the end
+    container.addEventListener("click", e => {
+      if (!pick.checked) return;
+      var pre = e.target.closest("pre");
+      var idx = get_cases().indexOf(pre === null || pre === void 0 ? void 0 : pre.previousElementSibling);
+      if (idx == -1) return;
+      var caret = caret_from_point(e.clientX, e.clientY);
+      var point = caret && HTMLSerialize.resolve(get_cases()[idx], ...caret);
+      if (!point) return;
+      if (+select.value != idx) {
+        select.value = idx;
+        clear();
+      }
+      if (!picked) {
+        picked = point;
+        return;
+      }
+      var r = document.createRange();
+      r.setStart(...picked);
+      r.setEnd(...point);
+      // clicked end before start: setEnd collapses to the end
+      if (r.collapsed) {
+        r.setStart(...point);
+        r.setEnd(...picked);
+      }
+      ranges.push(r);
+      picked = null;
+      show_ranges();
+    });
+    select.addEventListener("change", clear);
+    el("inject_clear").addEventListener("click", clear);
+    el("inject_selection").addEventListener("click", () => {
+      var sel = window.getSelection();
+      ranges = [];
+      for (var i = 0; i < sel.rangeCount; i++) {
+        ranges.push(sel.getRangeAt(i).cloneRange());
+      }
+      show_ranges();
+    });
+    emulate.addEventListener("change", () => {
+      var root = current();
+      if (!root || emulated.has(root)) return;
+      emulate_composition_proposals(root);
+      emulated.add(root);
+      show_ranges();
+    });
+    el("inject_dispatch").addEventListener("click", () => {
+      var root = current();
+      if (!root) return;
+      inject(root, {
+        kind: kind.value,
+        inputType: input_type.value,
+        data: data_null.checked ? null : data.value,
+        dataTransfer: make_data_transfer({
+          "text/plain": plain.value,
+          "text/html": html.value
+        }),
+        isComposing: composing.checked,
+        cancelable: cancelable.checked,
+        ranges: ranges.map(r => new StaticRange(r))
+      });
+      show_ranges();
+    });
+
+    // test case options
+    function update() {
+      case_options(select, get_cases().length, [], "0");
+      clear();
+    }
+    return update;
+  }
+
+  /** Highlights ranges inside the test cases themselves, complementing the markers in the
+   * 	serialization `<pre>`. Range contents use the CSS Custom Highlight API when available, and
+   * 	otherwise absolutely positioned overlay boxes. Start, end and collapsed points are always drawn
+   * 	as overlay markers, since highlights can't style a point. Range `i` is colored with the CSS
+   * 	variable `--range-{i % COLORS}`, which the `data-rid` markers also use.
+   */
+  class RangeHighlighter {
+    // number of --range-N colors defined in styles.css
+
+    // CSS highlight name for a color index
+
+    constructor() {
+      this.supported = typeof Highlight !== "undefined" && !!CSS.highlights;
+      this.layer = document.createElement("div");
+      this.layer.className = "range_overlay";
+      document.body.appendChild(this.layer);
+      this.ranges = [];
+      window.addEventListener("resize", () => this.refresh());
+    }
+    /** Highlight ranges, replacing any shown before
+     * @param {[Range]} ranges live ranges, so they follow DOM changes until the next `show()`
+     */
+    show(ranges) {
+      this.ranges = ranges;
+      this.refresh();
+    }
+    clear() {
+      this.show([]);
+    }
+    /** Redraw, e.g. after the DOM or layout changed */
+    refresh() {
+      this.layer.replaceChildren();
+      if (this.supported) {
+        for (var c = 0; c < RangeHighlighter.COLORS; c++) {
+          CSS.highlights.delete(RangeHighlighter.NAME + c);
+        }
+      }
+      var groups = new Map();
+      this.ranges.forEach((r, i) => {
+        var color = i % RangeHighlighter.COLORS;
+        if (!r.collapsed) {
+          if (this.supported) {
+            if (!groups.has(color)) groups.set(color, []);
+            groups.get(color).push(r);
+          } else for (var rect of r.getClientRects()) {
+            this.box("range_fill", color, rect);
+          }
+          this.box("range_point start", color, point_rect(r.startContainer, r.startOffset));
+          this.box("range_point end", color, point_rect(r.endContainer, r.endOffset));
+        } else this.box("range_point collapsed", color, point_rect(r.startContainer, r.startOffset));
+      });
+      for (var [color, ranges] of groups) {
+        CSS.highlights.set(RangeHighlighter.NAME + color, new Highlight(...ranges));
+      }
+    }
+    /** Add an overlay box at a viewport rect */
+    box(clazz, color, rect) {
+      if (!rect) return;
+      var el = document.createElement("div");
+      el.className = clazz;
+      el.style.setProperty("--range-color", "var(--range-".concat(color, ")"));
+      el.style.left = "".concat(rect.left + window.scrollX, "px");
+      el.style.top = "".concat(rect.top + window.scrollY, "px");
+      el.style.width = "".concat(rect.width, "px");
+      el.style.height = "".concat(rect.height, "px");
+      this.layer.appendChild(el);
+    }
+  }
+
+  /** Viewport rect of a boundary point, with zero width; null if it has no layout */
+  _defineProperty(RangeHighlighter, "COLORS", 4);
+  _defineProperty(RangeHighlighter, "NAME", "target_range_");
+  function point_rect(node, offset) {
+    var r = document.createRange();
+    r.setStart(node, offset);
+    var rect = r.getBoundingClientRect();
+    // collapsed ranges between elements often have no rect, so use an adjacent node's edge
+    if (!rect.height && node.nodeType == Node.ELEMENT_NODE) {
+      var after = node.childNodes[offset],
+        before = node.childNodes[offset - 1];
+      var edge = n => {
+        var nr = document.createRange();
+        nr.selectNode(n);
+        return nr.getBoundingClientRect();
+      };
+      if (after) {
+        var b = edge(after);
+        rect = new DOMRect(b.left, b.top, 0, b.height);
+      } else if (before) {
+        var _b = edge(before);
+        rect = new DOMRect(_b.right, _b.top, 0, _b.height);
+      } else {
+        var _b2 = node.getBoundingClientRect();
+        rect = new DOMRect(_b2.left, _b2.top, 0, _b2.height);
+      }
+    }
+    return rect.height ? new DOMRect(rect.left, rect.top, 0, rect.height) : null;
+  }
+
+  /** Node churn between serializations of a test case. `HTMLSerialize.assign_id` gives each node
+   * 	a unique id the first time it is serialized, so an id missing from the previous snapshot is a
+   * 	node the browser created, and a missing one a node it destroyed; e.g. text nodes replaced
+   * 	during composition.
+   */
+  class NodeChurn {
+    constructor() {
+      this.reset();
+    }
+    /** Forget the previous snapshot, e.g. when the content is replaced wholesale */
+    reset() {
+      // node ids and test case content of the previous snapshot
+      this.ids = null;
+      this.content = null;
+      // churn that is marked, until the next snapshot
+      this.shown = null;
+      // result of the last update()
+      this.last = null;
+    }
+    /** Compare a serialization with the previous one. Spans of created nodes get the `created`
+     * 	class, and the ids of destroyed ones are listed in the target's `data-removed` attribute.
+     * 	Serializing again without changes, e.g. for a selectionchange after an edit, doesn't make a
+     * 	new snapshot, so the marks of the edit are kept
+     * @param target serialization output of HTMLSerialize
+     * @param {String} content the test case's content, e.g. its innerHTML
+     * @returns {{created: [Number], removed: [Number]} | null} null for the first snapshot, or if
+     * 	neither the nodes nor the content changed
+     */
+    update(target, content) {
+      var _this$shown, _this$shown2;
+      var spans = target.querySelectorAll("[data-sid]");
+      var ids = new Set(Array.from(spans, s => +s.dataset.sid));
+      var same = this.ids && content === this.content && ids.size == this.ids.size && Array.from(ids).every(id => this.ids.has(id));
+      var churn = null;
+      if (this.ids && !same) {
+        churn = {
+          created: [],
+          removed: []
+        };
+        for (var id of ids) {
+          if (!this.ids.has(id)) churn.created.push(id);
+        }
+        for (var _id of this.ids) {
+          if (!ids.has(_id)) churn.removed.push(_id);
+        }
+      }
+      if (!same) {
+        this.ids = ids;
+        this.content = content;
+        this.shown = churn;
+      }
+      var created = new Set((_this$shown = this.shown) === null || _this$shown === void 0 ? void 0 : _this$shown.created);
+      for (var s of spans) {
+        if (created.has(+s.dataset.sid)) s.classList.add("created");
+      }
+      if ((_this$shown2 = this.shown) !== null && _this$shown2 !== void 0 && _this$shown2.removed.length) target.dataset.removed = this.shown.removed.join(" ");else delete target.dataset.removed;
+      this.last = churn;
+      return churn;
+    }
+  }
+
+  /** Shareable links that encode the tester setup in the URL hash, e.g. for linking an exact
+   * 	reproduction from a w3c/input-events issue. The hash is in query string format:
+   * 	- `cancel`, `freeze`: "1" if the checkbox is checked
+   * 	- `regex`: inputType regex
+   * 	- `limit`: log limit
+   * 	- `cases`: test cases (see CaseCatalog), as base64url encoded JSON; omitted for the defaults
+   * 	- `policy`: cancellation policies (see CancelPolicy.toJSON), as base64url encoded JSON
+   */
+
+  /** Encode a value as base64url JSON; unicode safe */
+  function encode_json(value) {
+    var bytes = new TextEncoder().encode(JSON.stringify(value));
+    var bin = "";
+    for (var b of bytes) {
+      bin += String.fromCharCode(b);
+    }
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+  /** Decode output of `encode_json` */
+  function decode_json(str) {
+    var bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+    var bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  /** Create a permalink for the current page
+   * @param {Object} state tester setup: `{cancel, freeze, regex, limit, cases, policy}`; `cases`
+   * 	and `policy` are optional
+   * @returns {String} absolute URL
+   */
+  function encode_permalink(state) {
+    var params = new URLSearchParams();
+    params.set("cancel", state.cancel ? 1 : 0);
+    params.set("regex", state.regex);
+    params.set("freeze", state.freeze ? 1 : 0);
+    params.set("limit", state.limit);
+    if (state.cases) params.set("cases", encode_json(state.cases));
+    if (state.policy) params.set("policy", encode_json(state.policy));
+    var url = new URL(location.href);
+    url.hash = params.toString();
+    return url.href;
+  }
+
+  /** Read tester setup from a URL hash
+   * @param {String} hash e.g. `location.hash`
+   * @returns {Object | null} null if the hash is not a permalink; otherwise the state as given to
+   * 	`encode_permalink`, only including the keys present in the hash with valid values
+   */
+  function decode_permalink(hash) {
+    var params = new URLSearchParams(hash.replace(/^#/, ""));
+    if (!params.has("regex")) return null;
+    var state = {};
+    for (var k of ["cancel", "freeze"]) {
+      if (params.has(k)) state[k] = params.get(k) === "1";
+    }
+    state.regex = params.get("regex");
+    // invalid values are left out, so the defaults are used
+    for (var _k in DECODE) {
+      if (!params.has(_k)) continue;
+      try {
+        state[_k] = DECODE[_k](params.get(_k));
+      } catch (err) {
+        console.error("invalid permalink:", err);
+      }
+    }
+    return state;
+  }
+
+  /** Check that policies decoded from a permalink only have known inputTypes and policy names
+   * @param {Object} json see `CancelPolicy.toJSON()`
+   * @returns json
+   * @throws if not
+   */
+  function check_policy(json) {
+    var _json$global;
+    var check = m => {
+      if (typeof m !== "object" || m === null) throw Error("policies are not an object");
+      for (var [inputType, p] of Object.entries(m)) {
+        if (!INPUT_TYPES.includes(inputType)) throw Error("unknown inputType ".concat(inputType));
+        if (!Object.hasOwn(POLICIES, p)) throw Error("unknown policy ".concat(p));
+      }
+    };
+    check((_json$global = json.global) !== null && _json$global !== void 0 ? _json$global : {});
+    for (var [idx, m] of Object.entries((_json$cases = json.cases) !== null && _json$cases !== void 0 ? _json$cases : {})) {
+      var _json$cases;
+      if (!/^\d+$/.test(idx)) throw Error("invalid test case index ".concat(idx));
+      check(m);
+    }
+    return json;
+  }
+
+  // hash key => fn(value) to decode it, throwing if invalid
+  var DECODE = {
+    limit: str => {
+      var limit = +str;
+      if (!Number.isInteger(limit) || limit < 1) throw Error("limit is not a positive integer: ".concat(str));
+      return limit;
+    },
+    cases: decode_json,
+    policy: str => check_policy(decode_json(str))
+  };
+
+  // DOM els
+  var divs,
+    // test cases: contenteditable, textarea or input elements
+    cases,
+    // container of test cases
+    output,
+    // log output element
+    regex,
+    // cancel beforeinput inputType regex
+    limit,
+    // log message limit input
+    cancel,
+    // cancel beforeinput checkbox
+    freeze,
+    // freeze log
+    log_churn,
+    // show node churn in the log
+    compare_native,
+    // compare emulated edits with native ones
+    highlight,
+    // highlight target ranges in the test cases
+    native_clone,
+    // hidden container for native edit clones
+    families,
+    // {family: checkbox} to enable logging optional event families
+    filters,
+    // {name: input} log filter options, see entry_filter
+    session_count; // recorded event count
+
+  var session,
+    // recording of all events
+    policy = new CancelPolicy(),
+    // per-inputType beforeinput cancellation
+    checker = new RuleChecker(),
+    // event stream invariants
+    timeline,
+    // lane view of the session's events
+    highlighter,
+    // draws the latest target ranges in the test cases
+    composition = null,
+    // CompositionGroup the log is collecting entries into
+    shown = entry_filter(),
+    // which entries the log shows
+    mutation_logs = new Map(),
+    // test case => MutationLog
+    expectations = new Map(),
+    // test case => CaseExpectations
+    churns = new Map(),
+    // test case => NodeChurn
+    serialize_opts = {
+      attrs: HTMLSerialize.DEFAULT_ATTRS,
+      invisibles: false
+    },
+    // HTMLSerialize options
+    update_scopes,
+    // update policy table for test case changes
+    update_injection,
+    // update injection panel for test case changes
+    catalog,
+    // CaseCatalog the test cases were rendered from
+    defaults,
+    // CaseCatalog of built-in test cases
+    replay = null,
+    // {session, step, cases} when replaying an imported session
+    trigger = null,
+    // {index, entry} last event that may trigger a beforeinput
+    emulating = false,
+    // whether emulate() is moving focus to the native edit clone and back
+    scripted = false; // whether scenarios are running; their entries are marked as scripted
+
+  // optional event families that can be logged
+  var FAMILIES = {
+    keyboard: ["keydown", "keyup"],
+    focus: ["focus", "blur"],
+    clipboard: ["copy", "cut", "paste"],
+    drag: ["dragstart", "drop"]
+  };
+  // event => inputTypes it can trigger for beforeinput, or null for any
+  var TRIGGERS = {
+    keydown: null,
+    paste: ["insertFromPaste", "insertFromPasteAsQuotation"],
+    cut: ["deleteByCut"],
+    dragstart: ["deleteByDrag"],
+    drop: ["insertFromDrop", "deleteByDrag"]
+  };
+  document.addEventListener("DOMContentLoaded", () => {
+    cases = document.getElementById("cases");
+    divs = Array.from(cases.querySelectorAll(":scope > [contenteditable], :scope > textarea, :scope > input"));
+    output = document.querySelector("output");
+    freeze = document.getElementById("freeze");
+    // catch up with entries and filter changes while frozen
+    freeze.addEventListener("change", relog);
+    log_churn = document.getElementById("log_churn");
+    log_churn.addEventListener("change", relog);
+    cancel = document.getElementById("cancel");
+    limit = document.getElementById("limit");
+    regex = document.getElementById("regex");
+    compare_native = document.getElementById("compare_native");
+    native_clone = document.getElementById("native_clone");
+    highlight = document.getElementById("highlight_ranges");
+    highlighter = new RangeHighlighter();
+    highlight.addEventListener("change", () => highlighter.clear());
+    session_count = document.getElementById("session_count");
+    filters = {
+      type: document.getElementById("filter_type"),
+      inputType: document.getElementById("filter_input_type"),
+      case_idx: document.getElementById("filter_case"),
+      cancel: document.getElementById("filter_cancel"),
+      search: document.getElementById("filter_search")
+    };
+    for (var outcome in CANCEL_OUTCOMES) {
+      filters.cancel.add(new Option(outcome, outcome));
+    }
+    for (var name in filters) {
+      filters[name].addEventListener("input", update_filter);
+    }
+    timeline = new Timeline(document.getElementById("timeline"), entry_msg);
+    attrs_options(document.getElementById("serialize_attrs"));
+    var invisibles = document.getElementById("show_invisibles");
+    invisibles.addEventListener("change", () => {
+      serialize_opts.invisibles = invisibles.checked;
+      reserialize();
+    });
+    families = {};
+    for (var el of document.querySelectorAll("input[data-family]")) {
+      families[el.dataset.family] = el;
+    }
+
+    // Initialize
+    document.addEventListener("selectionchange", e => {
+      if (replay) return;
+      // event_entry serializes the focused test case
+      evt_msg(e);
+    });
+    // setup from permalink
+    var link = decode_permalink(location.hash);
+    if (link) {
+      if ("cancel" in link) cancel.checked = link.cancel;
+      if ("freeze" in link) freeze.checked = link.freeze;
+      if ("limit" in link) limit.value = link.limit;
+      regex.value = link.regex;
+      if (link.policy) policy.load(link.policy);
+    }
+    update_scopes = policy_table(policy, document.getElementById("policy_scope"), document.getElementById("policy"), divs.length);
+    // test cases; built-in ones from index.html are replaced by a permalink's, or edited ones from localStorage
+    defaults = CaseCatalog.from_elements(divs);
+    var initial = null;
+    // linked test cases are HTML from whoever made the link, and can run scripts on this page
+    if (link !== null && link !== void 0 && link.cases && confirm("This link has its own test cases. Their HTML can run scripts on this page, so only load them if you trust the link. Load them?")) {
+      try {
+        initial = CaseCatalog.fromJSON({
+          cases: link.cases
+        });
+        initial.linked = true;
+      } catch (err) {
+        console.error("invalid permalink test cases:", err);
+      }
+    }
+    initial = initial || CaseCatalog.stored() || CaseCatalog.fromJSON(defaults.toJSON());
+    divs.forEach(div => div.remove());
+    divs = [];
+    update_injection = injection_panel(cases, () => divs);
+    // keeps per test case policies from a permalink
+    render_cases(initial, i => i);
+    case_editor(initial, render_cases, defaults);
+    document.getElementById("permalink").addEventListener("click", copy_permalink);
+
+    // session export/import
+    document.getElementById("session_export").addEventListener("click", () => session.download());
+    document.getElementById("session_clear").addEventListener("click", session_reset);
+    document.getElementById("session_import").addEventListener("change", /*#__PURE__*/function () {
+      var _ref = _asyncToGenerator(function* (e) {
+        var file = e.target.files[0];
+        e.target.value = "";
+        if (!file) return;
+        try {
+          replay_start(yield Session.load(file));
+        } catch (err) {
+          alert("Failed to import session: ".concat(err.message));
+        }
+      });
+      return function (_x) {
+        return _ref.apply(this, arguments);
+      };
+    }());
+    document.getElementById("replay_prev").addEventListener("click", () => replay_step(-1));
+    document.getElementById("replay_next").addEventListener("click", () => replay_step(1));
+    document.getElementById("replay_stop").addEventListener("click", replay_stop);
+    // scripted scenarios
+    var scenarios = [],
+      results = [];
+    document.getElementById("scenario_file").addEventListener("change", /*#__PURE__*/function () {
+      var _ref2 = _asyncToGenerator(function* (e) {
+        var file = e.target.files[0];
+        if (!file) return;
+        try {
+          scenarios = JSON.parse(yield file.text());
+          if (!Array.isArray(scenarios)) throw Error("expected a list of scenarios");
+        } catch (err) {
+          scenarios = [];
+          alert("Failed to load scenarios: ".concat(err.message));
+        }
+      });
+      return function (_x2) {
+        return _ref2.apply(this, arguments);
+      };
+    }());
+    document.getElementById("scenario_run").addEventListener("click", /*#__PURE__*/_asyncToGenerator(function* () {
+      results = yield run_scenarios(scenarios);
+      document.getElementById("scenario_results").replaceChildren(results_table(results));
+    }));
+    document.getElementById("scenario_export").addEventListener("click", () => {
+      if (results.length) download_json("scenarios.json", scenarios.map((sc, i) => _objectSpread2(_objectSpread2({}, sc), {}, {
+        expect: results[i].actual
+      })));
+    });
+    // for regression checks from a headless browser
+    window.run_scenarios = run_scenarios;
+    document.getElementById("report_generate").addEventListener("click", () => {
+      var report = document.getElementById("report");
+      report.value = support_report(session);
+      report.hidden = false;
+      report.select();
+    });
+
+    // session comparison
+    document.getElementById("compare_run").addEventListener("click", /*#__PURE__*/_asyncToGenerator(function* () {
+      var files = ["compare_a", "compare_b"].map(id => document.getElementById(id).files[0]);
+      if (!files[0] || !files[1]) return alert("Select two session files to compare");
+      try {
+        var [a, b] = yield Promise.all(files.map(Session.load));
+        var ignore = document.getElementById("compare_ignore").checked;
+        document.getElementById("compare").replaceChildren(compare_sessions(a, b, ignore));
+      } catch (err) {
+        alert("Failed to compare sessions: ".concat(err.message));
+      }
+    }));
+  });
+
+  // Setup a test case element: serialization <pre>, expectation badges and event logging
+  function setup_case(div, idx) {
+    // setup serialization
+    trim_whitespace(div);
+    var badges = document.createElement("div");
+    badges.className = "badges";
+    div.after(document.createElement("pre"), badges);
+    churns.set(div, new NodeChurn());
+    serialize_current(div);
+    var mutations = new MutationLog(div);
+    mutation_logs.set(div, mutations);
+    var expected = new CaseExpectations(catalog.cases[idx].expect, badges);
+    expectations.set(div, expected);
+    div.addEventListener("focus", () => {
+      if (!emulating) expected.restart();
+    });
+
+    // events
+    div.addEventListener("compositionstart", evt_msg);
+    div.addEventListener("compositionupdate", evt_msg);
+    div.addEventListener("compositionend", evt_msg);
+    var _loop = function (family) {
+      for (var type of FAMILIES[family]) {
+        div.addEventListener(type, e => {
+          // emulate()'s own focus changes aren't part of the user's input
+          if (families[family].checked && !(emulating && family == "focus")) evt_msg(e);
+        });
+      }
+    };
+    for (var family in FAMILIES) {
+      _loop(family);
+    }
+    div.addEventListener("beforeinput", e => {
+      var fired = policy.resolve(e.inputType, case_index(div), regex_policy);
+      if (fired.policy != "allow") e.preventDefault();
+      var ranges = e.getTargetRanges ? e.getTargetRanges() : [];
+      mutations.start(ranges);
+      if (highlight.checked) highlighter.show(ranges.map(live_range));
+      var entry = event_entry(e, fired);
+      if (fired.policy == "emulate") entry.emulated = emulate(div, e);
+      record(entry);
+    });
+    div.addEventListener("input", e => {
+      var entry = event_entry(e);
+      // form control values are not part of the DOM
+      if (!is_form_control(div)) entry.mutations = mutations.summary();
+      var check = mutations.check_ranges();
+      if (check) {
+        var markup = range => {
+          var pre = document.createElement("pre");
+          serialize(div, pre, range ? [range] : null, serialize_opts);
+          return pre.innerHTML;
+        };
+        entry.range_check = {
+          match: check.match,
+          expected: markup(check.expected),
+          actual: check.actual ? markup(check.actual) : null
+        };
+      }
+      mutations.start();
+      // ranges follow the edit, but their layout has changed
+      highlighter.refresh();
+      record(entry);
+    });
+  }
+
+  /* Replace test cases with those from a CaseCatalog; remap: see case_editor. The recorded session
+  	refers to test cases by index, so a new one is started
+  */
+  function render_cases(cat, remap) {
+    if (replay) replay_stop();
+    catalog = cat;
+    policy.remap(remap);
+    highlighter.clear();
+    for (var div of divs) {
+      mutation_logs.get(div).disconnect();
+      mutation_logs.delete(div);
+      expectations.delete(div);
+      churns.delete(div);
+      // serialization and badges
+      div.nextElementSibling.nextElementSibling.remove();
+      div.nextElementSibling.remove();
+      div.remove();
+    }
+    divs = cat.cases.map(case_element);
+    cases.append(...divs);
+    divs.forEach(setup_case);
+    update_scopes(divs.length);
+    update_injection();
+    case_options(filters.case_idx, divs.length, [new Option("any", ""), new Option("outside test cases", -1)]);
+    session_reset();
+  }
+
+  // Run scripted scenarios in order; see scenario.js
+  function run_scenarios(_x3) {
+    return _run_scenarios.apply(this, arguments);
+  } // Restore a test case's content, from the catalog if html is null
+  function _run_scenarios() {
+    _run_scenarios = _asyncToGenerator(function* (list) {
+      var tester = {
+        cases: divs,
+        session,
+        reset: reset_case
+      };
+      var out = [];
+      scripted = true;
+      try {
+        for (var scenario of list) {
+          out.push(yield run_scenario(scenario, tester));
+        }
+      } finally {
+        scripted = false;
+      }
+      return out;
+    });
+    return _run_scenarios.apply(this, arguments);
+  }
+  function reset_case(idx, html) {
+    var div = divs[idx];
+    set_case_content(div, html !== null && html !== void 0 ? html : catalog.cases[idx].html);
+    trim_whitespace(div);
+    churns.get(div).reset();
+    serialize_current(div);
+  }
+
+  // Copy a link with the current test cases and settings, and show it in the address bar
+  function copy_permalink() {
+    return _copy_permalink.apply(this, arguments);
+  } // Checkboxes for the attributes and properties shown in serializations
+  function _copy_permalink() {
+    _copy_permalink = _asyncToGenerator(function* () {
+      var policies = policy.toJSON();
+      var url = encode_permalink({
+        cancel: cancel.checked,
+        regex: regex.value,
+        freeze: freeze.checked,
+        limit: limit.valueAsNumber,
+        // omit defaults, to keep the link short
+        cases: JSON.stringify(catalog.cases) === JSON.stringify(defaults.cases) ? null : catalog.cases,
+        policy: Object.keys(policies.global).length || Object.keys(policies.cases).length ? policies : null
+      });
+      history.replaceState(null, "", url);
+      try {
+        yield navigator.clipboard.writeText(url);
+      } catch (err) {
+        prompt("Copy permalink:", url);
+      }
+    });
+    return _copy_permalink.apply(this, arguments);
+  }
+  function attrs_options(container) {
+    var boxes = [];
+    for (var name in HTMLSerialize.ATTRS) {
+      var label = document.createElement("label");
+      var box = document.createElement("input");
+      box.type = "checkbox";
+      box.value = name;
+      box.checked = serialize_opts.attrs.includes(name);
+      boxes.push(box);
+      label.append(box, " ".concat(HTMLSerialize.PROPERTIES.has(name) ? "[".concat(name, "]") : name));
+      container.append(label);
+    }
+    container.addEventListener("change", () => {
+      serialize_opts.attrs = boxes.filter(b => b.checked).map(b => b.value);
+      reserialize();
+    });
+  }
+  // Serialize the test cases again after serialize_opts changed
+  function reserialize() {
+    // replay shows the recorded serializations
+    if (!replay) divs.forEach(serialize_current);
+  }
+
+  // trim whitespace/textnodes from start/end of element
+  function trim_whitespace(el) {
+    var f = el.firstChild,
+      l = el.lastChild;
+    if (!f) return;
+    if (f.nodeType == Node.TEXT_NODE) {
+      var d = f.data.trimStart();
+      if (d) f.data = d;else f.remove();
+    }
+    if (l.nodeType == Node.TEXT_NODE && l.parentNode) {
+      var _d = l.data.trimEnd();
+      if (_d) l.data = _d;else l.remove();
+    }
+  }
+
+  // index of a test case div
+  function case_index(div) {
+    return Array.prototype.indexOf.call(divs, div);
+  }
+
+  // Policy from the cancel checkbox and inputType regex, for inputTypes with no policy set
+  function regex_policy(inputType) {
+    return cancel.checked && new RegExp(regex.value).test(inputType) ? "cancel" : "allow";
+  }
+
+  // Record an event and log it
+  function evt_msg(e, fired) {
+    record(event_entry(e, fired));
+  }
+  function record(entry) {
+    var violated = checker.check(entry);
+    if (violated.length) entry.violations = violated.map(r => r.id);
+    // correlate beforeinput with the event that triggered it
+    if (entry.type in TRIGGERS) trigger = {
+      index: session.length,
+      entry
+    };else if (entry.type == "keyup") trigger = null;else if (entry.type == "beforeinput" && trigger && trigger.entry.case == entry.case) {
+      var inputTypes = TRIGGERS[trigger.entry.type];
+      if (!inputTypes || inputTypes.includes(entry.inputType)) {
+        entry.trigger = {
+          index: trigger.index,
+          type: trigger.entry.type
+        };
+        if ("key" in trigger.entry) entry.trigger.key = trigger.entry.key;
+      }
+    }
+    var div = divs[entry.case];
+    if (div) expectations.get(div).check(entry);
+    session.add(entry);
+    session_count.textContent = session.length;
+    timeline.add(entry);
+    log(entry);
+  }
+
+  /* Structured, JSON serializable record of an event; see Session
+  	fired: for beforeinput, the {policy, scope} from CancelPolicy.resolve that was used
+  */
+  function event_entry(e) {
+    var fired = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
+    // selectionchange targets the document, so use whichever test case has focus; other events
+    // may target a descendant (e.g. drop), so use the test case the listener is on
+    var div = e.type == "selectionchange" ? document.activeElement : e.currentTarget;
+    var entry = {
+      type: e.type,
+      case: case_index(div)
+    };
+    if (!e.isTrusted) entry.synthetic = true;
+    if (scripted) entry.scripted = true;
+    if (e.inputType) entry.inputType = e.inputType;
+    // clipboard events give a DataTransfer as clipboardData
+    var dt = e.dataTransfer || e.clipboardData;
+    if (dt instanceof DataTransfer) entry.dataTransfer = inspect_data_transfer(dt);
+    if (e instanceof KeyboardEvent) {
+      entry.key = e.key;
+      entry.code = e.code;
+      entry.keyCode = e.keyCode;
+      entry.repeat = e.repeat;
+    }
+    if (typeof e.data !== "undefined") entry.data = e.data;
+    if (typeof e.isComposing === "boolean") entry.isComposing = e.isComposing;
+    entry.defaultPrevented = e.defaultPrevented;
+    entry.cancel_attempted = !!fired && fired.policy != "allow";
+    if (fired) entry.policy = fired;
+    entry.cancelable = e.cancelable;
+    entry.timeStamp = e.timeStamp;
+    if (entry.case != -1) {
+      if (e.getTargetRanges) {
+        var ranges = e.getTargetRanges();
+        if (ranges.length) {
+          var pre = document.createElement("pre");
+          serialize(div, pre, ranges, serialize_opts);
+          entry.ranges = pre.innerHTML;
+        }
+      }
+      entry.selection = serialize_current(div).innerHTML;
+      var churn = churns.get(div).last;
+      if (churn && (churn.created.length || churn.removed.length)) entry.churn = churn;
+      entry.html = case_content(div);
+    }
+    return entry;
+  }
+
+  // Create a log message for an event entry
+  function entry_msg(entry) {
+    var etype = entry.type;
+    if (entry.inputType) etype += "." + entry.inputType;
+    if (entry.synthetic) etype += " (synthetic)";
+    var root = document.createElement("div");
+    if (entry.type == "selectionchange") {
+      root.innerHTML = "<b>".concat(etype, "</b>");
+      return root;
+    }
+    root.innerHTML = "<b>".concat(etype, ":</b><ul></ul>");
+    var list = root.lastElementChild;
+    if (entry.violations) {
+      root.classList.add("violation");
+      var li = document.createElement("li");
+      li.className = "violation";
+      li.textContent = "violates: ";
+      var _loop2 = function (id) {
+        var rule = RULES.find(r => r.id == id);
+        var span = document.createElement("span");
+        span.textContent = id + " ";
+        span.title = rule ? rule.description : "";
+        li.appendChild(span);
+      };
+      for (var id of entry.violations) {
+        _loop2(id);
+      }
+      list.appendChild(li);
+    }
+    var attr = (k, v) => {
+      var li = document.createElement("li");
+      li.textContent = "".concat(k, ": ");
+      if ((v === null || v === void 0 ? void 0 : v.nodeType) == Node.ELEMENT_NODE) li.appendChild(v);else li.textContent += JSON.stringify(v);
+      list.appendChild(li);
+    };
+    // serialization markup -> pre element
+    var pre = markup => {
+      var el = document.createElement("pre");
+      el.innerHTML = markup;
+      return el;
+    };
+    if (entry.dataTransfer) attr('dataTransfer', data_transfer_msg(entry.dataTransfer, pre));
+    if ("key" in entry) {
+      attr('key', entry.key);
+      attr('code', entry.code);
+      attr('keyCode', entry.keyCode);
+      if (entry.repeat) attr('repeat', entry.repeat);
+    }
+    if (entry.trigger) {
+      var t = entry.trigger;
+      var span = document.createElement("span");
+      span.textContent = "".concat(t.type).concat("key" in t ? " ".concat(JSON.stringify(t.key)) : "", " (event #").concat(t.index, ")");
+      attr('triggered by', span);
+    }
+    if ("data" in entry) attr('data', entry.data);
+    if ("isComposing" in entry) attr('isComposing', entry.isComposing);
+    attr('defaultPrevented', [entry.defaultPrevented, entry.cancel_attempted ? "attempted" : "not attempted"]);
+    if (entry.policy) attr('policy', "".concat(entry.policy.policy, " (").concat(entry.policy.scope, ")"));
+    if ("mutations" in entry) attr('mutations', mutations_msg(entry.mutations));
+    if (entry.churn && log_churn.checked) {
+      var {
+        created,
+        removed
+      } = entry.churn;
+      var _span = document.createElement("span");
+      _span.textContent = "".concat(created.length, " created, ").concat(removed.length, " removed");
+      _span.title = "created: ".concat(created.join(" ") || "none", "\nremoved: ").concat(removed.join(" ") || "none");
+      attr('node churn', _span);
+    }
+    if (entry.range_check) {
+      var rc = entry.range_check;
+      if (rc.match) attr('target ranges match mutations', true);else if (rc.match === null) attr('target ranges', "DOM unchanged");else {
+        var _span2 = document.createElement("span");
+        _span2.append("target ranges ", pre(rc.expected), " mutated ", pre(rc.actual));
+        attr('target ranges mismatch', _span2);
+        list.lastElementChild.className = "mismatch";
+        root.classList.add("mismatch");
+      }
+    }
+    if (entry.emulated) {
+      var em = entry.emulated;
+      attr('emulated', em.applied ? pre(em.result) : "inputType not supported");
+      if ("native" in em) {
+        attr('native', em.native === null ? "no equivalent execCommand" : pre(em.native));
+        if (em.applied && em.native !== null) attr('matches native', em.match);
+      }
+    }
+    attr('cancelable', entry.cancelable);
+    attr('timeStamp', entry.timeStamp);
+    if (entry.ranges) attr('ranges', pre(entry.ranges));
+    if ("selection" in entry) attr('selection', pre(entry.selection));
+    return root;
+  }
+
+  /* Cancel and emulate: apply a cancelled beforeinput's edit ourselves from its target ranges and
+  	data; optionally, the browser's native edit is run on a hidden clone to compare against
+  	returns {applied, result, native, match}, where result/native are serialization markup
+  */
+  function emulate(div, e) {
+    // ranges are read before modifying the DOM
+    var edit = {
+      inputType: e.inputType,
+      data: e.data,
+      dataTransfer: e.dataTransfer,
+      ranges: target_ranges(e, div)
+    };
+    var out = {};
+    // no execCommand equivalent to compare with for form controls
+    if (is_form_control(div)) {
+      out.applied = apply_value_edit(edit, div);
+      out.result = serialize_current(div).innerHTML;
+      return out;
+    }
+    var native_html = null;
+    emulating = true;
+    try {
+      if (compare_native.checked) {
+        var clone = div.cloneNode(true);
+        clone.style.width = "".concat(div.clientWidth, "px");
+        native_clone.replaceChildren(clone);
+        out.native = null;
+        if (native_edit(edit, div, clone)) {
+          native_html = clone.innerHTML;
+          var pre = document.createElement("pre");
+          serialize(clone, pre, window.getSelection(), serialize_opts);
+          out.native = pre.innerHTML;
+        }
+        HTMLSerialize.counter.delete(clone);
+        native_clone.replaceChildren();
+      }
+      var sel = window.getSelection();
+      var caret = apply_edit(edit, div);
+      out.applied = !!caret;
+      sel.removeAllRanges();
+      if (caret || edit.ranges.length) sel.addRange(caret || edit.ranges[0]);
+      div.focus({
+        preventScroll: true
+      });
+    } finally {
+      emulating = false;
+    }
+    out.result = serialize_current(div).innerHTML;
+    if (out.applied && native_html !== null) out.match = native_html === div.innerHTML;
+    return out;
+  }
+
+  // Log message for a MutationLog summary
+  function mutations_msg(summary) {
+    if (!summary) return "none";
+    var list = document.createElement("ul");
+    var item = txt => {
+      var li = document.createElement("li");
+      li.textContent = txt;
+      list.appendChild(li);
+    };
+    for (var k of ["added", "removed", "moved"]) {
+      if (summary[k].length) item("".concat(k, ": ").concat(summary[k].join(" ")));
+    }
+    for (var t of summary.text) {
+      item("text ".concat(t.node, ": ").concat(JSON.stringify(t.original), " \u2192 ").concat(JSON.stringify(t.mutated)));
+    }
+    for (var a of summary.attributes) {
+      item("attribute ".concat(a.node, " ").concat(a.name, ": ").concat(JSON.stringify(a.original), " \u2192 ").concat(JSON.stringify(a.mutated)));
+    }
+    return list;
+  }
+
+  // Log message for an inspect_data_transfer snapshot; pre converts serialization markup to an element
+  function data_transfer_msg(dt, pre) {
+    var list = document.createElement("ul");
+    var item = (k, v) => {
+      var li = document.createElement("li");
+      li.textContent = "".concat(k, ": ");
+      if ((v === null || v === void 0 ? void 0 : v.nodeType) == Node.ELEMENT_NODE) li.appendChild(v);else li.textContent += JSON.stringify(v);
+      list.appendChild(li);
+    };
+    item('types', dt.types);
+    for (var type in dt.data) {
+      item("getData(".concat(JSON.stringify(type), ")"), type == "text/html" && dt.html ? pre(dt.html) : dt.data[type]);
+    }
+    for (var [i, it] of dt.items.entries()) {
+      item("items[".concat(i, "]"), "".concat(it.kind, " ").concat(it.type));
+    }
+    for (var [_i, f] of dt.files.entries()) {
+      item("files[".concat(_i, "]"), "".concat(f.name, " (").concat(f.size, " bytes, ").concat(f.type || "unknown type", ")"));
+    }
+    item('dropEffect', dt.dropEffect);
+    item('effectAllowed', dt.effectAllowed);
+    return list;
+  }
+
+  // serialize div as it currently is, marking node churn since the last time
+  function serialize_current(div) {
+    var target = div.nextElementSibling;
+    serialize(div, target, window.getSelection(), serialize_opts);
+    churns.get(div).update(target, case_content(div));
+    return target;
+  }
+
+  // Test case content: value for form controls, otherwise innerHTML
+  function case_content(div) {
+    return is_form_control(div) ? div.value : div.innerHTML;
+  }
+  function set_case_content(div, content) {
+    if (is_form_control(div)) div.value = content;else div.innerHTML = content;
+  }
+  // Toggle editing of a test case, e.g. during replay
+  function set_editable(div, editable) {
+    if (is_form_control(div)) div.readOnly = !editable;
+    // keep plaintext-only when editing is restored
+    else if (!editable) {
+      div.dataset.editable = div.getAttribute("contenteditable");
+      div.setAttribute("contenteditable", "false");
+    } else {
+      div.setAttribute("contenteditable", div.dataset.editable || "true");
+      delete div.dataset.editable;
+    }
+  }
+
+  /* Keep a log of last N events, in reverse temporal order; the events of a composition are
+  	collapsed into a CompositionGroup, which counts once toward the limit
+  	force: log even if the log is frozen or replaying
+  */
+  function log(entry) {
+    var _composition;
+    var force = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : false;
+    if (!force && (freeze.checked || replay)) return;
+    // hidden entries don't count toward the limit
+    if (!shown(entry)) return;
+    var msg = entry_msg(entry);
+    // group was pushed out of the log, or the log was cleared
+    if (composition && !composition.root.isConnected) composition = null;
+    if (entry.type == "compositionstart") {
+      composition = new CompositionGroup(entry);
+      output.prepend(composition.root);
+    }
+    if ((_composition = composition) !== null && _composition !== void 0 && _composition.accepts(entry)) {
+      composition.add(entry, msg);
+      if (composition.ended) composition = null;
+    } else output.prepend(msg);
+    while (output.children.length > limit.valueAsNumber) {
+      output.lastElementChild.remove();
+    }
+  }
+
+  // Rebuild the log from the recorded entries, e.g. after the filter changes; a frozen log is kept,
+  // unless replaying. Only the entries of the newest `limit` messages are logged
+  function relog() {
+    if (freeze.checked && !replay) return;
+    output.replaceChildren();
+    var end = replay ? replay.step + 1 : session.entries.length;
+    var entries = replay ? replay.session.entries : session.entries;
+    for (var i = log_start(entries, end); i < end; i++) {
+      log(entries[i], true);
+    }
+  }
+  /* Index of the first entry to log, so that entries[start:end] fill the log; mirrors log()'s
+  	grouping, so that a composition is logged from its compositionstart
+  */
+  function log_start(entries, end) {
+    // index of each entry that starts a log message; grouping needs a forward pass
+    var starts = [];
+    var group = null; // case of the open composition
+    for (var i = 0; i < end; i++) {
+      var entry = entries[i];
+      if (!shown(entry)) continue;
+      if (entry.type == "compositionstart") {
+        group = entry.case;
+        starts.push(i);
+      } else if (group !== null && entry.case == group) {
+        if (entry.type == "compositionend") group = null;
+      } else starts.push(i);
+    }
+    return starts.length > limit.valueAsNumber ? starts[starts.length - limit.valueAsNumber] : 0;
+  }
+  function update_filter() {
+    var opts = {};
+    for (var name in filters) {
+      opts[name] = filters[name].value;
+    }
+    shown = entry_filter(opts);
+    relog();
+  }
+
+  // Start a new recording, from the current state of the test cases
+  function session_reset() {
+    session = new Session(Array.from(divs, case_content));
+    checker.reset();
+    for (var expected of expectations.values()) {
+      expected.reset();
+    }
+    timeline.clear();
+    trigger = null;
+    session_count.textContent = 0;
+  }
+
+  /* Replay an imported session; test cases are swapped with the recorded DOM for each step,
+  	and the log shows entries up to the current step
+  */
+  function replay_start(imported) {
+    if (replay) replay_stop();
+    replay = {
+      session: imported,
+      step: -1,
+      // restore these once replay is finished
+      cases: Array.from(divs, case_content)
+    };
+    divs.forEach((div, i) => {
+      set_editable(div, false);
+      if (i < imported.cases.length) set_case_content(div, imported.cases[i]);
+      serialize(div, div.nextElementSibling, null, serialize_opts);
+    });
+    output.replaceChildren();
+    timeline.clear();
+    imported.entries.forEach(entry => timeline.add(entry));
+    document.getElementById("replay").hidden = false;
+    document.getElementById("replay_agent").textContent = imported.user_agent;
+    replay_step(1);
+  }
+  function replay_step(delta) {
+    var entries = replay.session.entries;
+    var step = Math.max(0, Math.min(entries.length - 1, replay.step + delta));
+    if (step === replay.step || !entries.length) return;
+    replay.step = step;
+    document.getElementById("replay_step").textContent = "".concat(step + 1, "/").concat(entries.length);
+    // DOM state after this event
+    var entry = entries[step];
+    var div = divs[entry.case];
+    if (div && "html" in entry) {
+      set_case_content(div, entry.html);
+      div.nextElementSibling.innerHTML = entry.selection;
+    }
+    relog();
+  }
+  function replay_stop() {
+    divs.forEach((div, i) => {
+      set_case_content(div, replay.cases[i]);
+      set_editable(div, true);
+      churns.get(div).reset();
+      serialize_current(div);
+    });
+    replay = null;
+    output.replaceChildren();
+    timeline.clear();
+    session.entries.forEach(entry => timeline.add(entry));
+    document.getElementById("replay").hidden = true;
   }
 
 })();
@@ -1,56 +1,392 @@
 "use strict";
-import { serialize } from "./serialize.js";
+import { serialize, HTMLSerialize, is_form_control } from "./serialize.js";
+import { Session, download_json } from "./session.js";
+import { compare_sessions } from "./compare.js";
+import { CancelPolicy, policy_table } from "./policy.js";
+import { apply_edit, apply_value_edit, native_edit, target_ranges, live_range } from "./apply_edit.js";
+import { MutationLog } from "./mutations.js";
+import { CaseExpectations } from "./expectations.js";
+import { RuleChecker, RULES } from "./rules.js";
+import { CaseCatalog, case_editor, case_element, case_options } from "./cases.js";
+import { inspect_data_transfer } from "./datatransfer.js";
+import { entry_filter, CANCEL_OUTCOMES } from "./filter.js";
+import { Timeline } from "./timeline.js";
+import { CompositionGroup } from "./composition.js";
+import { support_report } from "./report.js";
+import { run_scenario, results_table } from "./scenario.js";
+import { injection_panel } from "./inject.js";
+import { RangeHighlighter } from "./highlight.js";
+import { NodeChurn } from "./churn.js";
+import { encode_permalink, decode_permalink } from "./permalink.js";
 
 // DOM els
-var divs,	// contenteditable test cases
+var divs,	// test cases: contenteditable, textarea or input elements
+	cases,	// container of test cases
 	output, // log output element
 	regex, 	// cancel beforeinput inputType regex
 	limit,	// log message limit input
 	cancel,	// cancel beforeinput checkbox
-	freeze;	// freeze log
+	freeze,	// freeze log
+	log_churn,	// show node churn in the log
+	compare_native,	// compare emulated edits with native ones
+	highlight,	// highlight target ranges in the test cases
+	native_clone,	// hidden container for native edit clones
+	families,	// {family: checkbox} to enable logging optional event families
+	filters,	// {name: input} log filter options, see entry_filter
+	session_count; // recorded event count
+
+var session,	// recording of all events
+	policy = new CancelPolicy(), // per-inputType beforeinput cancellation
+	checker = new RuleChecker(), // event stream invariants
+	timeline, // lane view of the session's events
+	highlighter, // draws the latest target ranges in the test cases
+	composition = null, // CompositionGroup the log is collecting entries into
+	shown = entry_filter(), // which entries the log shows
+	mutation_logs = new Map(), // test case => MutationLog
+	expectations = new Map(), // test case => CaseExpectations
+	churns = new Map(), // test case => NodeChurn
+	serialize_opts = {attrs: HTMLSerialize.DEFAULT_ATTRS, invisibles: false}, // HTMLSerialize options
+	update_scopes, // update policy table for test case changes
+	update_injection, // update injection panel for test case changes
+	catalog, // CaseCatalog the test cases were rendered from
+	defaults, // CaseCatalog of built-in test cases
+	replay = null, // {session, step, cases} when replaying an imported session
+	trigger = null, // {index, entry} last event that may trigger a beforeinput
+	emulating = false, // whether emulate() is moving focus to the native edit clone and back
+	scripted = false; // whether scenarios are running; their entries are marked as scripted
+
+// optional event families that can be logged
+const FAMILIES = {
+	keyboard: ["keydown", "keyup"],
+	focus: ["focus", "blur"],
+	clipboard: ["copy", "cut", "paste"],
+	drag: ["dragstart", "drop"]
+};
+// event => inputTypes it can trigger for beforeinput, or null for any
+const TRIGGERS = {
+	keydown: null,
+	paste: ["insertFromPaste", "insertFromPasteAsQuotation"],
+	cut: ["deleteByCut"],
+	dragstart: ["deleteByDrag"],
+	drop: ["insertFromDrop", "deleteByDrag"]
+};
 
 document.addEventListener("DOMContentLoaded", () => {
-	divs = document.querySelectorAll("div[contenteditable]");
+	cases = document.getElementById("cases");
+	divs = Array.from(cases.querySelectorAll(":scope > [contenteditable], :scope > textarea, :scope > input"));
 	output = document.querySelector("output");
 	freeze = document.getElementById("freeze");
+	// catch up with entries and filter changes while frozen
+	freeze.addEventListener("change", relog);
+	log_churn = document.getElementById("log_churn");
+	log_churn.addEventListener("change", relog);
 	cancel = document.getElementById("cancel");
 	limit = document.getElementById("limit");
 	regex = document.getElementById("regex");
+	compare_native = document.getElementById("compare_native");
+	native_clone = document.getElementById("native_clone");
+	highlight = document.getElementById("highlight_ranges");
+	highlighter = new RangeHighlighter();
+	highlight.addEventListener("change", () => highlighter.clear());
+	session_count = document.getElementById("session_count");
+	filters = {
+		type: document.getElementById("filter_type"),
+		inputType: document.getElementById("filter_input_type"),
+		case_idx: document.getElementById("filter_case"),
+		cancel: document.getElementById("filter_cancel"),
+		search: document.getElementById("filter_search")
+	};
+	for (const outcome in CANCEL_OUTCOMES)
+		filters.cancel.add(new Option(outcome, outcome));
+	for (const name in filters)
+		filters[name].addEventListener("input", update_filter);
+	timeline = new Timeline(document.getElementById("timeline"), entry_msg);
+	attrs_options(document.getElementById("serialize_attrs"));
+	const invisibles = document.getElementById("show_invisibles");
+	invisibles.addEventListener("change", () => {
+		serialize_opts.invisibles = invisibles.checked;
+		reserialize();
+	});
+	families = {};
+	for (const el of document.querySelectorAll("input[data-family]"))
+		families[el.dataset.family] = el;
 
 	// Initialize
 	document.addEventListener("selectionchange", (e) => {
-		let div = document.activeElement;
-		if (div.contentEditable == "true")
-			serialize_current(div);
-		log(`<b>${e.type}</b>`);
+		if (replay)
+			return;
+		// event_entry serializes the focused test case
+		evt_msg(e);
 	});
-	divs.forEach(div => {
-		// setup serialization
-		trim_whitespace(div);
-		div.after(document.createElement("pre"));
-		serialize_current(div);
+	// setup from permalink
+	const link = decode_permalink(location.hash);
+	if (link){
+		if ("cancel" in link)
+			cancel.checked = link.cancel;
+		if ("freeze" in link)
+			freeze.checked = link.freeze;
+		if ("limit" in link)
+			limit.value = link.limit;
+		regex.value = link.regex;
+		if (link.policy)
+			policy.load(link.policy);
+	}
+	update_scopes = policy_table(policy, document.getElementById("policy_scope"), document.getElementById("policy"), divs.length);
+	// test cases; built-in ones from index.html are replaced by a permalink's, or edited ones from localStorage
+	defaults = CaseCatalog.from_elements(divs);
+	let initial = null;
+	// linked test cases are HTML from whoever made the link, and can run scripts on this page
+	if (link?.cases && confirm("This link has its own test cases. Their HTML can run scripts on this page, so only load them if you trust the link. Load them?")){
+		try{
+			initial = CaseCatalog.fromJSON({cases: link.cases});
+			initial.linked = true;
+		} catch(err){
+			console.error("invalid permalink test cases:", err);
+		}
+	}
+	initial = initial || CaseCatalog.stored() || CaseCatalog.fromJSON(defaults.toJSON());
+	divs.forEach(div => div.remove());
+	divs = [];
+	update_injection = injection_panel(cases, () => divs);
+	// keeps per test case policies from a permalink
+	render_cases(initial, i => i);
+	case_editor(initial, render_cases, defaults);
+	document.getElementById("permalink").addEventListener("click", copy_permalink);
 
-		// events
-		div.addEventListener("compositionstart", evt_msg);
-		div.addEventListener("compositionupdate", evt_msg);
-		div.addEventListener("compositionend", evt_msg);
-		div.addEventListener("beforeinput", e => {
-			let cancel_attempted = false;
-			if (cancel.checked && (new RegExp(regex.value)).test(e.inputType)){
-				cancel_attempted = true;
-				e.preventDefault();
-			}
-			evt_msg(e, cancel_attempted);
-		});
-		div.addEventListener("input", evt_msg);
+	// session export/import
+	document.getElementById("session_export").addEventListener("click", () => session.download());
+	document.getElementById("session_clear").addEventListener("click", session_reset);
+	document.getElementById("session_import").addEventListener("change", async (e) => {
+		const file = e.target.files[0];
+		e.target.value = "";
+		if (!file)
+			return;
+		try{
+			replay_start(await Session.load(file));
+		} catch(err){
+			alert(`Failed to import session: ${err.message}`);
+		}
+	});
+	document.getElementById("replay_prev").addEventListener("click", () => replay_step(-1));
+	document.getElementById("replay_next").addEventListener("click", () => replay_step(1));
+	document.getElementById("replay_stop").addEventListener("click", replay_stop);
+	// scripted scenarios
+	let scenarios = [], results = [];
+	document.getElementById("scenario_file").addEventListener("change", async (e) => {
+		const file = e.target.files[0];
+		if (!file)
+			return;
+		try{
+			scenarios = JSON.parse(await file.text());
+			if (!Array.isArray(scenarios))
+				throw Error("expected a list of scenarios");
+		} catch(err){
+			scenarios = [];
+			alert(`Failed to load scenarios: ${err.message}`);
+		}
+	});
+	document.getElementById("scenario_run").addEventListener("click", async () => {
+		results = await run_scenarios(scenarios);
+		document.getElementById("scenario_results").replaceChildren(results_table(results));
+	});
+	document.getElementById("scenario_export").addEventListener("click", () => {
+		if (results.length)
+			download_json("scenarios.json", scenarios.map((sc, i) => ({...sc, expect: results[i].actual})));
+	});
+	// for regression checks from a headless browser
+	window.run_scenarios = run_scenarios;
+	document.getElementById("report_generate").addEventListener("click", () => {
+		const report = document.getElementById("report");
+		report.value = support_report(session);
+		report.hidden = false;
+		report.select();
 	});
 
+	// session comparison
+	document.getElementById("compare_run").addEventListener("click", async () => {
+		const files = ["compare_a", "compare_b"].map(id => document.getElementById(id).files[0]);
+		if (!files[0] || !files[1])
+			return alert("Select two session files to compare");
+		try{
+			const [a, b] = await Promise.all(files.map(Session.load));
+			const ignore = document.getElementById("compare_ignore").checked;
+			document.getElementById("compare").replaceChildren(compare_sessions(a, b, ignore));
+		} catch(err){
+			alert(`Failed to compare sessions: ${err.message}`);
+		}
+	});
 });
 
+// Setup a test case element: serialization <pre>, expectation badges and event logging
+function setup_case(div, idx){
+	// setup serialization
+	trim_whitespace(div);
+	const badges = document.createElement("div");
+	badges.className = "badges";
+	div.after(document.createElement("pre"), badges);
+	churns.set(div, new NodeChurn());
+	serialize_current(div);
+	const mutations = new MutationLog(div);
+	mutation_logs.set(div, mutations);
+	const expected = new CaseExpectations(catalog.cases[idx].expect, badges);
+	expectations.set(div, expected);
+	div.addEventListener("focus", () => {
+		if (!emulating)
+			expected.restart();
+	});
+
+	// events
+	div.addEventListener("compositionstart", evt_msg);
+	div.addEventListener("compositionupdate", evt_msg);
+	div.addEventListener("compositionend", evt_msg);
+	for (const family in FAMILIES){
+		for (const type of FAMILIES[family]){
+			div.addEventListener(type, e => {
+				// emulate()'s own focus changes aren't part of the user's input
+				if (families[family].checked && !(emulating && family == "focus"))
+					evt_msg(e);
+			});
+		}
+	}
+	div.addEventListener("beforeinput", e => {
+		const fired = policy.resolve(e.inputType, case_index(div), regex_policy);
+		if (fired.policy != "allow")
+			e.preventDefault();
+		const ranges = e.getTargetRanges ? e.getTargetRanges() : [];
+		mutations.start(ranges);
+		if (highlight.checked)
+			highlighter.show(ranges.map(live_range));
+		const entry = event_entry(e, fired);
+		if (fired.policy == "emulate")
+			entry.emulated = emulate(div, e);
+		record(entry);
+	});
+	div.addEventListener("input", e => {
+		const entry = event_entry(e);
+		// form control values are not part of the DOM
+		if (!is_form_control(div))
+			entry.mutations = mutations.summary();
+		const check = mutations.check_ranges();
+		if (check){
+			const markup = (range) => {
+				const pre = document.createElement("pre");
+				serialize(div, pre, range ? [range] : null, serialize_opts);
+				return pre.innerHTML;
+			};
+			entry.range_check = {
+				match: check.match,
+				expected: markup(check.expected),
+				actual: check.actual ? markup(check.actual) : null
+			};
+		}
+		mutations.start();
+		// ranges follow the edit, but their layout has changed
+		highlighter.refresh();
+		record(entry);
+	});
+}
+
+/* Replace test cases with those from a CaseCatalog; remap: see case_editor. The recorded session
+	refers to test cases by index, so a new one is started
+*/
+function render_cases(cat, remap){
+	if (replay)
+		replay_stop();
+	catalog = cat;
+	policy.remap(remap);
+	highlighter.clear();
+	for (const div of divs){
+		mutation_logs.get(div).disconnect();
+		mutation_logs.delete(div);
+		expectations.delete(div);
+		churns.delete(div);
+		// serialization and badges
+		div.nextElementSibling.nextElementSibling.remove();
+		div.nextElementSibling.remove();
+		div.remove();
+	}
+	divs = cat.cases.map(case_element);
+	cases.append(...divs);
+	divs.forEach(setup_case);
+	update_scopes(divs.length);
+	update_injection();
+	case_options(filters.case_idx, divs.length, [new Option("any", ""), new Option("outside test cases", -1)]);
+	session_reset();
+}
+
+// Run scripted scenarios in order; see scenario.js
+async function run_scenarios(list){
+	const tester = {cases: divs, session, reset: reset_case};
+	const out = [];
+	scripted = true;
+	try{
+		for (const scenario of list)
+			out.push(await run_scenario(scenario, tester));
+	} finally{
+		scripted = false;
+	}
+	return out;
+}
+// Restore a test case's content, from the catalog if html is null
+function reset_case(idx, html){
+	const div = divs[idx];
+	set_case_content(div, html ?? catalog.cases[idx].html);
+	trim_whitespace(div);
+	churns.get(div).reset();
+	serialize_current(div);
+}
+
+// Copy a link with the current test cases and settings, and show it in the address bar
+async function copy_permalink(){
+	const policies = policy.toJSON();
+	const url = encode_permalink({
+		cancel: cancel.checked,
+		regex: regex.value,
+		freeze: freeze.checked,
+		limit: limit.valueAsNumber,
+		// omit defaults, to keep the link short
+		cases: JSON.stringify(catalog.cases) === JSON.stringify(defaults.cases) ? null : catalog.cases,
+		policy: Object.keys(policies.global).length || Object.keys(policies.cases).length ? policies : null
+	});
+	history.replaceState(null, "", url);
+	try{
+		await navigator.clipboard.writeText(url);
+	} catch(err){
+		prompt("Copy permalink:", url);
+	}
+}
+
+// Checkboxes for the attributes and properties shown in serializations
+function attrs_options(container){
+	const boxes = [];
+	for (const name in HTMLSerialize.ATTRS){
+		const label = document.createElement("label");
+		const box = document.createElement("input");
+		box.type = "checkbox";
+		box.value = name;
+		box.checked = serialize_opts.attrs.includes(name);
+		boxes.push(box);
+		label.append(box, ` ${HTMLSerialize.PROPERTIES.has(name) ? `[${name}]` : name}`);
+		container.append(label);
+	}
+	container.addEventListener("change", () => {
+		serialize_opts.attrs = boxes.filter(b => b.checked).map(b => b.value);
+		reserialize();
+	});
+}
+// Serialize the test cases again after serialize_opts changed
+function reserialize(){
+	// replay shows the recorded serializations
+	if (!replay)
+		divs.forEach(serialize_current);
+}
+
 // trim whitespace/textnodes from start/end of element
 function trim_whitespace(el) {
 	const f = el.firstChild,
 		l = el.lastChild;
+	if (!f)
+		return;
 	if (f.nodeType == Node.TEXT_NODE) {
 		let d = f.data.trimStart();
 		if (d) f.data = d;
@@ -63,14 +399,129 @@ function trim_whitespace(el) {
 	}
 }
 
-// Create a message for event and log it
-function evt_msg(e, cancel_attempted){
-	let etype = e.type;
+// index of a test case div
+function case_index(div){
+	return Array.prototype.indexOf.call(divs, div);
+}
+
+// Policy from the cancel checkbox and inputType regex, for inputTypes with no policy set
+function regex_policy(inputType){
+	return cancel.checked && (new RegExp(regex.value)).test(inputType) ? "cancel" : "allow";
+}
+
+// Record an event and log it
+function evt_msg(e, fired){
+	record(event_entry(e, fired));
+}
+function record(entry){
+	const violated = checker.check(entry);
+	if (violated.length)
+		entry.violations = violated.map(r => r.id);
+	// correlate beforeinput with the event that triggered it
+	if (entry.type in TRIGGERS)
+		trigger = {index: session.length, entry};
+	else if (entry.type == "keyup")
+		trigger = null;
+	else if (entry.type == "beforeinput" && trigger && trigger.entry.case == entry.case){
+		const inputTypes = TRIGGERS[trigger.entry.type];
+		if (!inputTypes || inputTypes.includes(entry.inputType)){
+			entry.trigger = {index: trigger.index, type: trigger.entry.type};
+			if ("key" in trigger.entry)
+				entry.trigger.key = trigger.entry.key;
+		}
+	}
+	const div = divs[entry.case];
+	if (div)
+		expectations.get(div).check(entry);
+	session.add(entry);
+	session_count.textContent = session.length;
+	timeline.add(entry);
+	log(entry);
+}
+
+/* Structured, JSON serializable record of an event; see Session
+	fired: for beforeinput, the {policy, scope} from CancelPolicy.resolve that was used
+*/
+function event_entry(e, fired = null){
+	// selectionchange targets the document, so use whichever test case has focus; other events
+	// may target a descendant (e.g. drop), so use the test case the listener is on
+	const div = e.type == "selectionchange" ? document.activeElement : e.currentTarget;
+	const entry = {
+		type: e.type,
+		case: case_index(div)
+	};
+	if (!e.isTrusted)
+		entry.synthetic = true;
+	if (scripted)
+		entry.scripted = true;
 	if (e.inputType)
-		etype += "." + e.inputType;
+		entry.inputType = e.inputType;
+	// clipboard events give a DataTransfer as clipboardData
+	const dt = e.dataTransfer || e.clipboardData;
+	if (dt instanceof DataTransfer)
+		entry.dataTransfer = inspect_data_transfer(dt);
+	if (e instanceof KeyboardEvent){
+		entry.key = e.key;
+		entry.code = e.code;
+		entry.keyCode = e.keyCode;
+		entry.repeat = e.repeat;
+	}
+	if (typeof e.data !== "undefined")
+		entry.data = e.data;
+	if (typeof e.isComposing === "boolean")
+		entry.isComposing = e.isComposing;
+	entry.defaultPrevented = e.defaultPrevented;
+	entry.cancel_attempted = !!fired && fired.policy != "allow";
+	if (fired)
+		entry.policy = fired;
+	entry.cancelable = e.cancelable;
+	entry.timeStamp = e.timeStamp;
+	if (entry.case != -1){
+		if (e.getTargetRanges){
+			let ranges = e.getTargetRanges();
+			if (ranges.length){
+				let pre = document.createElement("pre");
+				serialize(div, pre, ranges, serialize_opts);
+				entry.ranges = pre.innerHTML;
+			}
+		}
+		entry.selection = serialize_current(div).innerHTML;
+		const churn = churns.get(div).last;
+		if (churn && (churn.created.length || churn.removed.length))
+			entry.churn = churn;
+		entry.html = case_content(div);
+	}
+	return entry;
+}
+
+// Create a log message for an event entry
+function entry_msg(entry){
+	let etype = entry.type;
+	if (entry.inputType)
+		etype += "." + entry.inputType;
+	if (entry.synthetic)
+		etype += " (synthetic)";
 	let root = document.createElement("div");
+	if (entry.type == "selectionchange"){
+		root.innerHTML = `<b>${etype}</b>`;
+		return root;
+	}
 	root.innerHTML = `<b>${etype}:</b><ul></ul>`;
 	let list = root.lastElementChild;
+	if (entry.violations){
+		root.classList.add("violation");
+		const li = document.createElement("li");
+		li.className = "violation";
+		li.textContent = "violates: ";
+		for (const id of entry.violations){
+			const rule = RULES.find(r => r.id == id);
+			const span = document.createElement("span");
+			span.textContent = id + " ";
+			span.title = rule ? rule.description : "";
+			li.appendChild(span);
+		}
+		list.appendChild(li);
+	}
 	const attr = (k, v) => {
 		let li = document.createElement("li");
 		li.textContent = `${k}: `;
@@ -79,46 +530,329 @@ function evt_msg(e, cancel_attempted){
 		else li.textContent += JSON.stringify(v);
 		list.appendChild(li);
 	};
-	if (e.dataTransfer instanceof DataTransfer) {
-		attr('text/plain', e.dataTransfer.getData("text/plain"));
-		attr('text/html', e.dataTransfer.getData("text/html"));
+	// serialization markup -> pre element
+	const pre = (markup) => {
+		let el = document.createElement("pre");
+		el.innerHTML = markup;
+		return el;
+	};
+	if (entry.dataTransfer)
+		attr('dataTransfer', data_transfer_msg(entry.dataTransfer, pre));
+	if ("key" in entry){
+		attr('key', entry.key);
+		attr('code', entry.code);
+		attr('keyCode', entry.keyCode);
+		if (entry.repeat)
+			attr('repeat', entry.repeat);
 	}
-	if (typeof e.data !== "undefined")
-		attr('data', e.data);
-	if (typeof e.isComposing === "boolean")
-		attr('isComposing', e.isComposing);
-	attr('defaultPrevented', [e.defaultPrevented, cancel_attempted ? "attempted" : "not attempted"]);
-	attr('cancelable', e.cancelable);
-	attr('timeStamp', e.timeStamp);
-	if (e.getTargetRanges){
-		let ranges = e.getTargetRanges();
-		if (ranges.length){
-			let pre = document.createElement("pre");
-			serialize(e.target, pre, ranges);
-			attr('ranges', pre);
+	if (entry.trigger){
+		const t = entry.trigger;
+		const span = document.createElement("span");
+		span.textContent = `${t.type}${"key" in t ? ` ${JSON.stringify(t.key)}` : ""} (event #${t.index})`;
+		attr('triggered by', span);
+	}
+	if ("data" in entry)
+		attr('data', entry.data);
+	if ("isComposing" in entry)
+		attr('isComposing', entry.isComposing);
+	attr('defaultPrevented', [entry.defaultPrevented, entry.cancel_attempted ? "attempted" : "not attempted"]);
+	if (entry.policy)
+		attr('policy', `${entry.policy.policy} (${entry.policy.scope})`);
+	if ("mutations" in entry)
+		attr('mutations', mutations_msg(entry.mutations));
+	if (entry.churn && log_churn.checked){
+		const {created, removed} = entry.churn;
+		const span = document.createElement("span");
+		span.textContent = `${created.length} created, ${removed.length} removed`;
+		span.title = `created: ${created.join(" ") || "none"}\nremoved: ${removed.join(" ") || "none"}`;
+		attr('node churn', span);
+	}
+	if (entry.range_check){
+		const rc = entry.range_check;
+		if (rc.match)
+			attr('target ranges match mutations', true);
+		else if (rc.match === null)
+			attr('target ranges', "DOM unchanged");
+		else{
+			const span = document.createElement("span");
+			span.append("target ranges ", pre(rc.expected), " mutated ", pre(rc.actual));
+			attr('target ranges mismatch', span);
+			list.lastElementChild.className = "mismatch";
+			root.classList.add("mismatch");
+		}
+	}
+	if (entry.emulated){
+		const em = entry.emulated;
+		attr('emulated', em.applied ? pre(em.result) : "inputType not supported");
+		if ("native" in em){
+			attr('native', em.native === null ? "no equivalent execCommand" : pre(em.native));
+			if (em.applied && em.native !== null)
+				attr('matches native', em.match);
+		}
+	}
+	attr('cancelable', entry.cancelable);
+	attr('timeStamp', entry.timeStamp);
+	if (entry.ranges)
+		attr('ranges', pre(entry.ranges));
+	if ("selection" in entry)
+		attr('selection', pre(entry.selection));
+	return root;
+}
+
+/* Cancel and emulate: apply a cancelled beforeinput's edit ourselves from its target ranges and
+	data; optionally, the browser's native edit is run on a hidden clone to compare against
+	returns {applied, result, native, match}, where result/native are serialization markup
+*/
+function emulate(div, e){
+	// ranges are read before modifying the DOM
+	const edit = {inputType: e.inputType, data: e.data, dataTransfer: e.dataTransfer, ranges: target_ranges(e, div)};
+	const out = {};
+	// no execCommand equivalent to compare with for form controls
+	if (is_form_control(div)){
+		out.applied = apply_value_edit(edit, div);
+		out.result = serialize_current(div).innerHTML;
+		return out;
+	}
+	let native_html = null;
+	emulating = true;
+	try{
+		if (compare_native.checked){
+			const clone = div.cloneNode(true);
+			clone.style.width = `${div.clientWidth}px`;
+			native_clone.replaceChildren(clone);
+			out.native = null;
+			if (native_edit(edit, div, clone)){
+				native_html = clone.innerHTML;
+				const pre = document.createElement("pre");
+				serialize(clone, pre, window.getSelection(), serialize_opts);
+				out.native = pre.innerHTML;
+			}
+			HTMLSerialize.counter.delete(clone);
+			native_clone.replaceChildren();
 		}
+		const sel = window.getSelection();
+		const caret = apply_edit(edit, div);
+		out.applied = !!caret;
+		sel.removeAllRanges();
+		if (caret || edit.ranges.length)
+			sel.addRange(caret || edit.ranges[0]);
+		div.focus({preventScroll: true});
+	} finally{
+		emulating = false;
 	}
-	attr('selection', serialize_current(e.target).cloneNode(true));
-	log(root);
+	out.result = serialize_current(div).innerHTML;
+	if (out.applied && native_html !== null)
+		out.match = native_html === div.innerHTML;
+	return out;
+}
+
+// Log message for a MutationLog summary
+function mutations_msg(summary){
+	if (!summary)
+		return "none";
+	const list = document.createElement("ul");
+	const item = (txt) => {
+		const li = document.createElement("li");
+		li.textContent = txt;
+		list.appendChild(li);
+	};
+	for (const k of ["added", "removed", "moved"])
+		if (summary[k].length)
+			item(`${k}: ${summary[k].join(" ")}`);
+	for (const t of summary.text)
+		item(`text ${t.node}: ${JSON.stringify(t.original)} → ${JSON.stringify(t.mutated)}`);
+	for (const a of summary.attributes)
+		item(`attribute ${a.node} ${a.name}: ${JSON.stringify(a.original)} → ${JSON.stringify(a.mutated)}`);
+	return list;
 }
 
-// serialize div as it currently is
+// Log message for an inspect_data_transfer snapshot; pre converts serialization markup to an element
+function data_transfer_msg(dt, pre){
+	const list = document.createElement("ul");
+	const item = (k, v) => {
+		const li = document.createElement("li");
+		li.textContent = `${k}: `;
+		if (v?.nodeType == Node.ELEMENT_NODE)
+			li.appendChild(v);
+		else li.textContent += JSON.stringify(v);
+		list.appendChild(li);
+	};
+	item('types', dt.types);
+	for (const type in dt.data)
+		item(`getData(${JSON.stringify(type)})`, type == "text/html" && dt.html ? pre(dt.html) : dt.data[type]);
+	for (const [i, it] of dt.items.entries())
+		item(`items[${i}]`, `${it.kind} ${it.type}`);
+	for (const [i, f] of dt.files.entries())
+		item(`files[${i}]`, `${f.name} (${f.size} bytes, ${f.type || "unknown type"})`);
+	item('dropEffect', dt.dropEffect);
+	item('effectAllowed', dt.effectAllowed);
+	return list;
+}
+
+// serialize div as it currently is, marking node churn since the last time
 function serialize_current(div){
 	const target = div.nextElementSibling;
-	serialize(div, target, window.getSelection());
+	serialize(div, target, window.getSelection(), serialize_opts);
+	churns.get(div).update(target, case_content(div));
 	return target;
 }
 
-// Keep a log of last N events, in reverse temporal order
-function log(html) {
-	if (freeze.checked)
+// Test case content: value for form controls, otherwise innerHTML
+function case_content(div){
+	return is_form_control(div) ? div.value : div.innerHTML;
+}
+function set_case_content(div, content){
+	if (is_form_control(div))
+		div.value = content;
+	else div.innerHTML = content;
+}
+// Toggle editing of a test case, e.g. during replay
+function set_editable(div, editable){
+	if (is_form_control(div))
+		div.readOnly = !editable;
+	// keep plaintext-only when editing is restored
+	else if (!editable){
+		div.dataset.editable = div.getAttribute("contenteditable");
+		div.setAttribute("contenteditable", "false");
+	}
+	else{
+		div.setAttribute("contenteditable", div.dataset.editable || "true");
+		delete div.dataset.editable;
+	}
+}
+
+/* Keep a log of last N events, in reverse temporal order; the events of a composition are
+	collapsed into a CompositionGroup, which counts once toward the limit
+	force: log even if the log is frozen or replaying
+*/
+function log(entry, force = false) {
+	if (!force && (freeze.checked || replay))
+		return;
+	// hidden entries don't count toward the limit
+	if (!shown(entry))
 		return;
-	if (typeof html === "string"){
-		const cont = document.createElement("div");
-		cont.innerHTML = html;
-		html = cont;
+	const msg = entry_msg(entry);
+	// group was pushed out of the log, or the log was cleared
+	if (composition && !composition.root.isConnected)
+		composition = null;
+	if (entry.type == "compositionstart"){
+		composition = new CompositionGroup(entry);
+		output.prepend(composition.root);
 	}
-	output.prepend(html);
+	if (composition?.accepts(entry)){
+		composition.add(entry, msg);
+		if (composition.ended)
+			composition = null;
+	}
+	else output.prepend(msg);
 	while (output.children.length > limit.valueAsNumber)
 		output.lastElementChild.remove();
+}
+
+// Rebuild the log from the recorded entries, e.g. after the filter changes; a frozen log is kept,
+// unless replaying. Only the entries of the newest `limit` messages are logged
+function relog(){
+	if (freeze.checked && !replay)
+		return;
+	output.replaceChildren();
+	const end = replay ? replay.step+1 : session.entries.length;
+	const entries = replay ? replay.session.entries : session.entries;
+	for (let i = log_start(entries, end); i < end; i++)
+		log(entries[i], true);
+}
+/* Index of the first entry to log, so that entries[start:end] fill the log; mirrors log()'s
+	grouping, so that a composition is logged from its compositionstart
+*/
+function log_start(entries, end){
+	// index of each entry that starts a log message; grouping needs a forward pass
+	const starts = [];
+	let group = null; // case of the open composition
+	for (let i = 0; i < end; i++){
+		const entry = entries[i];
+		if (!shown(entry))
+			continue;
+		if (entry.type == "compositionstart"){
+			group = entry.case;
+			starts.push(i);
+		}
+		else if (group !== null && entry.case == group){
+			if (entry.type == "compositionend")
+				group = null;
+		}
+		else starts.push(i);
+	}
+	return starts.length > limit.valueAsNumber ? starts[starts.length - limit.valueAsNumber] : 0;
+}
+function update_filter(){
+	const opts = {};
+	for (const name in filters)
+		opts[name] = filters[name].value;
+	shown = entry_filter(opts);
+	relog();
+}
+
+// Start a new recording, from the current state of the test cases
+function session_reset(){
+	session = new Session(Array.from(divs, case_content));
+	checker.reset();
+	for (const expected of expectations.values())
+		expected.reset();
+	timeline.clear();
+	trigger = null;
+	session_count.textContent = 0;
+}
+
+/* Replay an imported session; test cases are swapped with the recorded DOM for each step,
+	and the log shows entries up to the current step
+*/
+function replay_start(imported){
+	if (replay)
+		replay_stop();
+	replay = {
+		session: imported,
+		step: -1,
+		// restore these once replay is finished
+		cases: Array.from(divs, case_content)
+	};
+	divs.forEach((div, i) => {
+		set_editable(div, false);
+		if (i < imported.cases.length)
+			set_case_content(div, imported.cases[i]);
+		serialize(div, div.nextElementSibling, null, serialize_opts);
+	});
+	output.replaceChildren();
+	timeline.clear();
+	imported.entries.forEach(entry => timeline.add(entry));
+	document.getElementById("replay").hidden = false;
+	document.getElementById("replay_agent").textContent = imported.user_agent;
+	replay_step(1);
+}
+function replay_step(delta){
+	const entries = replay.session.entries;
+	const step = Math.max(0, Math.min(entries.length-1, replay.step + delta));
+	if (step === replay.step || !entries.length)
+		return;
+	replay.step = step;
+	document.getElementById("replay_step").textContent = `${step+1}/${entries.length}`;
+	// DOM state after this event
+	const entry = entries[step];
+	const div = divs[entry.case];
+	if (div && "html" in entry){
+		set_case_content(div, entry.html);
+		div.nextElementSibling.innerHTML = entry.selection;
+	}
+	relog();
+}
+function replay_stop(){
+	divs.forEach((div, i) => {
+		set_case_content(div, replay.cases[i]);
+		set_editable(div, true);
+		churns.get(div).reset();
+		serialize_current(div);
+	});
+	replay = null;
+	output.replaceChildren();
+	timeline.clear();
+	session.entries.forEach(entry => timeline.add(entry));
+	document.getElementById("replay").hidden = true;
 }
\ No newline at end of file
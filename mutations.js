@@ -0,0 +1,133 @@
+import { MutationDiff } from "./enhanced_inputevents/mutation_diff.js";
+import { MutatedRange } from "./enhanced_inputevents/mutated_range.js";
+import { HTMLSerialize } from "./serialize.js";
+
+const OBSERVE = {
+	subtree: true,
+	childList: true,
+	attributes: true,
+	attributeOldValue: true,
+	characterData: true,
+	characterDataOldValue: true
+};
+
+/** Observes DOM mutations of a test case, so that the changes made by an input event can be
+ * 	grouped. Call `start()` on `beforeinput`, and then `summary()` and `check_ranges()` on
+ * 	`input` to get the net change in between.
+ */
+export class MutationLog{
+	/**
+	 * @param {Element} root element to observe
+	 */
+	constructor(root){
+		this.root = root;
+		this.diff = new MutationDiff();
+		this.observer = new MutationObserver(this.record.bind(this));
+		this.observer.observe(root, OBSERVE);
+		// target ranges of the last beforeinput, expanded to whole nodes; see start()
+		this.expected = null;
+	}
+	record(records){
+		for (const r of records)
+			this.diff.record(r);
+	}
+	/** Stop observing, e.g. when the test case is removed */
+	disconnect(){
+		this.observer.disconnect();
+	}
+	/** Force pending records to be tracked */
+	flush(){
+		this.record(this.observer.takeRecords());
+	}
+	/** Start a new group of mutations, discarding any tracked so far
+	 * @param {[StaticRange]} ranges target ranges the browser reported for the edit
+	 */
+	start(ranges = []){
+		this.flush();
+		this.diff.clear();
+		this.expected = null;
+		if (!ranges.length)
+			return;
+		/* Mutations are tracked per node, so boundaries inside text are expanded to enclose the
+			text node. The bounds are anchored on nodes outside of the range, as in MutatedRange; a
+			live Range would leave out nodes inserted at its boundaries, or collapse when the
+			nodes inside it are replaced
+		*/
+		const first = ranges[0], last = ranges[ranges.length-1];
+		let sc = first.startContainer, so = first.startOffset,
+			ec = last.endContainer, eo = last.endOffset;
+		if (sc.nodeType == Node.TEXT_NODE){
+			so = Array.prototype.indexOf.call(sc.parentNode.childNodes, sc);
+			sc = sc.parentNode;
+		}
+		if (ec.nodeType == Node.TEXT_NODE){
+			eo = Array.prototype.indexOf.call(ec.parentNode.childNodes, ec) + 1;
+			ec = ec.parentNode;
+		}
+		const r = new MutatedRange();
+		if (so)
+			r.setStart(sc.childNodes[so-1], true);
+		else r.setStart(sc, false);
+		if (eo < ec.childNodes.length)
+			r.setEnd(ec.childNodes[eo], true);
+		else r.setEnd(ec, false);
+		this.expected = r;
+	}
+	/** Label for a node, with the id used by HTMLSerialize; e.g. `<b>3` or `#4` for text */
+	label(node){
+		const id = HTMLSerialize.assign_id(this.root, node);
+		if (node.nodeType == Node.ELEMENT_NODE)
+			return `<${node.tagName.toLowerCase()}>${id}`;
+		return `#${id}`;
+	}
+	/** Summarize mutations since `start()`. Serialize the root beforehand, so that node ids
+	 * 	are assigned in DOM order; removed nodes will get new ids here.
+	 * @returns {{added, removed, moved, text, attributes} | null} null if the DOM was not
+	 * 	changed; otherwise, `added`, `removed` and `moved` are lists of node labels, `text` is a
+	 * 	list of `{node, original, mutated}` and `attributes` of `{node, name, original, mutated}`
+	 */
+	summary(){
+		this.flush();
+		if (!this.diff.mutated(this.root))
+			return null;
+		const out = {added: [], removed: [], moved: [], text: [], attributes: []};
+		for (const [node, d] of this.diff.diff()){
+			const label = this.label(node);
+			if (d.children){
+				const {original, mutated} = d.children;
+				if (!original)
+					out.added.push(label);
+				else if (!mutated)
+					out.removed.push(label);
+				else out.moved.push(label);
+			}
+			if (d.data)
+				out.text.push({node: label, ...d.data});
+			for (const name in d.attribute || {})
+				out.attributes.push({node: label, name, ...d.attribute[name]});
+		}
+		return out;
+	}
+	/** Check whether the DOM changes since `start()` fall inside the target ranges that were
+	 * 	given to it; call prior to starting a new group
+	 * @returns {{match: Boolean | null, expected: Range | null, actual: Range | null} | null} null
+	 * 	if no target ranges were given; `expected` is the target ranges expanded to whole nodes, or
+	 * 	null if a node it was anchored on was removed, which is a mismatch; `actual` is the extent
+	 * 	of the mutations from `MutationDiff.range()`. If nothing changed, `actual` and `match` are
+	 * 	null, e.g. for a canceled edit; that is neither a match nor a mismatch
+	 */
+	check_ranges(){
+		if (!this.expected)
+			return null;
+		this.flush();
+		const mutated = this.diff.range(this.root);
+		const actual = mutated ? mutated.toRange() : null;
+		const {start, end} = this.expected;
+		const anchored = this.root.contains(start.node) && this.root.contains(end.node);
+		const expected = anchored ? this.expected.toRange() : null;
+		const match = actual && !!expected &&
+			expected.compareBoundaryPoints(Range.START_TO_START, actual) <= 0 &&
+			expected.compareBoundaryPoints(Range.END_TO_END, actual) >= 0;
+		return {match, expected, actual};
+	}
+}
\ No newline at end of file
@@ -0,0 +1,109 @@
+import { POLICIES, INPUT_TYPES } from "./policy.js";
+
+/** Shareable links that encode the tester setup in the URL hash, e.g. for linking an exact
+ * 	reproduction from a w3c/input-events issue. The hash is in query string format:
+ * 	- `cancel`, `freeze`: "1" if the checkbox is checked
+ * 	- `regex`: inputType regex
+ * 	- `limit`: log limit
+ * 	- `cases`: test cases (see CaseCatalog), as base64url encoded JSON; omitted for the defaults
+ * 	- `policy`: cancellation policies (see CancelPolicy.toJSON), as base64url encoded JSON
+ */
+
+/** Encode a value as base64url JSON; unicode safe */
+function encode_json(value){
+	const bytes = new TextEncoder().encode(JSON.stringify(value));
+	let bin = "";
+	for (const b of bytes)
+		bin += String.fromCharCode(b);
+	return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+/** Decode output of `encode_json` */
+function decode_json(str){
+	const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+	const bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
+	return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/** Create a permalink for the current page
+ * @param {Object} state tester setup: `{cancel, freeze, regex, limit, cases, policy}`; `cases`
+ * 	and `policy` are optional
+ * @returns {String} absolute URL
+ */
+export function encode_permalink(state){
+	const params = new URLSearchParams();
+	params.set("cancel", state.cancel ? 1 : 0);
+	params.set("regex", state.regex);
+	params.set("freeze", state.freeze ? 1 : 0);
+	params.set("limit", state.limit);
+	if (state.cases)
+		params.set("cases", encode_json(state.cases));
+	if (state.policy)
+		params.set("policy", encode_json(state.policy));
+	const url = new URL(location.href);
+	url.hash = params.toString();
+	return url.href;
+}
+
+/** Read tester setup from a URL hash
+ * @param {String} hash e.g. `location.hash`
+ * @returns {Object | null} null if the hash is not a permalink; otherwise the state as given to
+ * 	`encode_permalink`, only including the keys present in the hash with valid values
+ */
+export function decode_permalink(hash){
+	const params = new URLSearchParams(hash.replace(/^#/, ""));
+	if (!params.has("regex"))
+		return null;
+	const state = {};
+	for (const k of ["cancel", "freeze"])
+		if (params.has(k))
+			state[k] = params.get(k) === "1";
+	state.regex = params.get("regex");
+	// invalid values are left out, so the defaults are used
+	for (const k in DECODE){
+		if (!params.has(k))
+			continue;
+		try{
+			state[k] = DECODE[k](params.get(k));
+		} catch(err){
+			console.error("invalid permalink:", err);
+		}
+	}
+	return state;
+}
+
+/** Check that policies decoded from a permalink only have known inputTypes and policy names
+ * @param {Object} json see `CancelPolicy.toJSON()`
+ * @returns json
+ * @throws if not
+ */
+function check_policy(json){
+	const check = (m) => {
+		if (typeof m !== "object" || m === null)
+			throw Error("policies are not an object");
+		for (const [inputType, p] of Object.entries(m)){
+			if (!INPUT_TYPES.includes(inputType))
+				throw Error(`unknown inputType ${inputType}`);
+			if (!Object.hasOwn(POLICIES, p))
+				throw Error(`unknown policy ${p}`);
+		}
+	};
+	check(json.global ?? {});
+	for (const [idx, m] of Object.entries(json.cases ?? {})){
+		if (!/^\d+$/.test(idx))
+			throw Error(`invalid test case index ${idx}`);
+		check(m);
+	}
+	return json;
+}
+
+// hash key => fn(value) to decode it, throwing if invalid
+const DECODE = {
+	limit: (str) => {
+		const limit = +str;
+		if (!Number.isInteger(limit) || limit < 1)
+			throw Error(`limit is not a positive integer: ${str}`);
+		return limit;
+	},
+	cases: decode_json,
+	policy: (str) => check_policy(decode_json(str))
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+import { case_options } from "./cases.js";
+
+/** Per-inputType policy for what the tester does with a `beforeinput` event. Policies can be
+ * 	set for all test cases, and optionally overridden for individual test cases.
+ */
+
+// inputTypes from the Input Events Level 2 spec
+export const INPUT_TYPES = [
+	"insertText", "insertReplacementText", "insertLineBreak", "insertParagraph",
+	"insertOrderedList", "insertUnorderedList", "insertHorizontalRule", "insertFromYank",
+	"insertFromDrop", "insertFromPaste", "insertFromPasteAsQuotation", "insertTranspose",
+	"insertCompositionText", "insertFromComposition", "insertLink",
+	"deleteCompositionText", "deleteWordBackward", "deleteWordForward", "deleteSoftLineBackward",
+	"deleteSoftLineForward", "deleteEntireSoftLine", "deleteHardLineBackward",
+	"deleteHardLineForward", "deleteByDrag", "deleteByCut", "deleteContent",
+	"deleteContentBackward", "deleteContentForward",
+	"historyUndo", "historyRedo",
+	"formatBold", "formatItalic", "formatUnderline", "formatStrikeThrough", "formatSuperscript",
+	"formatSubscript", "formatJustifyFull", "formatJustifyCenter", "formatJustifyRight",
+	"formatJustifyLeft", "formatIndent", "formatOutdent", "formatRemove",
+	"formatSetBlockTextDirection", "formatSetInlineTextDirection", "formatBackColor",
+	"formatFontColor", "formatFontName"
+];
+/* Policy values:
+	- default: fall through to the next scope; for all test cases, this means use the
+		`Cancel beforeinput` checkbox and inputType regex
+	- allow: let the browser handle the event
+	- cancel: preventDefault
+	- emulate: preventDefault, and then apply the edit ourselves from the event's target ranges and data
+*/
+export const POLICIES = {
+	default: "default",
+	allow: "allow",
+	cancel: "cancel",
+	emulate: "cancel & apply"
+};
+
+export class CancelPolicy{
+	constructor(){
+		// inputType => policy, for all test cases
+		this.global = new Map();
+		// test case index => Map(inputType => policy)
+		this.cases = new Map();
+	}
+	/** Get the policy set for a scope
+	 * @param {String} inputType
+	 * @param {Number | null} case_idx test case index, or null for the all test cases scope
+	 */
+	get(inputType, case_idx = null){
+		const m = case_idx === null ? this.global : this.cases.get(case_idx);
+		return m?.get(inputType) || "default";
+	}
+	/** Set the policy for a scope; see `get()` for arguments */
+	set(inputType, policy, case_idx = null){
+		let m = this.global;
+		if (case_idx !== null){
+			m = this.cases.get(case_idx);
+			if (!m){
+				m = new Map();
+				this.cases.set(case_idx, m);
+			}
+		}
+		if (policy == "default")
+			m.delete(inputType);
+		else m.set(inputType, policy);
+	}
+	/** Move per test case policies after test cases were added or removed
+	 * @param {Function | null} remap `fn(old index)` returning the new index, or null if the
+	 * 	test case was removed; null clears all per test case policies
+	 */
+	remap(remap){
+		const cases = new Map();
+		for (const [idx, m] of remap ? this.cases : []){
+			const to = remap(idx);
+			if (to !== null)
+				cases.set(to, m);
+		}
+		this.cases = cases;
+	}
+	/** Determine which policy applies to an event
+	 * @param {String} inputType event's inputType
+	 * @param {Number} case_idx index of test case the event was fired in
+	 * @param {Function} fallback `fn(inputType)` returning the policy to use when no scope sets one
+	 * @returns {{policy: String, scope: String}} the policy, and which scope it came from: "case",
+	 * 	"global", or "regex" for the fallback
+	 */
+	resolve(inputType, case_idx, fallback){
+		let policy = this.get(inputType, case_idx);
+		if (policy != "default")
+			return {policy, scope: "case"};
+		policy = this.get(inputType);
+		if (policy != "default")
+			return {policy, scope: "global"};
+		return {policy: fallback(inputType), scope: "regex"};
+	}
+	/** Plain object, e.g. for JSON; policies are only stored when not "default" */
+	toJSON(){
+		const cases = {};
+		for (const [idx, m] of this.cases)
+			if (m.size)
+				cases[idx] = Object.fromEntries(m);
+		return {global: Object.fromEntries(this.global), cases};
+	}
+	/** Load policies from the output of `toJSON()`, replacing any current ones */
+	load(json){
+		this.global = new Map(Object.entries(json.global || {}));
+		this.cases = new Map();
+		for (const idx in json.cases || {})
+			this.cases.set(+idx, new Map(Object.entries(json.cases[idx])));
+	}
+}
+
+/** Render an editable policy table
+ * @param {CancelPolicy} policy policies to edit
+ * @param {HTMLSelectElement} scope_el select for which scope to edit; options are filled in
+ * @param {HTMLTableElement} table_el table to render into
+ * @param {Number} case_count number of test cases
+ * @returns {Function} `fn(case_count)` to update the scopes when test cases are added or removed
+ */
+export function policy_table(policy, scope_el, table_el, case_count){
+	const scope = () => scope_el.value === "" ? null : +scope_el.value;
+
+	const body = table_el.tBodies[0] || table_el.createTBody();
+	const selects = [];
+	body.replaceChildren();
+	for (const inputType of INPUT_TYPES){
+		const row = body.insertRow();
+		row.insertCell().textContent = inputType;
+		const sel = document.createElement("select");
+		for (const p in POLICIES)
+			sel.add(new Option(POLICIES[p], p));
+		sel.addEventListener("change", () => {
+			policy.set(inputType, sel.value, scope());
+			refresh();
+		});
+		row.insertCell().appendChild(sel);
+		selects.push(sel);
+	}
+	// sync selects with the policies for current scope
+	function refresh(){
+		const s = scope();
+		INPUT_TYPES.forEach((inputType, i) => {
+			const sel = selects[i];
+			sel.value = policy.get(inputType, s);
+			sel.parentNode.parentNode.classList.toggle("policy_set", sel.value != "default");
+		});
+	}
+	// fill in scope options
+	function scopes(count){
+		case_options(scope_el, count, [new Option("All test cases", "")]);
+		refresh();
+	}
+	scope_el.addEventListener("change", refresh);
+	scopes(case_count);
+	return scopes;
+}
\ No newline at end of file
@@ -0,0 +1,108 @@
+/** Browser support report, as markdown that can be pasted into a GitHub issue. Combines feature
+ * 	detection in the current browser with the inputTypes seen in a recorded session.
+ */
+
+// feature => detection
+export const FEATURES = {
+	"`beforeinput` event": () => "onbeforeinput" in HTMLElement.prototype,
+	"`InputEvent.prototype.inputType`": () => "inputType" in InputEvent.prototype,
+	"`InputEvent.prototype.dataTransfer`": () => "dataTransfer" in InputEvent.prototype,
+	"`InputEvent.prototype.isComposing`": () => "isComposing" in InputEvent.prototype,
+	"`InputEvent.prototype.getTargetRanges`": () => "getTargetRanges" in InputEvent.prototype,
+	"`Selection.prototype.getComposedRanges`": () => "getComposedRanges" in Selection.prototype
+};
+
+/** Run feature detection
+ * @returns {[{feature: String, supported: Boolean}]}
+ */
+export function detect_features(){
+	return Object.entries(FEATURES).map(([feature, test]) => {
+		let supported;
+		try{
+			supported = !!test();
+		} catch(err){
+			supported = false;
+		}
+		return {feature, supported};
+	});
+}
+
+/** Summarize the beforeinput events of a session per test case and inputType
+ * @param {Session} session
+ * @returns {Map} test case index => Map(inputType => {count, cancelable, ranges}), where
+ * 	`cancelable` and `ranges` count the events that were cancelable and had target ranges
+ */
+export function summarize_session(session){
+	const cases = new Map();
+	for (const e of session.entries){
+		if (e.type != "beforeinput")
+			continue;
+		let types = cases.get(e.case);
+		if (!types){
+			types = new Map();
+			cases.set(e.case, types);
+		}
+		let s = types.get(e.inputType);
+		if (!s){
+			s = {count: 0, cancelable: 0, ranges: 0};
+			types.set(e.inputType, s);
+		}
+		s.count++;
+		if (e.cancelable)
+			s.cancelable++;
+		if (e.ranges)
+			s.ranges++;
+	}
+	return cases;
+}
+
+/** Escape text for a markdown table cell */
+function cell(txt){
+	return String(txt).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+/** Inline code span, with a fence long enough for any backticks in the text */
+function code(txt){
+	const ticks = "`".repeat(Math.max(0, ...(txt.match(/`+/g) || []).map(t => t.length)) + 1);
+	return `${ticks} ${txt} ${ticks}`;
+}
+/** "yes", "no", or "x/n" when only some of n events had the property */
+function ratio(n, count){
+	return n == count ? "yes" : n ? `${n}/${count}` : "no";
+}
+
+/** Generate the report
+ * @param {Session} session recorded events
+ * @returns {String} markdown
+ */
+export function support_report(session){
+	const lines = [
+		"## Input Events support report",
+		"",
+		`User agent: ${code(session.user_agent)}`,
+		"",
+		"### Feature detection",
+		"",
+		"| Feature | Supported |",
+		"|---|---|"
+	];
+	for (const f of detect_features())
+		lines.push(`| ${f.feature} | ${f.supported ? "yes" : "no"} |`);
+	const cases = summarize_session(session);
+	if (!cases.size)
+		lines.push("", "No `beforeinput` events were recorded.");
+	const order = Array.from(cases.keys()).sort((a, b) => a - b);
+	for (const idx of order){
+		lines.push("");
+		if (idx == -1)
+			lines.push("### Outside test cases");
+		else{
+			lines.push(`### Test case ${idx}`);
+			if (idx < session.cases.length)
+				lines.push("", code(session.cases[idx].replace(/[ \t\r\n]+/g, " ").trim()));
+		}
+		lines.push("", "| inputType | Events | Cancelable | Target ranges |", "|---|---|---|---|");
+		for (const [inputType, s] of cases.get(idx))
+			lines.push(`| ${cell(inputType)} | ${s.count} | ${ratio(s.cancelable, s.count)} | ${ratio(s.ranges, s.count)} |`);
+	}
+	return lines.join("\n") + "\n";
+}
\ No newline at end of file
@@ -0,0 +1,130 @@
+/** Invariants for the input event stream, checked live as events are recorded. Each rule is
+ * 	declarative: an object with
+ * 	- `id`: short unique name, shown in the log
+ * 	- `description`: what the rule expects
+ * 	- `match`: `{type, inputType}` filter for which entries the rule applies to; each is a string,
+ * 		a list of strings, or omitted to match anything
+ * 	- `test`: `fn(entry, state)` returning true if the entry satisfies the rule
+ *
+ * 	Entries are the structured records from main.js (see Session). `state` is the stream state for
+ * 	the entry's test case before the entry is applied; see `update_state()` for its fields. To add
+ * 	a rule, append it to `RULES`.
+ */
+
+// inputTypes whose beforeinput is not cancelable in Input Events Level 2
+export const NON_CANCELABLE = new Set(["insertCompositionText", "deleteCompositionText"]);
+
+export const RULES = [
+	{
+		id: "input-without-beforeinput",
+		description: "input must be preceded by a beforeinput with the same inputType",
+		match: {type: "input"},
+		// execCommand, which scenarios use, doesn't fire beforeinput
+		test: (e, s) => e.scripted || (!!s.beforeinput && s.beforeinput.inputType === e.inputType)
+	},
+	{
+		id: "input-after-cancel",
+		description: "input must not fire for a cancelled beforeinput",
+		match: {type: "input"},
+		test: (e, s) => !s.beforeinput?.defaultPrevented
+	},
+	{
+		id: "compositionstart-nested",
+		description: "compositionstart must not fire during a composition",
+		match: {type: "compositionstart"},
+		test: (e, s) => !s.composing
+	},
+	{
+		id: "composition-without-start",
+		description: "compositionupdate and compositionend must be preceded by compositionstart",
+		match: {type: ["compositionupdate", "compositionend"]},
+		test: (e, s) => s.composing
+	},
+	{
+		id: "composition-text-outside-composition",
+		description: "insertCompositionText must only occur during a composition",
+		match: {type: ["beforeinput", "input"], inputType: "insertCompositionText"},
+		test: (e, s) => s.composing
+	},
+	{
+		id: "isComposing-false",
+		description: "isComposing must be true during a composition",
+		match: {type: ["beforeinput", "input"]},
+		test: (e, s) => !s.composing || e.isComposing !== false
+	},
+	{
+		id: "not-cancelable",
+		description: "beforeinput must be cancelable, except for composition text",
+		match: {type: "beforeinput"},
+		test: (e) => e.cancelable || NON_CANCELABLE.has(e.inputType)
+	}
+];
+
+/** Initial stream state for a test case */
+function initial_state(){
+	return {
+		// inside compositionstart/end
+		composing: false,
+		// last beforeinput entry not yet followed by input
+		beforeinput: null
+	};
+}
+/** Advance stream state after an entry */
+function update_state(state, e){
+	switch (e.type){
+		case "compositionstart":
+			state.composing = true;
+			break;
+		case "compositionend":
+			state.composing = false;
+			break;
+		case "beforeinput":
+			state.beforeinput = e;
+			break;
+		case "input":
+			state.beforeinput = null;
+			break;
+	}
+}
+
+function matches(filter, value){
+	if (filter === undefined)
+		return true;
+	return Array.isArray(filter) ? filter.includes(value) : filter === value;
+}
+
+/** Checks entries against a list of rules as they are recorded */
+export class RuleChecker{
+	/**
+	 * @param {[Object]} rules rules to check, see `RULES`
+	 */
+	constructor(rules = RULES){
+		this.rules = rules;
+		this.reset();
+	}
+	/** Forget stream state, e.g. when starting a new session */
+	reset(){
+		// test case index => state
+		this.states = new Map();
+	}
+	/** Check the next entry in the stream
+	 * @returns {[Object]} rules the entry violates
+	 */
+	check(entry){
+		// selectionchange has no bearing on rules, and may be outside any test case
+		if (entry.type == "selectionchange")
+			return [];
+		let state = this.states.get(entry.case);
+		if (!state){
+			state = initial_state();
+			this.states.set(entry.case, state);
+		}
+		const violated = this.rules.filter(r =>
+			matches(r.match.type, entry.type) &&
+			matches(r.match.inputType, entry.inputType) &&
+			!r.test(entry, state)
+		);
+		update_state(state, entry);
+		return violated;
+	}
+}
\ No newline at end of file
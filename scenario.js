@@ -0,0 +1,163 @@
+import { serialize, is_form_control } from "./serialize.js";
+import { markup_text } from "./compare.js";
+
+/** Scripted scenarios, which drive real editing of a test case through the Selection API and
+ * 	`document.execCommand`, so quirks can be reproduced without typing. Events fired by the edits
+ * 	are recorded to the session as usual; the runner compares them, and the final serialization,
+ * 	with the scenario's stored expectations.
+ *
+ * 	A scenario is a JSON object:
+ * 	- name: shown in the results
+ * 	- case: test case index
+ * 	- html: optional innerHTML to start from; otherwise the test case's catalog content
+ * 	- steps: list of actions, each an object with a single key of `ACTIONS`, e.g.
+ * 		`{caret: 3}`, `{insertText: "ab"}`, `{delete: "backward"}`, `{select_word: 5}`, `{format: "bold"}`
+ * 	- expect: optional `{events, serialization}`, as returned by `run_scenario()` in `actual`
+ */
+
+/** Position in root for an offset into its text content
+ * @returns {[Node, Number]} container and offset for a Range boundary
+ */
+function text_position(root, offset){
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+	let last = null;
+	for (let node = walker.nextNode(); node; node = walker.nextNode()){
+		if (offset <= node.length)
+			return [node, offset];
+		offset -= node.length;
+		last = node;
+	}
+	// past the end
+	return last ? [last, last.length] : [root, root.childNodes.length];
+}
+function select(root, start, end = start){
+	if (is_form_control(root)){
+		root.setSelectionRange(start, end);
+		return;
+	}
+	const r = document.createRange();
+	r.setStart(...text_position(root, start));
+	r.setEnd(...text_position(root, end));
+	const sel = window.getSelection();
+	sel.removeAllRanges();
+	sel.addRange(r);
+}
+function exec(command, value = null){
+	if (!document.execCommand(command, false, value))
+		throw Error(`execCommand("${command}") was not run`);
+}
+
+// step key => fn(root, value of the key)
+export const ACTIONS = {
+	// collapse the selection at a text offset
+	caret: (root, offset) => select(root, offset),
+	// select between two text offsets, [start, end]
+	select: (root, [start, end]) => select(root, start, end),
+	// select the word at a text offset
+	select_word: (root, offset) => {
+		select(root, offset);
+		const sel = window.getSelection();
+		sel.modify("move", "backward", "word");
+		sel.modify("extend", "forward", "word");
+	},
+	insertText: (root, text) => exec("insertText", text),
+	insertParagraph: () => exec("insertParagraph"),
+	insertLineBreak: () => exec("insertLineBreak"),
+	// "backward" or "forward"
+	delete: (root, direction) => exec(direction == "forward" ? "forwardDelete" : "delete"),
+	// execCommand name, e.g. bold or italic
+	format: (root, command) => exec(command),
+	// any execCommand: [command, value]
+	exec: (root, [command, value]) => exec(command, value)
+};
+
+/** Label for an event entry, as in the log header; e.g. `beforeinput.insertText` */
+export function entry_label(entry){
+	return entry.inputType ? `${entry.type}.${entry.inputType}` : entry.type;
+}
+
+/** Run a scenario
+ * @param {Object} scenario see module description
+ * @param {Object} tester hooks into the tester:
+ * 	- cases: test case elements
+ * 	- session: Session events are recorded to
+ * 	- reset: `fn(case_idx, html)` to restore a test case's content; html is null for the
+ * 		catalog content
+ * @param {Boolean} ignore_selection whether selectionchange events are left out of the comparison,
+ * 	since their number varies with timing
+ * @returns {Promise<{name, pass, error, actual, expect}>} `actual` is `{events, serialization}`,
+ * 	where `events` is a list of `entry_label()` and `serialization` the plain text from
+ * 	`markup_text()`; `pass` is null if the scenario has no expectations
+ */
+export async function run_scenario(scenario, tester, ignore_selection = true){
+	const root = tester.cases[scenario.case];
+	const result = {name: scenario.name ?? "", pass: false, error: null, actual: null, expect: scenario.expect ?? null};
+	if (!root){
+		result.error = `no test case ${scenario.case}`;
+		return result;
+	}
+	tester.reset(scenario.case, scenario.html ?? null);
+	root.focus();
+	// selectionchange is queued, so let it fire before starting
+	await settle();
+	const from = tester.session.length;
+	try{
+		for (const step of scenario.steps || []){
+			const action = Object.keys(step).find(k => k in ACTIONS);
+			if (!action)
+				throw Error(`unknown step ${JSON.stringify(step)}`);
+			ACTIONS[action](root, step[action]);
+			await settle();
+		}
+	} catch(err){
+		result.error = err.message;
+	}
+	const pre = document.createElement("pre");
+	serialize(root, pre, window.getSelection());
+	result.actual = {
+		events: tester.session.entries.slice(from)
+			.filter(e => !ignore_selection || e.type != "selectionchange")
+			.map(entry_label),
+		serialization: markup_text(pre.innerHTML)
+	};
+	if (!result.expect)
+		result.pass = null;
+	else if (!result.error){
+		result.pass = JSON.stringify(result.actual.events) === JSON.stringify(result.expect.events) &&
+			result.actual.serialization === result.expect.serialization;
+	}
+	return result;
+}
+
+/** Wait for queued events to fire */
+function settle(){
+	return new Promise(resolve => setTimeout(resolve));
+}
+
+/** Render results as a table
+ * @param {[Object]} results from `run_scenario()`
+ */
+export function results_table(results){
+	const table = document.createElement("table");
+	table.className = "compare scenarios";
+	const row = (cells, tag = "td") => {
+		const tr = table.insertRow();
+		for (const c of cells){
+			const td = document.createElement(tag);
+			td.append(c ?? "");
+			tr.appendChild(td);
+		}
+		return tr;
+	};
+	row(["scenario", "result", "events", "expected events", "serialization", "expected serialization"], "th");
+	for (const r of results){
+		const status = r.error ? `error: ${r.error}` : r.pass === null ? "no expectations" : r.pass ? "pass" : "fail";
+		const tr = row([
+			r.name, status,
+			r.actual?.events.join("\n"), r.expect?.events?.join("\n"),
+			r.actual?.serialization, r.expect?.serialization
+		]);
+		tr.className = r.error || r.pass === false ? "differs" : "";
+	}
+	return table;
+}
\ No newline at end of file
@@ -3,51 +3,120 @@
  * 	- a Selection or list of Ranges can be rendered
  * 	- output selectors:
  * 		- span.tag: opening/closing carets and tagname of element; element's color is set as an inline style
- * 		- span.tag_attr: inline attributes for an element
+ * 		- span.tag_attr: inline attributes for an element; span.tag_prop as well for properties
+ * 			and computed styles, which are shown in brackets
+ * 		- span[data-attr]: for .tag_attr, the name in ATTRS it was shown for
  * 		- span.text: text node; unstyled span's are nested with the text content
+ * 		- span.invisible: with the invisibles option, an invisible character inside a text span; it
+ * 			keeps the character, so offsets are unchanged, and is shown as data-glyph; also
+ * 			the named class if the glyph is an abbreviated name
  * 		- span[data-sid]: for .tag/.text nodes, this holds unique id for the node
  * 		- span[data-range=start/end/collapsed]: selection/range anchor, may be nested inside span.text
  * 		- span[data-rid]: for selection/range anchor, it indicates the range index
+ * 	- form controls (textarea/input) render their value instead, with selectionStart/End as
+ * 		anchors, and selectionDirection as span.tag_attr
  * 
- * To use, create an anonymous object: new HTMLSerialize(options)
+ * 	- which attributes and properties are shown is an option, see ATTRS
+ * 
+ * To use, create an anonymous object: new HTMLSerialize(src, target, ranges, options)
  */
 export class HTMLSerialize {
 	// divisions in hue, when rotating colors for next element
 	static HUE_DIVS = 7;
-	// attributes to serialize; {js attribute -> html attribute}
-	static SHOW_ATTRS = {
-		className: "class"
+	// attributes and properties that can be shown; {name -> fn(el) returning [[label, value]]}
+	static ATTRS = {
+		"class": attribute("class"),
+		"style": attribute("style"),
+		"contenteditable": attribute("contenteditable"),
+		"compositionborder": attribute("compositionborder"),
+		"dir": attribute("dir"),
+		"lang": attribute("lang"),
+		"spellcheck": attribute("spellcheck"),
+		"data-*": (el) => Array.from(el.attributes, a => [a.name, a.value]).filter(([name]) => name.startsWith("data-")),
+		"isContentEditable": (el) => [["isContentEditable", el.isContentEditable]],
+		"display": (el) => [["display", getComputedStyle(el).display]]
+	};
+	// names in ATTRS that are properties or computed styles, rather than html attributes
+	static PROPERTIES = new Set(["isContentEditable", "display"]);
+	// names in ATTRS shown by default
+	static DEFAULT_ATTRS = ["class"];
+	// characters shown by the invisibles option; {char -> [glyph, name]}. Spaces are only shown
+	// next to other whitespace, where they would collapse
+	static INVISIBLE = {
+		" ": ["·", "SPACE"],
+		"\t": ["→", "CHARACTER TABULATION"],
+		"\n": ["↵", "LINE FEED"],
+		"\r": ["␍", "CARRIAGE RETURN"],
+		"\u00a0": ["⍽", "NO-BREAK SPACE"],
+		"\u00ad": ["SHY", "SOFT HYPHEN"],
+		"\u061c": ["ALM", "ARABIC LETTER MARK"],
+		"\u200b": ["ZWSP", "ZERO WIDTH SPACE"],
+		"\u200c": ["ZWNJ", "ZERO WIDTH NON-JOINER"],
+		"\u200d": ["ZWJ", "ZERO WIDTH JOINER"],
+		"\u200e": ["LRM", "LEFT-TO-RIGHT MARK"],
+		"\u200f": ["RLM", "RIGHT-TO-LEFT MARK"],
+		"\u202a": ["LRE", "LEFT-TO-RIGHT EMBEDDING"],
+		"\u202b": ["RLE", "RIGHT-TO-LEFT EMBEDDING"],
+		"\u202c": ["PDF", "POP DIRECTIONAL FORMATTING"],
+		"\u202d": ["LRO", "LEFT-TO-RIGHT OVERRIDE"],
+		"\u202e": ["RLO", "RIGHT-TO-LEFT OVERRIDE"],
+		"\u2060": ["WJ", "WORD JOINER"],
+		"\u2066": ["LRI", "LEFT-TO-RIGHT ISOLATE"],
+		"\u2067": ["RLI", "RIGHT-TO-LEFT ISOLATE"],
+		"\u2068": ["FSI", "FIRST STRONG ISOLATE"],
+		"\u2069": ["PDI", "POP DIRECTIONAL ISOLATE"],
+		"\ufeff": ["BOM", "ZERO WIDTH NO-BREAK SPACE"]
 	};
 	// singelton tags/eleemnts
 	static SINGLETON = new Set(["br", "hr", "wbr", "col", "command", "img"]);
-	// counter for unique ids and colors; {container -> {id/hue: int}
-	static counter = new Map();
+	// range markers for serialize_string; {anchor loc -> {anchor type -> marker}}
+	static MARKERS = {
+		inside: {start: "[", end: "]", collapsed: "|"},
+		between: {start: "{", end: "}", collapsed: "|"}
+	};
+	// counter for unique ids and colors; {container -> {id/hue: int}; weak, so removed test cases
+	// are released
+	static counter = new WeakMap();
 
 	/**
 	 * @param src source element to serialize
 	 * @param target where to render the serialization
-	 * @param {Selection | [Range] | [StaticRange]} ranges specifies anchors to be rendered
+	 * @param {Selection | [Range] | [StaticRange]} ranges specifies anchors to be rendered;
+	 * 	ignored for form controls, whose own selection is always rendered when ranges is given
+	 * @param {Object} options
+	 * 	- attrs: names in ATTRS to show for elements; DEFAULT_ATTRS if not given
+	 * 	- invisibles: whether to show invisible characters, see INVISIBLE
 	 */
-	constructor(src, target, ranges = null){
+	constructor(src, target, ranges = null, options = {}){
 		this.src = src;
-		if (!HTMLSerialize.counter.has(src))
-			HTMLSerialize.counter.set(src, {id: 0, hue: 0});
+		this.attrs = options.attrs ?? HTMLSerialize.DEFAULT_ATTRS;
+		this.invisibles = !!options.invisibles;
 		this.frag = document.createDocumentFragment();
-		this.serialize_recursive(src, ranges ? HTMLSerialize.ranges2anchors(ranges) : null, true);
+		if (is_form_control(src))
+			this.serialize_value(src, !!ranges);
+		else this.serialize_recursive(src, ranges ? HTMLSerialize.ranges2anchors(ranges) : null, true);
 		target.replaceChildren(this.frag);
 	}
 	
 	/** Give each node a unqiue id, and each element a hue. Can be used
 		to indicate whether a node was recreated/destroyed
+		@param src source element whose counter is used, so ids match its serialization
+		@param el node to assign an id to; ids are only assigned once
+		@returns the node's id
 	*/
-	assign_id(el){
+	static assign_id(src, el){
 		if (typeof el.serialization === "undefined"){
-			let c = HTMLSerialize.counter.get(this.src);
+			let c = HTMLSerialize.counter.get(src);
+			if (!c){
+				c = {id: 0, hue: 0};
+				HTMLSerialize.counter.set(src, c);
+			}
 			el.serialization = Object.assign({}, c);
 			c.id++;
 			if (el.nodeType == Node.ELEMENT_NODE)
 				c.hue = (c.hue + 360 / (HTMLSerialize.HUE_DIVS + 0.5)) % 360;
 		}
+		return el.serialization.id;
 	}
 
 	/**
@@ -68,23 +137,23 @@ export class HTMLSerialize {
 		if ("before_open" in a_locs)
 			a_locs["before_open"].forEach(this.add_anchor.bind(this));
 		if (!skip) {
-			this.assign_id(el);
+			HTMLSerialize.assign_id(this.src, el);
 			// text
 			if (istxt){
-				let txt = el.textContent;
+				const txt = el.textContent;
+				const shown = this.invisibles ? invisible_offsets(txt) : null;
 				let root = this.add_span({clazz:"text", sid:el.serialization.id});
+				let prev = 0;
 				if ("inside" in a_locs){
-					let prev = 0;
 					for (let c of a_locs["inside"]){
 						if (prev != c.pos)
-							this.add_span({txt:txt.substring(prev, c.pos), root});
+							this.add_text(txt.substring(prev, c.pos), root, prev, shown);
 						this.add_anchor(c, root);
 						prev = c.pos;
 					}
-					txt = txt.substring(prev);
 				}
-				if (txt)
-					this.add_span({txt, root});
+				if (prev < txt.length)
+					this.add_text(txt.substring(prev), root, prev, shown);
 			}
 			// start tag
 			else {
@@ -92,10 +161,11 @@ export class HTMLSerialize {
 				hsl_attr = HTMLSerialize.hsl(el.serialization.hue, 75, 50);
 				tag = el.tagName.toLowerCase();
 				this.add_span({txt:`<${tag}`, clazz:"tag", style:hsl_main, sid:el.serialization.id});
-				// attributes whitelist
-				for (let attr in HTMLSerialize.SHOW_ATTRS) {
-					if (el[attr])
-						this.add_span({txt:` ${HTMLSerialize.SHOW_ATTRS[attr]}='${el[attr]}'`, clazz:"tag_attr", style:hsl_attr});
+				for (let [label, value, prop, name] of HTMLSerialize.attr_values(el, this.attrs)){
+					const s = prop
+						? this.add_span({txt:` [${label}=${value}]`, clazz:"tag_attr tag_prop", style:hsl_attr})
+						: this.add_span({txt:` ${label}='${value}'`, clazz:"tag_attr", style:hsl_attr});
+					s.dataset.attr = name;
 				}
 				this.add_span({txt:`>`, clazz:"tag", style:hsl_main});
 			}
@@ -115,6 +185,38 @@ export class HTMLSerialize {
 			this.serialize_recursive(el.nextSibling, anchors);
 	}
 
+	/**
+	 * @param el textarea or input to serialize the value of
+	 * @param selection whether to render the selection
+	 */
+	serialize_value(el, selection){
+		const txt = el.value;
+		const shown = this.invisibles ? invisible_offsets(txt) : null;
+		const root = this.add_span({clazz:"text"});
+		// input types like checkbox have no selection
+		const start = selection ? el.selectionStart : null,
+			end = el.selectionEnd;
+		if (start === null){
+			if (txt)
+				this.add_text(txt, root, 0, shown);
+			return;
+		}
+		const anchors = start == end
+			? [{id:0, type:"collapsed", pos:start}]
+			: [{id:0, type:"start", pos:start}, {id:0, type:"end", pos:end}];
+		let prev = 0;
+		for (let c of anchors){
+			if (prev != c.pos)
+				this.add_text(txt.substring(prev, c.pos), root, prev, shown);
+			this.add_anchor(c, root);
+			prev = c.pos;
+		}
+		if (prev < txt.length)
+			this.add_text(txt.substring(prev), root, prev, shown);
+		if (start != end)
+			this.add_span({txt:` selectionDirection='${el.selectionDirection}'`, clazz:"tag_attr"});
+	}
+
 	add_span({txt=null, clazz=null, style=null, sid=null, root=null} = {}){
 		const s = document.createElement("span");
 		if (txt)
@@ -128,6 +230,36 @@ export class HTMLSerialize {
 		(root || this.frag).appendChild(s);
 		return s;
 	}
+	/** Add a segment of a text node's content to its span.text
+	 * @param {String} txt the segment
+	 * @param root the span.text
+	 * @param {Number} offset offset of the segment in the text node
+	 * @param {Set<Number> | null} shown output of invisible_offsets for the whole text node; null
+	 * 	without the invisibles option
+	 */
+	add_text(txt, root, offset=0, shown=null){
+		if (!shown){
+			this.add_span({txt, root});
+			return;
+		}
+		const seg = this.add_span({root});
+		let prev = 0;
+		for (let i=0; i<txt.length; i++){
+			if (!shown.has(offset+i))
+				continue;
+			seg.append(txt.substring(prev, i));
+			const c = txt[i];
+			const [glyph, name] = HTMLSerialize.INVISIBLE[c];
+			const s = document.createElement("span");
+			s.className = glyph.length > 1 ? "invisible named" : "invisible";
+			s.dataset.glyph = glyph;
+			s.title = `U+${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, "0")} ${name}`;
+			s.textContent = c;
+			seg.appendChild(s);
+			prev = i+1;
+		}
+		seg.append(txt.substring(prev));
+	}
 	add_anchor(anchor, root=null){
 		const s = document.createElement("span");
 		s.dataset.range = anchor.type;
@@ -135,6 +267,81 @@ export class HTMLSerialize {
 		(root || this.frag).appendChild(s);
 	}
 
+	/** Values of the attributes and properties of an element to show
+	 * @param {[String]} attrs names in ATTRS
+	 * @returns {[[String, String, Boolean, String]]} label, value, whether it is a property, and
+	 * 	the name in ATTRS
+	 */
+	static attr_values(el, attrs){
+		const out = [];
+		for (const name of attrs){
+			const get = HTMLSerialize.ATTRS[name];
+			if (!get)
+				continue;
+			const prop = HTMLSerialize.PROPERTIES.has(name);
+			for (const [label, value] of get(el))
+				out.push([label, String(value), prop, name]);
+		}
+		return out;
+	}
+
+	/** Find the node with a serialization id
+	 * @param src source element the ids were assigned for
+	 * @param id id from a span[data-sid]
+	 * @returns node, or null if there is none; e.g. it was removed from src
+	 */
+	static find(src, id){
+		const walker = document.createTreeWalker(src, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+		for (let n = walker.nextNode(); n; n = walker.nextNode()){
+			if (n.serialization?.id === id)
+				return n;
+		}
+		return null;
+	}
+	/** Map a point in the rendered serialization of src back to a boundary point in src, e.g. to
+	 * 	pick a range by clicking the serialization
+	 * @param src source element that was serialized
+	 * @param node node inside the serialization output
+	 * @param offset offset in node, as for a Range boundary
+	 * @returns {[Node, Number] | null} container and offset in src, or null if the point is not
+	 * 	over a node; a point in an opening tag is before the element, and in a closing tag at the
+	 * 	end of its children
+	 */
+	static resolve(src, node, offset){
+		let item = node.nodeType == Node.TEXT_NODE ? node.parentNode : node;
+		item = item.closest("[data-sid]") || item;
+		// ">" and attributes of an opening tag
+		while (item && !item.dataset?.sid && (item.classList.contains("tag") || item.classList.contains("tag_attr")))
+			item = item.previousElementSibling;
+		if (!item?.dataset?.sid)
+			return null;
+		const target = HTMLSerialize.find(src, +item.dataset.sid);
+		if (!target)
+			return null;
+		if (item.classList.contains("text")){
+			// sum the text segments before the point; anchors have no text
+			let pos = 0;
+			for (const [i, seg] of Array.from(item.childNodes).entries()){
+				if (node === item && i == offset)
+					break;
+				if (seg.contains(node)){
+					// segments may be split into spans for invisible characters
+					const r = document.createRange();
+					r.setStart(seg, 0);
+					r.setEnd(node, offset);
+					pos += r.toString().length;
+					break;
+				}
+				pos += seg.textContent.length;
+			}
+			return [target, Math.min(pos, target.length)];
+		}
+		if (item.textContent.startsWith("</"))
+			return [target, target.childNodes.length];
+		const parent = target.parentNode;
+		return [parent, Array.prototype.indexOf.call(parent.childNodes, target)];
+	}
+
 	/** CSS color definition from HSL numbers */
 	static hsl(h, s = 100, l = 30) {
 		return `color: hsl(${h},${s}%,${l}%);`;
@@ -201,9 +408,252 @@ export class HTMLSerialize {
 	}
 }
 
+/** Whether an element is a form control, whose value is edited rather than its children */
+export function is_form_control(el){
+	return el instanceof HTMLTextAreaElement || el instanceof HTMLInputElement;
+}
+
+// matches characters to show with the invisibles option: spaces only in runs of whitespace
+const INVISIBLE_RE = new RegExp("[ \\t\\n\\r]{2,}|[" + Object.keys(HTMLSerialize.INVISIBLE)
+	.filter(c => c != " ")
+	.map(c => "\\u" + c.charCodeAt(0).toString(16).padStart(4, "0"))
+	.join("") + "]", "g");
+
+/** Offsets of characters to show with the invisibles option. This is matched on the whole text
+ * 	node rather than per segment, since a range anchor may split a run of spaces
+ * @returns {Set<Number>}
+ */
+function invisible_offsets(txt){
+	const shown = new Set();
+	for (const m of txt.matchAll(INVISIBLE_RE)){
+		for (let i=0; i<m[0].length; i++)
+			shown.add(m.index+i);
+	}
+	return shown;
+}
+
+/** ATTRS getter for an html attribute */
+function attribute(name){
+	return (el) => el.hasAttribute(name) ? [[name, el.getAttribute(name)]] : [];
+}
+
+/** Escape text for serialize_string; marker characters are escaped too, so they are not
+ * 	mistaken for ranges
+ */
+function escape_string(txt, attr = false){
+	return txt.replace(attr ? /[&"]/g : /[&<>\u00a0|[\]{}]/g, (c) => {
+		switch (c){
+			case "&": return "&amp;";
+			case "<": return "&lt;";
+			case ">": return "&gt;";
+			case "\u00a0": return "&nbsp;";
+			case "\"": return "&quot;";
+		}
+		return `&#${c.charCodeAt(0)};`;
+	});
+}
+
+/** Serialize src to a compact HTML string with range markers, e.g. `<b>te|xt</b>`, for bug
+ * 	reports, snapshot tests and diffs. Anchors are placed by `HTMLSerialize.ranges2anchors`, so
+ * 	they agree with the rendered serialization. Markers, see `HTMLSerialize.MARKERS`:
+ * 	- `|`: collapsed range
+ * 	- `[` and `]`: range start and end inside a text node
+ * 	- `{` and `}`: range start and end between nodes
+ * 	Form controls serialize their value, with their own selection marked when ranges is given.
+ * @param src source element; only its children are serialized
+ * @param {Selection | [Range] | [StaticRange]} ranges ranges to mark
+ * @param {Boolean} ids whether to include node ids (see `HTMLSerialize.assign_id`), as a `data-sid`
+ * 	attribute for elements, and a `<!--id-->` comment before text nodes
+ * @param {[String]} attrs names in `HTMLSerialize.ATTRS` to write; properties are left out, since
+ * 	they are not html
+ * @returns {String}
+ */
+export function serialize_string(src, ranges = null, ids = false, attrs = HTMLSerialize.DEFAULT_ATTRS){
+	const M = HTMLSerialize.MARKERS;
+	if (is_form_control(src)){
+		const txt = src.value;
+		const start = ranges ? src.selectionStart : null,
+			end = src.selectionEnd;
+		if (start === null)
+			return escape_string(txt);
+		if (start == end)
+			return escape_string(txt.substring(0, start)) + M.inside.collapsed + escape_string(txt.substring(start));
+		return escape_string(txt.substring(0, start)) + M.inside.start +
+			escape_string(txt.substring(start, end)) + M.inside.end + escape_string(txt.substring(end));
+	}
+	const anchors = ranges ? HTMLSerialize.ranges2anchors(ranges) : new Map();
+	const markers = (lst) => lst ? lst.map(a => M.between[a.type]).join("") : "";
+	function recurse(el, skip = false){
+		const a_locs = anchors.get(el) || {};
+		let out = markers(a_locs["before_open"]);
+		let tag;
+		if (!skip){
+			if (ids)
+				HTMLSerialize.assign_id(src, el);
+			if (el.nodeType == Node.TEXT_NODE){
+				if (ids)
+					out += `<!--${el.serialization.id}-->`;
+				let txt = el.textContent, prev = 0;
+				for (let c of a_locs["inside"] || []){
+					out += escape_string(txt.substring(prev, c.pos)) + M.inside[c.type];
+					prev = c.pos;
+				}
+				return out + escape_string(txt.substring(prev));
+			}
+			if (el.nodeType != Node.ELEMENT_NODE)
+				return out;
+			tag = el.tagName.toLowerCase();
+			out += `<${tag}`;
+			for (let [label, value, prop] of HTMLSerialize.attr_values(el, attrs)){
+				if (!prop)
+					out += ` ${label}="${escape_string(value, true)}"`;
+			}
+			if (ids)
+				out += ` data-sid="${el.serialization.id}"`;
+			out += ">";
+		}
+		for (let c = el.firstChild; c; c = c.nextSibling)
+			out += recurse(c);
+		out += markers(a_locs["before_close"]);
+		if (!skip && !HTMLSerialize.SINGLETON.has(tag))
+			out += `</${tag}>`;
+		return out;
+	}
+	return recurse(src, true);
+}
+
+/** Parse a string with range markers, as written by `serialize_string`, e.g.
+ * 	`x<sup>3|</sup>(y<sub>[i]</sub>)`, for writing compact test fixtures. Markers inside tags and
+ * 	comments are left alone, and escaped markers are plain text. Node id comments are dropped, and
+ * 	the text around them merged.
+ * 	- `[`, `]` and `|` next to text are offsets in the text; a text node is merged with the text
+ * 		after the marker, and an empty one is created if there is no adjacent text
+ * 	- `{`, `}`, and `|` elsewhere, are positions between nodes
+ * 	Ends are matched with the earliest unmatched start, so ranges are in order of their start.
+ * @param {String} str marked up html
+ * @param root element to parse into; its children are replaced
+ * @param {Boolean} static_ranges whether to return StaticRanges rather than live Ranges
+ * @returns {{root, ranges: [Range] | [StaticRange]}}
+ */
+export function parse_string(str, root = document.createElement("div"), static_ranges = false){
+	const M = HTMLSerialize.MARKERS;
+	// marker characters => comment placeholders; a collapsed marker is the same in both locs, so
+	// its loc is resolved from the adjacent nodes
+	const types = new Map();
+	for (const loc in M){
+		for (const type in M[loc])
+			types.set(M[loc][type], {loc: type == "collapsed" ? null : loc, type});
+	}
+	let html = "", i = 0;
+	while (i < str.length){
+		const c = str[i];
+		let end = i+1;
+		if (c == "<"){
+			if (str.startsWith("<!--", i))
+				end = str.indexOf("-->", i);
+			else{
+				// skip quoted attribute values
+				let quote = null;
+				for (end = i+1; end < str.length; end++){
+					const ec = str[end];
+					if (quote){
+						if (ec == quote)
+							quote = null;
+					}
+					else if (ec == "\"" || ec == "'")
+						quote = ec;
+					else if (ec == ">")
+						break;
+				}
+			}
+			end = end == -1 ? str.length : end+1;
+			html += str.substring(i, end);
+		}
+		else html += types.has(c) ? `<!--range${c}-->` : c;
+		i = end;
+	}
+	const tpl = document.createElement("template");
+	tpl.innerHTML = html;
+	root.replaceChildren(tpl.content);
+
+	// resolve markers to points, removing them from the DOM as we go, so offsets are final
+	const comments = [];
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_COMMENT);
+	for (let n = walker.nextNode(); n; n = walker.nextNode())
+		comments.push(n);
+	const is_text = (n) => n?.nodeType == Node.TEXT_NODE;
+	const markers = [];
+	for (const n of comments){
+		if (n.data.startsWith("range") && types.has(n.data.substring(5)))
+			markers.push(n);
+		else{
+			// node id comment; the text it separated is one text node
+			const prev = n.previousSibling, next = n.nextSibling;
+			if (is_text(prev) && is_text(next)){
+				prev.appendData(next.data);
+				next.remove();
+			}
+			n.remove();
+		}
+	}
+	const open = [], ranges = [];
+	for (const m of markers){
+		const {loc, type} = types.get(m.data.substring(5));
+		const prev = m.previousSibling, next = m.nextSibling;
+		let point;
+		if (loc == "inside" || (loc === null && (is_text(prev) || is_text(next)))){
+			if (is_text(prev)){
+				point = [prev, prev.length];
+				if (is_text(next)){
+					prev.appendData(next.data);
+					next.remove();
+				}
+			}
+			else if (is_text(next))
+				point = [next, 0];
+			else{
+				const t = document.createTextNode("");
+				m.before(t);
+				point = [t, 0];
+			}
+		}
+		else point = [m.parentNode, Array.prototype.indexOf.call(m.parentNode.childNodes, m)];
+		m.remove();
+		if (type == "collapsed")
+			ranges.push({start: point, end: point});
+		else if (type == "start"){
+			const r = {start: point, end: null};
+			open.push(r);
+			ranges.push(r);
+		}
+		else{
+			if (!open.length)
+				throw Error("range end marker without a start");
+			open.shift().end = point;
+		}
+	}
+	if (open.length)
+		throw Error("range start marker without an end");
+	return {
+		root,
+		ranges: ranges.map(({start, end}) => {
+			if (static_ranges){
+				return new StaticRange({
+					startContainer: start[0], startOffset: start[1],
+					endContainer: end[0], endOffset: end[1]
+				});
+			}
+			const r = document.createRange();
+			r.setStart(...start);
+			r.setEnd(...end);
+			return r;
+		})
+	};
+}
+
 /** Renders src HTML to target, optionally marking ranges;
  *	See HTMLSerialize class for details
  */
-export function serialize(src, target, ranges = null){
-	new HTMLSerialize(src, target, ranges);
+export function serialize(src, target, ranges = null, options = {}){
+	new HTMLSerialize(src, target, ranges, options);
 }
\ No newline at end of file
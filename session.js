@@ -0,0 +1,66 @@
+/** A recorded tester session: a structured log of every event, plus the initial state of the
+ * 	test cases. Sessions can be exported to a JSON file and imported again for replay, e.g. to
+ * 	reproduce on desktop a quirk that was seen on a phone.
+ *
+ * 	Each entry is a plain object with the event's type, inputType, data, dataTransfer, etc;
+ * 	target ranges and selection are stored as the markup rendered by `serialize()`, and `html`
+ * 	holds the test case's innerHTML at the time of the event. See `event_entry` in main.js.
+ */
+export class Session{
+	// bump when the exported format changes
+	static VERSION = 1;
+
+	/**
+	 * @param {[String]} cases innerHTML of each test case when the session started
+	 */
+	constructor(cases = []){
+		this.version = Session.VERSION;
+		this.user_agent = navigator.userAgent;
+		this.started = Date.now();
+		this.cases = cases;
+		this.entries = [];
+	}
+	/** Append an event entry */
+	add(entry){
+		this.entries.push(entry);
+	}
+	get length(){
+		return this.entries.length;
+	}
+	/** Plain object for JSON export */
+	toJSON(){
+		const {version, user_agent, started, cases, entries} = this;
+		return {version, user_agent, started, cases, entries};
+	}
+	/** Create a Session from a parsed JSON export
+	 * @throws if the object is not a session export
+	 */
+	static fromJSON(json){
+		if (!json || !Array.isArray(json.entries) || !Array.isArray(json.cases))
+			throw Error("not a session file");
+		if (json.version > Session.VERSION)
+			throw Error(`session version ${json.version} is newer than supported (${Session.VERSION})`);
+		return Object.assign(new Session(), json);
+	}
+	/** Read a Session from a File (e.g. from an input[type=file]) */
+	static async load(file){
+		return Session.fromJSON(JSON.parse(await file.text()));
+	}
+	/** Save session as a JSON file download */
+	download(){
+		download_json(`session-${this.started}.json`, this);
+	}
+}
+
+/** Trigger a browser download of a JSON file
+ * @param {String} filename name of the downloaded file
+ * @param json value to be stringified
+ */
+export function download_json(filename, json){
+	const blob = new Blob([JSON.stringify(json, null, "\t")], {type: "application/json"});
+	const a = document.createElement("a");
+	a.href = URL.createObjectURL(blob);
+	a.download = filename;
+	a.click();
+	URL.revokeObjectURL(a.href);
+}
\ No newline at end of file
@@ -0,0 +1,142 @@
+/** Timeline of recorded events, with one lane per event family, laid out by `timeStamp`. Each
+ * 	event is a tick in its lane; compositions are drawn as a bar from compositionstart to
+ * 	compositionend. Idle gaps longer than `MAX_GAP` are collapsed to a fixed width marker, so
+ * 	bursts of events (e.g. from an IME) stay readable. Events closer together than a tick's width
+ * 	are stacked, so duplicates are visible. Hovering a tick shows the event's details.
+ */
+export class Timeline{
+	// lane name => event types shown in it
+	static LANES = {
+		composition: ["compositionstart", "compositionupdate", "compositionend"],
+		beforeinput: ["beforeinput"],
+		input: ["input"],
+		selectionchange: ["selectionchange"],
+		key: ["keydown", "keyup"]
+	};
+	// pixels per millisecond
+	static SCALE = 1;
+	// gaps longer than this (ms) are collapsed
+	static MAX_GAP = 250;
+	// width of a collapsed gap marker, in pixels
+	static GAP_WIDTH = 40;
+	// ticks closer than this (px) are stacked
+	static TICK_WIDTH = 4;
+	// stacked ticks wrap after this many rows
+	static STACK = 4;
+
+	/**
+	 * @param {Element} root container to render into
+	 * @param {Function} details `fn(entry)` returning an element with the event's details
+	 */
+	constructor(root, details){
+		this.details = details;
+		const div = (clazz, parent) => {
+			const el = document.createElement("div");
+			el.className = clazz;
+			parent.appendChild(el);
+			return el;
+		};
+		root.replaceChildren();
+		root.classList.add("timeline");
+		const labels = div("timeline_labels", root);
+		this.scroll = div("timeline_scroll", root);
+		this.lanes = {};
+		for (const lane in Timeline.LANES){
+			div("timeline_label", labels).textContent = lane;
+			this.lanes[lane] = div(`timeline_lane timeline_${lane}`, this.scroll);
+		}
+		this.popup = div("timeline_details", root);
+		this.popup.hidden = true;
+		// lane for each event type
+		this.types = new Map();
+		for (const lane in Timeline.LANES)
+			for (const type of Timeline.LANES[lane])
+				this.types.set(type, lane);
+		this.scroll.addEventListener("mouseover", (e) => {
+			const tick = e.target.closest(".timeline_tick");
+			if (!tick)
+				return;
+			this.popup.replaceChildren(this.details(this.entries[tick.dataset.index]));
+			this.popup.style.left = `${tick.getBoundingClientRect().left - root.getBoundingClientRect().left}px`;
+			this.popup.hidden = false;
+		});
+		this.scroll.addEventListener("mouseleave", () => this.popup.hidden = true);
+		this.clear();
+	}
+	/** Remove all events */
+	clear(){
+		for (const lane in this.lanes)
+			this.lanes[lane].replaceChildren();
+		this.entries = [];
+		// horizontal position of the last event, and its timeStamp
+		this.x = 0;
+		this.last = null;
+		// per lane: {x, row} of the last tick, for stacking
+		this.stacks = {};
+		// bar for the composition in progress
+		this.composition = null;
+		this.resize();
+	}
+	/** Add the next event
+	 * @param {Object} entry event entry, see Session; events without a lane are ignored
+	 */
+	add(entry){
+		const lane = this.types.get(entry.type);
+		if (!lane)
+			return;
+		const index = this.entries.push(entry) - 1;
+		// advance time
+		if (this.last !== null){
+			const dt = Math.max(0, entry.timeStamp - this.last);
+			if (dt > Timeline.MAX_GAP){
+				for (const l in this.lanes){
+					const gap = this.mark(l, "timeline_gap", this.x + Timeline.TICK_WIDTH);
+					gap.style.width = `${Timeline.GAP_WIDTH - Timeline.TICK_WIDTH}px`;
+					if (l == "composition")
+						gap.textContent = `${(dt/1000).toFixed(1)}s`;
+				}
+				this.x += Timeline.GAP_WIDTH;
+			}
+			else this.x += dt * Timeline.SCALE;
+		}
+		this.last = entry.timeStamp;
+		// composition bar
+		if (entry.type == "compositionstart"){
+			this.composition = this.mark("composition", "timeline_bar", this.x);
+			this.composition.title = "composition";
+		}
+		if (this.composition){
+			this.composition.style.width = `${this.x - parseFloat(this.composition.style.left) + Timeline.TICK_WIDTH}px`;
+			if (entry.type == "compositionend")
+				this.composition = null;
+		}
+		// tick, stacked if it overlaps the previous one
+		const stack = this.stacks[lane];
+		const row = stack && this.x - stack.x < Timeline.TICK_WIDTH ? (stack.row + 1) % Timeline.STACK : 0;
+		this.stacks[lane] = {x: this.x, row};
+		const tick = this.mark(lane, "timeline_tick", this.x);
+		tick.style.top = `${row * 100 / Timeline.STACK}%`;
+		tick.style.height = `${100 / Timeline.STACK}%`;
+		tick.dataset.index = index;
+		tick.dataset.type = entry.type;
+		if (entry.violations)
+			tick.classList.add("violation");
+		if (entry.defaultPrevented)
+			tick.classList.add("cancelled");
+		this.resize();
+		this.scroll.scrollLeft = this.scroll.scrollWidth;
+	}
+	/** Add a positioned marker to a lane */
+	mark(lane, clazz, x){
+		const el = document.createElement("span");
+		el.className = clazz;
+		el.style.left = `${x}px`;
+		this.lanes[lane].appendChild(el);
+		return el;
+	}
+	resize(){
+		const width = `${this.x + Timeline.GAP_WIDTH}px`;
+		for (const lane in this.lanes)
+			this.lanes[lane].style.width = width;
+	}
+}
\ No newline at end of file